@@ -0,0 +1,483 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(() => require('three'), require('../repo-languages.js'), require('../repo-sections.js'));
+    } else {
+        root.Site = root.Site || {};
+        // Three.js arrives with a deferred script, after this file has run.
+        root.Site.repositoryGalaxy = factory(() => root.THREE, root.Site.repoLanguages, root.Site.repoSections);
+    }
+}(this, function (loadThree, repoLanguages, repoSections) {
+    'use strict';
+
+    const NODE_COLOR = '#91b18b';
+    const CLUSTER_SPACING = 3.6;
+    const NODE_SPACING = 0.62;
+    const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+    const ROTATION_SPEED = 0.06;
+
+    /**
+     * Node radius for a star count: logarithmic, so a popular repository
+     * stands out without swallowing its neighbours.
+     */
+    function nodeRadius(stars) {
+        return Math.min(0.14 + 0.07 * Math.log2(1 + Math.max(stars || 0, 0)), 0.65);
+    }
+
+    // Without manifest sections, every first topic becomes a cluster.
+    function topicSections(repos) {
+        const sections = [];
+
+        repos.forEach((repo) => {
+            const topic = (repo.topics || [])[0];
+
+            if (topic && !sections.some((section) => section.topic === topic.toLowerCase())) {
+                sections.push({ topic: topic.toLowerCase(), title: topic });
+            }
+        });
+
+        return sections;
+    }
+
+    /**
+     * Lay `repos` out as clusters on a ring, one per topic section (see
+     * `Site.repoSections`), each cluster a spiral with the most starred
+     * repositories at its centre. Returns `{ clusters, nodes }`, where each
+     * node is `{ id, repo, cluster, position, radius, color }`.
+     */
+    function layoutGalaxy(repos, sections) {
+        const groups = repoSections.groupRepositories(repos, sections && sections.length ? sections : topicSections(repos));
+        const ring = groups.length > 1 ? Math.max(CLUSTER_SPACING, CLUSTER_SPACING * groups.length / (2 * Math.PI)) : 0;
+        const clusters = [];
+        const nodes = [];
+
+        groups.forEach((group, index) => {
+            const angle = 2 * Math.PI * index / groups.length;
+            const center = { x: ring * Math.cos(angle), y: 0, z: ring * Math.sin(angle) };
+            const ranked = group.repos.slice().sort((a, b) => (b.stars || 0) - (a.stars || 0));
+
+            clusters.push({ id: group.id, title: group.title, count: ranked.length, center: center });
+            ranked.forEach((repo, rank) => {
+                const distance = NODE_SPACING * Math.sqrt(rank);
+                const turn = rank * GOLDEN_ANGLE;
+
+                nodes.push({
+                    id: repo.id,
+                    repo: repo,
+                    cluster: group.title,
+                    position: {
+                        x: center.x + distance * Math.cos(turn),
+                        y: center.y + ((rank % 3) - 1) * 0.22,
+                        z: center.z + distance * Math.sin(turn)
+                    },
+                    radius: nodeRadius(repo.stars),
+                    color: repo.language ? repoLanguages.languageColor(repo.language) : NODE_COLOR
+                });
+            });
+        });
+
+        return { clusters: clusters, nodes: nodes };
+    }
+
+    /**
+     * RepositoryGalaxy - Renders the repository list as a 3D galaxy inside
+     * `options.container`: one sphere per repository, sized by stars,
+     * coloured by language and clustered by topic. Hovering shows a tooltip
+     * and clicking opens the repository. Follows the AnimationManager
+     * lifecycle: init, start, stop, resize and dispose.
+     */
+    class RepositoryGalaxy {
+        constructor(options = {}) {
+            this.options = {
+                container: null,
+                onSelect: null,
+                ...options
+            };
+
+            this.THREE = null;
+            this.scene = null;
+            this.camera = null;
+            this.renderer = null;
+            this.group = null;
+            this.geometry = null;
+            this.raycaster = null;
+            this.pointer = null;
+            this.tooltip = null;
+            this.isInitialized = false;
+            this.isRunning = false;
+            this.animationId = null;
+            this.lastTime = 0;
+            this.wasRunning = false;
+
+            // Repository id to { mesh, node, signature }
+            this.nodes = new Map();
+            this.hovered = null;
+
+            // Bind methods
+            this.animate = this.animate.bind(this);
+            this.resize = this.resize.bind(this);
+            this.handlePointerMove = this.handlePointerMove.bind(this);
+            this.handlePointerLeave = this.handlePointerLeave.bind(this);
+            this.handleClick = this.handleClick.bind(this);
+            this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        }
+
+        /**
+         * Whether the galaxy can be shown: WebGL is available and the
+         * visitor has not asked for reduced motion.
+         */
+        static isSupported() {
+            if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+                return false;
+            }
+
+            try {
+                const canvas = document.createElement('canvas');
+
+                return !!(canvas.getContext('webgl') || canvas.getContext('experimental-webgl'));
+            } catch (error) {
+                return false;
+            }
+        }
+
+        /**
+         * Create the scene, camera and renderer inside the container
+         */
+        init() {
+            if (this.isInitialized) {
+                return true;
+            }
+
+            try {
+                const THREE = loadThree();
+
+                if (!THREE || !this.options.container || !RepositoryGalaxy.isSupported()) {
+                    return false;
+                }
+
+                this.THREE = THREE;
+                this.scene = new THREE.Scene();
+                this.camera = new THREE.PerspectiveCamera(50, 1, 0.1, 200);
+                this.renderer = new THREE.WebGLRenderer({ alpha: true, antialias: true });
+                this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+                this.group = new THREE.Group();
+                this.geometry = new THREE.SphereGeometry(1, 24, 16);
+                this.raycaster = new THREE.Raycaster();
+                this.pointer = new THREE.Vector2();
+
+                const light = new THREE.DirectionalLight(0xffffff, 0.8);
+
+                light.position.set(4, 8, 6);
+                this.scene.add(new THREE.AmbientLight(0xffffff, 0.55));
+                this.scene.add(light);
+                this.scene.add(this.group);
+
+                this.tooltip = document.createElement('div');
+                this.tooltip.className = 'repo-galaxy-tooltip';
+                this.tooltip.hidden = true;
+
+                const canvas = this.renderer.domElement;
+
+                canvas.className = 'repo-galaxy-canvas';
+                canvas.addEventListener('pointermove', this.handlePointerMove);
+                canvas.addEventListener('pointerleave', this.handlePointerLeave);
+                canvas.addEventListener('click', this.handleClick);
+                this.options.container.appendChild(canvas);
+                this.options.container.appendChild(this.tooltip);
+
+                window.addEventListener('resize', this.resize);
+                document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+                this.isInitialized = true;
+                this.resize();
+
+                return true;
+            } catch (error) {
+                console.warn('Repository galaxy could not be initialized.', error);
+                this.dispose();
+                return false;
+            }
+        }
+
+        /**
+         * Start the animation loop
+         */
+        start() {
+            if (!this.isInitialized) {
+                return false;
+            }
+
+            if (!this.isRunning) {
+                this.isRunning = true;
+                this.lastTime = 0;
+                this.animationId = requestAnimationFrame(this.animate);
+            }
+
+            return true;
+        }
+
+        /**
+         * Stop the animation loop
+         */
+        stop() {
+            if (this.animationId) {
+                cancelAnimationFrame(this.animationId);
+                this.animationId = null;
+            }
+
+            this.isRunning = false;
+        }
+
+        /**
+         * Animation loop: the galaxy turns slowly, and holds still while a
+         * repository is hovered so it does not slide away from the pointer.
+         */
+        animate(time) {
+            if (!this.isRunning) {
+                return;
+            }
+
+            this.animationId = requestAnimationFrame(this.animate);
+
+            const now = typeof time === 'number' ? time : performance.now();
+            const deltaTime = this.lastTime ? Math.min(now - this.lastTime, 34) / 1000 : 0.016;
+
+            this.lastTime = now;
+
+            if (!this.hovered) {
+                this.group.rotation.y += deltaTime * ROTATION_SPEED;
+            }
+
+            this.render();
+        }
+
+        render() {
+            if (this.isInitialized) {
+                this.renderer.render(this.scene, this.camera);
+            }
+        }
+
+        /**
+         * Bring the nodes in line with `repos`, the same list the card grid
+         * shows: nodes are kept for unchanged repositories, updated for
+         * changed ones and removed for missing ones.
+         */
+        setRepositories(repos, sections) {
+            if (!this.isInitialized) {
+                return;
+            }
+
+            const THREE = this.THREE;
+            const layout = layoutGalaxy(repos, sections);
+            const previous = this.nodes;
+            let extent = 1;
+
+            this.nodes = new Map();
+            layout.nodes.forEach((node) => {
+                const signature = JSON.stringify(node.repo);
+                let entry = previous.get(node.id);
+
+                if (!entry) {
+                    const mesh = new THREE.Mesh(this.geometry, new THREE.MeshLambertMaterial({ color: node.color }));
+
+                    this.group.add(mesh);
+                    entry = { mesh: mesh };
+                } else if (entry.signature !== signature) {
+                    entry.mesh.material.color.set(node.color);
+                }
+
+                previous.delete(node.id);
+                entry.node = node;
+                entry.signature = signature;
+                entry.mesh.userData.id = node.id;
+                entry.mesh.position.set(node.position.x, node.position.y, node.position.z);
+                entry.mesh.scale.setScalar(entry === this.hovered ? node.radius * 1.25 : node.radius);
+                this.nodes.set(node.id, entry);
+                extent = Math.max(extent, Math.hypot(node.position.x, node.position.z) + node.radius);
+            });
+
+            previous.forEach((entry) => {
+                if (entry === this.hovered) {
+                    this.setHovered(null);
+                }
+
+                this.group.remove(entry.mesh);
+                entry.mesh.material.dispose();
+            });
+
+            this.camera.position.set(0, extent * 0.9, extent * 2.1 + 2);
+            this.camera.lookAt(0, 0, 0);
+            this.render();
+        }
+
+        /**
+         * The node under a point of the viewport, or null
+         */
+        pick(clientX, clientY) {
+            if (!this.isInitialized) {
+                return null;
+            }
+
+            const rect = this.renderer.domElement.getBoundingClientRect();
+
+            if (!rect.width || !rect.height) {
+                return null;
+            }
+
+            this.pointer.set((clientX - rect.left) / rect.width * 2 - 1, -(clientY - rect.top) / rect.height * 2 + 1);
+            this.group.updateMatrixWorld();
+            this.raycaster.setFromCamera(this.pointer, this.camera);
+
+            const hit = this.raycaster.intersectObjects(this.group.children)[0];
+
+            return hit ? this.nodes.get(hit.object.userData.id) || null : null;
+        }
+
+        setHovered(entry) {
+            if (this.hovered === entry) {
+                return;
+            }
+
+            if (this.hovered) {
+                this.hovered.mesh.scale.setScalar(this.hovered.node.radius);
+            }
+
+            this.hovered = entry;
+
+            if (entry) {
+                entry.mesh.scale.setScalar(entry.node.radius * 1.25);
+            }
+
+            this.renderer.domElement.style.cursor = entry ? 'pointer' : '';
+            this.render();
+        }
+
+        /**
+         * Fill the tooltip for a node and place it next to the pointer
+         */
+        showTooltip(entry, clientX, clientY) {
+            const repo = entry.node.repo;
+            const rect = this.options.container.getBoundingClientRect();
+            const name = document.createElement('strong');
+            const meta = document.createElement('span');
+            const stars = repo.stars || 0;
+
+            name.textContent = repo.name;
+            meta.textContent = [repo.language, stars + (stars === 1 ? ' star' : ' stars'), entry.node.cluster]
+                .filter(Boolean).join(' · ');
+            this.tooltip.replaceChildren(name, meta);
+            this.tooltip.style.left = (clientX - rect.left + 14) + 'px';
+            this.tooltip.style.top = (clientY - rect.top + 14) + 'px';
+            this.tooltip.hidden = false;
+        }
+
+        handlePointerMove(event) {
+            const entry = this.pick(event.clientX, event.clientY);
+
+            this.setHovered(entry);
+
+            if (entry) {
+                this.showTooltip(entry, event.clientX, event.clientY);
+            } else {
+                this.tooltip.hidden = true;
+            }
+        }
+
+        handlePointerLeave() {
+            this.setHovered(null);
+            this.tooltip.hidden = true;
+        }
+
+        handleClick(event) {
+            const entry = this.pick(event.clientX, event.clientY);
+
+            if (!entry) {
+                return;
+            }
+
+            if (this.options.onSelect) {
+                this.options.onSelect(entry.node.repo);
+            } else {
+                window.open(entry.node.repo.url, '_blank', 'noopener');
+            }
+        }
+
+        handleVisibilityChange() {
+            if (document.hidden) {
+                this.wasRunning = this.isRunning;
+                this.stop();
+            } else if (this.wasRunning) {
+                this.start();
+            }
+        }
+
+        /**
+         * Match the renderer to the container
+         */
+        resize() {
+            if (!this.isInitialized) {
+                return;
+            }
+
+            const width = this.options.container.clientWidth || 1;
+            const height = this.options.container.clientHeight || 1;
+
+            this.camera.aspect = width / height;
+            this.camera.updateProjectionMatrix();
+            this.renderer.setSize(width, height);
+            this.render();
+        }
+
+        /**
+         * Clean up resources
+         */
+        dispose() {
+            this.stop();
+
+            this.nodes.forEach((entry) => {
+                entry.mesh.material.dispose();
+            });
+            this.nodes.clear();
+            this.hovered = null;
+
+            if (this.geometry) {
+                this.geometry.dispose();
+            }
+
+            if (this.renderer) {
+                const canvas = this.renderer.domElement;
+
+                canvas.removeEventListener('pointermove', this.handlePointerMove);
+                canvas.removeEventListener('pointerleave', this.handlePointerLeave);
+                canvas.removeEventListener('click', this.handleClick);
+                this.renderer.dispose();
+
+                if (canvas.parentNode) {
+                    canvas.parentNode.removeChild(canvas);
+                }
+            }
+
+            if (this.tooltip) {
+                this.tooltip.remove();
+            }
+
+            window.removeEventListener('resize', this.resize);
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+            this.scene = null;
+            this.camera = null;
+            this.renderer = null;
+            this.group = null;
+            this.geometry = null;
+            this.tooltip = null;
+            this.isInitialized = false;
+        }
+    }
+
+    return {
+        nodeRadius: nodeRadius,
+        layoutGalaxy: layoutGalaxy,
+        RepositoryGalaxy: RepositoryGalaxy
+    };
+}));
@@ -0,0 +1,189 @@
+const THREE = require('three');
+const repoLanguages = require('../repo-languages.js');
+const { RepositoryGalaxy, layoutGalaxy, nodeRadius } = require('./RepositoryGalaxy.js');
+
+// Everything but the renderer is the real Three.js, so picking is real too.
+jest.mock('three', () => ({
+    ...jest.requireActual('three'),
+    WebGLRenderer: jest.fn()
+}));
+
+describe('RepositoryGalaxy', () => {
+    const repos = [
+        { id: 1, name: 'spde-solver', url: 'https://github.com/u/spde-solver', language: 'Python', stars: 40, topics: ['spde'] },
+        { id: 2, name: 'notes', url: 'https://github.com/u/notes', language: null, stars: 0, topics: ['teaching'] },
+        { id: 3, name: 'particles', url: 'https://github.com/u/particles', language: 'Julia', stars: 3, topics: ['spde'] }
+    ];
+    const sections = [
+        { topic: 'spde', title: 'Stochastic PDEs' },
+        { topic: 'teaching', title: 'Teaching' }
+    ];
+
+    describe('layoutGalaxy', () => {
+        test('should size nodes by stars and colour them by language', () => {
+            const nodes = layoutGalaxy(repos, sections).nodes;
+            const byId = (id) => nodes.find((node) => node.id === id);
+
+            expect(byId(1).radius).toBeGreaterThan(byId(3).radius);
+            expect(byId(3).radius).toBeGreaterThan(byId(2).radius);
+            expect(nodeRadius(1e9)).toBe(0.65);
+            expect(byId(1).color).toBe(repoLanguages.languageColor('Python'));
+            expect(byId(2).color).toBe('#91b18b');
+        });
+
+        test('should cluster by section with the most starred repository at the centre', () => {
+            const layout = layoutGalaxy(repos, sections);
+            const spde = layout.clusters.find((cluster) => cluster.title === 'Stochastic PDEs');
+            const top = layout.nodes.find((node) => node.id === 1);
+
+            expect(layout.clusters.map((cluster) => [cluster.title, cluster.count])).toEqual([['Stochastic PDEs', 2], ['Teaching', 1]]);
+            expect(layout.nodes.find((node) => node.id === 3).cluster).toBe('Stochastic PDEs');
+            expect([top.position.x, top.position.z]).toEqual([spde.center.x, spde.center.z]);
+        });
+
+        test('should cluster by first topic without sections', () => {
+            const layout = layoutGalaxy(repos.concat({ id: 4, name: 'misc', stars: 1 }), []);
+
+            expect(layout.clusters.map((cluster) => cluster.title)).toEqual(['spde', 'teaching', 'Other']);
+        });
+    });
+
+    describe('isSupported', () => {
+        const originalMatchMedia = window.matchMedia;
+        const originalCreateElement = document.createElement;
+
+        afterEach(() => {
+            window.matchMedia = originalMatchMedia;
+            document.createElement = originalCreateElement;
+        });
+
+        test('should be false when reduced motion is preferred', () => {
+            window.matchMedia = jest.fn(() => ({ matches: true }));
+
+            expect(RepositoryGalaxy.isSupported()).toBe(false);
+        });
+
+        test('should follow WebGL support otherwise', () => {
+            const getContext = jest.fn(() => null);
+
+            window.matchMedia = jest.fn(() => ({ matches: false }));
+            document.createElement = jest.fn(() => ({ getContext: getContext }));
+
+            expect(RepositoryGalaxy.isSupported()).toBe(false);
+
+            getContext.mockReturnValue({});
+
+            expect(RepositoryGalaxy.isSupported()).toBe(true);
+        });
+    });
+
+    describe('lifecycle', () => {
+        let container;
+        let galaxy;
+        let renderer;
+
+        beforeEach(() => {
+            container = document.createElement('div');
+            document.body.appendChild(container);
+            renderer = {
+                domElement: document.createElement('div'),
+                setPixelRatio: jest.fn(),
+                setSize: jest.fn(),
+                render: jest.fn(),
+                dispose: jest.fn()
+            };
+            renderer.domElement.getBoundingClientRect = () => ({ left: 0, top: 0, width: 400, height: 300 });
+            THREE.WebGLRenderer.mockImplementation(() => renderer);
+            jest.spyOn(RepositoryGalaxy, 'isSupported').mockReturnValue(true);
+            galaxy = new RepositoryGalaxy({ container: container, onSelect: jest.fn() });
+        });
+
+        afterEach(() => {
+            galaxy.dispose();
+            container.remove();
+            RepositoryGalaxy.isSupported.mockRestore();
+        });
+
+        // Where node `id` is drawn, in client coordinates of the 400 by 300 canvas.
+        const screenPosition = (id) => {
+            const mesh = galaxy.nodes.get(id).mesh;
+            const point = mesh.getWorldPosition(new THREE.Vector3()).project(galaxy.camera);
+
+            return { clientX: (point.x + 1) / 2 * 400, clientY: (1 - point.y) / 2 * 300 };
+        };
+
+        test('should not initialize without support', () => {
+            RepositoryGalaxy.isSupported.mockReturnValue(false);
+
+            expect(galaxy.init()).toBe(false);
+            expect(THREE.WebGLRenderer).not.toHaveBeenCalled();
+            expect(container.children).toHaveLength(0);
+        });
+
+        test('should keep one node per repository in sync with the list', () => {
+            expect(galaxy.init()).toBe(true);
+            galaxy.setRepositories(repos, sections);
+
+            const kept = galaxy.nodes.get(1).mesh;
+
+            expect(galaxy.group.children).toHaveLength(3);
+
+            galaxy.setRepositories([{ ...repos[0], language: 'Julia' }, repos[2]], sections);
+
+            expect(galaxy.group.children).toHaveLength(2);
+            expect(galaxy.nodes.get(1).mesh).toBe(kept);
+            expect('#' + kept.material.color.getHexString()).toBe(repoLanguages.languageColor('Julia'));
+            expect(galaxy.nodes.has(2)).toBe(false);
+        });
+
+        test('should show a tooltip on hover and open the repository on click', () => {
+            galaxy.init();
+            galaxy.setRepositories(repos, sections);
+
+            const point = screenPosition(1);
+
+            renderer.domElement.dispatchEvent(new MouseEvent('pointermove', point));
+
+            expect(galaxy.tooltip.hidden).toBe(false);
+            expect(galaxy.tooltip.textContent).toBe('spde-solverPython · 40 stars · Stochastic PDEs');
+            expect(renderer.domElement.style.cursor).toBe('pointer');
+
+            renderer.domElement.dispatchEvent(new MouseEvent('click', point));
+
+            expect(galaxy.options.onSelect).toHaveBeenCalledWith(repos[0]);
+
+            renderer.domElement.dispatchEvent(new MouseEvent('pointerleave'));
+
+            expect(galaxy.tooltip.hidden).toBe(true);
+            expect(galaxy.hovered).toBeNull();
+        });
+
+        test('should ignore clicks that miss every node', () => {
+            galaxy.init();
+            galaxy.setRepositories(repos, sections);
+            renderer.domElement.dispatchEvent(new MouseEvent('click', { clientX: 1, clientY: 1 }));
+
+            expect(galaxy.options.onSelect).not.toHaveBeenCalled();
+        });
+
+        test('should start, stop and clean up like the AnimationManager', () => {
+            expect(galaxy.start()).toBe(false);
+
+            galaxy.init();
+
+            expect(galaxy.start()).toBe(true);
+            expect(galaxy.isRunning).toBe(true);
+
+            galaxy.stop();
+
+            expect(galaxy.isRunning).toBe(false);
+            expect(galaxy.animationId).toBeNull();
+
+            galaxy.dispose();
+
+            expect(renderer.dispose).toHaveBeenCalled();
+            expect(container.children).toHaveLength(0);
+            expect(galaxy.isInitialized).toBe(false);
+        });
+    });
+});
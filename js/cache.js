@@ -0,0 +1,73 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.cache = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    var PREFIX = 'site:';
+
+    function storage() {
+        try {
+            return window.localStorage || null;
+        } catch (error) {
+            // Access throws when storage is disabled (e.g. blocked cookies).
+            return null;
+        }
+    }
+
+    /**
+     * Read a cached entry. Returns `{ value, savedAt }` or null when the key
+     * is missing, unreadable or storage is unavailable.
+     */
+    function read(key) {
+        var store = storage();
+
+        if (!store) {
+            return null;
+        }
+
+        try {
+            var entry = JSON.parse(store.getItem(PREFIX + key));
+
+            return entry && typeof entry === 'object' && 'value' in entry ? entry : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function write(key, value) {
+        var store = storage();
+
+        if (!store) {
+            return false;
+        }
+
+        try {
+            store.setItem(PREFIX + key, JSON.stringify({ savedAt: Date.now(), value: value }));
+            return true;
+        } catch (error) {
+            // Quota exceeded: the page still works, it just cannot start warm.
+            return false;
+        }
+    }
+
+    function remove(key) {
+        var store = storage();
+
+        if (store) {
+            store.removeItem(PREFIX + key);
+        }
+    }
+
+    return {
+        read: read,
+        write: write,
+        remove: remove
+    };
+}));
@@ -0,0 +1,40 @@
+const cache = require('./cache.js');
+
+describe('cache', () => {
+    beforeEach(() => {
+        window.localStorage.clear();
+    });
+
+    test('should round-trip values with a timestamp', () => {
+        expect(cache.write('repos', { pages: [1, 2] })).toBe(true);
+
+        const entry = cache.read('repos');
+
+        expect(entry.value).toEqual({ pages: [1, 2] });
+        expect(typeof entry.savedAt).toBe('number');
+    });
+
+    test('should return null for missing or corrupt entries', () => {
+        window.localStorage.setItem('site:broken', '{not json');
+
+        expect(cache.read('missing')).toBeNull();
+        expect(cache.read('broken')).toBeNull();
+    });
+
+    test('should remove entries', () => {
+        cache.write('repos', []);
+        cache.remove('repos');
+
+        expect(cache.read('repos')).toBeNull();
+    });
+
+    test('should report failure when storage rejects the write', () => {
+        const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new Error('QuotaExceededError');
+        });
+
+        expect(cache.write('repos', [])).toBe(false);
+
+        setItem.mockRestore();
+    });
+});
@@ -0,0 +1,138 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.cardLoader = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    /**
+     * Load extra data for repository cards only once they scroll into view.
+     * Results are cached under `options.cacheKey` as a map of repository id
+     * to `{ updatedAt, [field]: data }` and reused while the repository's
+     * `updatedAt` is unchanged; `options.seed` provides entries of the same
+     * shape, e.g. from the build-time snapshot, which holds every loader's
+     * field in one entry. Saved and seed entries are matched against the
+     * repository one by one, so a saved entry gone stale never hides a
+     * current seed entry. An entry without the field counts as missing.
+     *
+     * `options.fetch(repo)` resolves to the data, `options.render(card, data,
+     * repo)` shows it and `options.accepts(repo)` (optional) filters which
+     * repositories are loaded at all. `options.label` names the data in
+     * warnings.
+     */
+    function createCardLoader(options) {
+        var cache = options.cache;
+        var cacheKey = options.cacheKey;
+        var field = options.field || 'value';
+        var entry = cache.read(cacheKey);
+        var saved = entry && entry.value && typeof entry.value === 'object' ? entry.value : {};
+        var seed = options.seed || {};
+        var stored = Object.assign({}, saved);
+        var pending = new Map();
+        var observer = null;
+
+        var matches = function (item, repo) {
+            return Boolean(item) && item.updatedAt === repo.updatedAt && item[field] !== undefined;
+        };
+
+        var fresh = function (repo) {
+            if (matches(stored[repo.id], repo)) {
+                return stored[repo.id];
+            }
+
+            return matches(seed[repo.id], repo) ? seed[repo.id] : null;
+        };
+
+        var load = function (card, repo) {
+            var item = fresh(repo);
+
+            if (item) {
+                options.render(card, item[field], repo);
+                return Promise.resolve();
+            }
+
+            return Promise.resolve(repo).then(options.fetch).then(function (data) {
+                var next = { updatedAt: repo.updatedAt };
+
+                next[field] = data;
+                stored[repo.id] = next;
+                cache.write(cacheKey, stored);
+                options.render(card, data, repo);
+            }).catch(function (error) {
+                console.warn((options.label || 'Data') + ' could not be loaded for ' + repo.fullName + '.', error);
+            });
+        };
+
+        if ('IntersectionObserver' in window) {
+            observer = new IntersectionObserver(function (entries) {
+                entries.forEach(function (item) {
+                    if (item.isIntersecting && pending.has(item.target)) {
+                        var repo = pending.get(item.target);
+
+                        pending.delete(item.target);
+                        observer.unobserve(item.target);
+                        load(item.target, repo);
+                    }
+                });
+            }, {
+                rootMargin: '0px 0px 200px'
+            });
+        }
+
+        return {
+            observe: function (card, repo) {
+                if (!repo.fullName || repo.external || (options.accepts && !options.accepts(repo))) {
+                    return;
+                }
+
+                if (!observer || fresh(repo)) {
+                    load(card, repo);
+                    return;
+                }
+
+                pending.set(card, repo);
+                observer.observe(card);
+            },
+            unobserve: function (card) {
+                if (observer && pending.has(card)) {
+                    pending.delete(card);
+                    observer.unobserve(card);
+                }
+            }
+        };
+    }
+
+    /**
+     * Put `element` into `card` right after its stats list, before its footer
+     * or at the end of its header, replacing an earlier element with the
+     * same first class.
+     */
+    function placeInCard(card, element, position) {
+        var existing = card.querySelector('.' + element.classList[0]);
+        var header = card.querySelector('.repo-header');
+
+        if (existing) {
+            existing.remove();
+        }
+
+        if (position === 'header' && header) {
+            header.appendChild(element);
+            return;
+        }
+
+        var stats = card.querySelector('.repo-stats');
+        var anchor = position === 'before-footer' ? card.querySelector('.repo-footer') : stats && stats.nextSibling;
+
+        card.insertBefore(element, anchor || null);
+    }
+
+    return {
+        createCardLoader: createCardLoader,
+        placeInCard: placeInCard
+    };
+}));
@@ -0,0 +1,152 @@
+const cardLoader = require('./card-loader.js');
+const { memoryCache, flushPromises } = require('./test-helpers.js');
+
+describe('cardLoader', () => {
+    const repo = { id: 'github:1', fullName: 'someone/vortex', updatedAt: '2026-01-01T00:00:00Z' };
+
+    describe('createCardLoader', () => {
+        afterEach(() => {
+            delete global.IntersectionObserver;
+        });
+
+        test('should wait for the card to become visible before fetching', async () => {
+            let callback;
+            const observer = { observe: jest.fn(), unobserve: jest.fn() };
+            global.IntersectionObserver = jest.fn((fn) => {
+                callback = fn;
+                return observer;
+            });
+            const fetch = jest.fn().mockResolvedValue('v1.0');
+            const render = jest.fn();
+            const loader = cardLoader.createCardLoader({ cache: memoryCache(), cacheKey: 'extra', fetch, render });
+            const card = document.createElement('article');
+            const dropped = document.createElement('article');
+
+            loader.observe(card, repo);
+            loader.observe(dropped, { ...repo, id: 'github:2' });
+            loader.unobserve(dropped);
+            expect(fetch).not.toHaveBeenCalled();
+
+            callback([{ target: card, isIntersecting: true }, { target: dropped, isIntersecting: true }]);
+            await flushPromises();
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(render).toHaveBeenCalledWith(card, 'v1.0', repo);
+            expect(observer.unobserve).toHaveBeenCalledWith(card);
+        });
+
+        test('should reuse cached results until the repository changes', async () => {
+            const cache = memoryCache();
+            const fetch = jest.fn().mockResolvedValue('v1.0');
+            const render = jest.fn();
+            const create = () => cardLoader.createCardLoader({ cache, cacheKey: 'extra', fetch, render });
+
+            create().observe(document.createElement('article'), repo);
+            await flushPromises();
+            create().observe(document.createElement('article'), repo);
+            await flushPromises();
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(render).toHaveBeenCalledTimes(2);
+
+            create().observe(document.createElement('article'), { ...repo, updatedAt: '2026-02-01T00:00:00Z' });
+            await flushPromises();
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should skip projects that are not on GitHub and keep going after failures', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const fetch = jest.fn().mockRejectedValue(new Error('rate limited'));
+            const render = jest.fn();
+            const loader = cardLoader.createCardLoader({ cache: memoryCache(), cacheKey: 'extra', fetch, render, label: 'Releases' });
+
+            loader.observe(document.createElement('article'), { id: 'external:x', name: 'x', external: true });
+            loader.observe(document.createElement('article'), repo);
+            await flushPromises();
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(render).not.toHaveBeenCalled();
+            expect(warn).toHaveBeenCalledWith('Releases could not be loaded for someone/vortex.', expect.any(Error));
+            warn.mockRestore();
+        });
+
+        test('should store results under the configured field', async () => {
+            const cache = memoryCache();
+            const render = jest.fn();
+            const loader = cardLoader.createCardLoader({ cache, cacheKey: 'extra', field: 'release', fetch: () => Promise.resolve('v1.0'), render });
+            const card = document.createElement('article');
+
+            loader.observe(card, repo);
+            await flushPromises();
+
+            expect(render).toHaveBeenCalledWith(card, 'v1.0', repo);
+            expect(cache.write).toHaveBeenCalledWith('extra', { 'github:1': { updatedAt: repo.updatedAt, release: 'v1.0' } });
+        });
+
+        test('should prefer saved entries over the seed, load what the seed lacks and skip rejected repositories', async () => {
+            const cache = memoryCache({ extra: { 'github:1': { updatedAt: repo.updatedAt, value: 'saved' } } });
+            const render = jest.fn();
+            const fetch = jest.fn();
+            const loader = cardLoader.createCardLoader({
+                cache,
+                cacheKey: 'extra',
+                seed: {
+                    'github:1': { updatedAt: repo.updatedAt, value: 'seed' },
+                    'github:3': { updatedAt: repo.updatedAt, other: 'another loader' }
+                },
+                fetch,
+                render,
+                accepts: (entry) => entry.id !== 'github:2'
+            });
+
+            loader.observe(document.createElement('article'), repo);
+            loader.observe(document.createElement('article'), { ...repo, id: 'github:2' });
+            loader.observe(document.createElement('article'), { ...repo, id: 'github:3' });
+            await flushPromises();
+
+            expect(fetch.mock.calls.map((call) => call[0].id)).toEqual(['github:3']);
+            expect(render.mock.calls[0][1]).toBe('saved');
+        });
+
+        test('should use the seed entry when the saved one is older', async () => {
+            const cache = memoryCache({ extra: { 'github:1': { updatedAt: '2025-06-01T00:00:00Z', value: 'saved' } } });
+            const render = jest.fn();
+            const fetch = jest.fn();
+            const loader = cardLoader.createCardLoader({
+                cache,
+                cacheKey: 'extra',
+                seed: { 'github:1': { updatedAt: repo.updatedAt, value: 'seed' } },
+                fetch,
+                render
+            });
+
+            loader.observe(document.createElement('article'), repo);
+            await flushPromises();
+
+            expect(fetch).not.toHaveBeenCalled();
+            expect(render.mock.calls[0][1]).toBe('seed');
+            expect(cache.write).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('placeInCard', () => {
+        test('should replace an earlier element after the stats or before the footer', () => {
+            const card = document.createElement('article');
+            card.innerHTML = '<ul class="repo-stats"></ul><p class="repo-description"></p><p class="repo-footer"></p>';
+            const first = document.createElement('div');
+            const second = document.createElement('div');
+            const bottom = document.createElement('div');
+            first.className = second.className = 'repo-extra';
+            bottom.className = 'repo-bottom';
+
+            cardLoader.placeInCard(card, first);
+            cardLoader.placeInCard(card, second);
+            cardLoader.placeInCard(card, bottom, 'before-footer');
+
+            expect(Array.from(card.children).map((child) => child.className))
+                .toEqual(['repo-stats', 'repo-extra', 'repo-description', 'repo-bottom', 'repo-footer']);
+            expect(card.querySelector('.repo-extra')).toBe(second);
+        });
+    });
+});
@@ -0,0 +1,128 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./repo-cards.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.contributions = factory(root.Site.repoCards);
+    }
+}(this, function (repoCards) {
+    'use strict';
+
+    var LISTED = 5;
+
+    function latestFirst(a, b) {
+        return String(b.mergedAt || '').localeCompare(String(a.mergedAt || ''));
+    }
+
+    /**
+     * Group merged pull requests (see `Site.github.normalizePullRequest`) by
+     * target repository: `[{ id, repository, url, count, lastMergedAt,
+     * pullRequests }]`, busiest repositories first and the newest pull
+     * requests first within each.
+     */
+    function groupContributions(pullRequests) {
+        var groups = {};
+
+        pullRequests.forEach(function (pull) {
+            if (!pull.repository) {
+                return;
+            }
+
+            var group = groups[pull.repository] || (groups[pull.repository] = {
+                id: 'contribution:' + pull.repository.toLowerCase(),
+                repository: pull.repository,
+                url: 'https://github.com/' + pull.repository,
+                count: 0,
+                lastMergedAt: null,
+                pullRequests: []
+            });
+
+            group.count += 1;
+            group.pullRequests.push(pull);
+        });
+
+        return Object.keys(groups).map(function (name) {
+            var group = groups[name];
+
+            group.pullRequests.sort(latestFirst);
+            group.lastMergedAt = group.pullRequests[0].mergedAt;
+
+            return group;
+        }).sort(function (a, b) {
+            return b.count - a.count || latestFirst({ mergedAt: a.lastMergedAt }, { mergedAt: b.lastMergedAt }) ||
+                a.repository.localeCompare(b.repository);
+        });
+    }
+
+    /**
+     * The merged pull requests of `user` in one repository on GitHub, for
+     * the link past the ones listed on the card.
+     */
+    function pullRequestsUrl(group, user) {
+        return group.url + '/pulls?q=' + encodeURIComponent('is:pr is:merged author:' + user);
+    }
+
+    /**
+     * A card for one repository contributed to: its name, the number of
+     * merged pull requests and links to the latest of them.
+     */
+    function createContributionCard(group, user) {
+        var card = document.createElement('article');
+        var header = document.createElement('div');
+        var heading = document.createElement('h3');
+        var count = document.createElement('span');
+        var list = document.createElement('ul');
+        var footer = document.createElement('p');
+
+        card.className = 'repo contribution';
+        header.className = 'repo-header';
+        heading.appendChild(repoCards.externalLink(group.url, group.repository));
+        header.appendChild(heading);
+        count.className = 'repo-badge contribution-count';
+        count.textContent = group.count + ' merged';
+        count.title = group.count + (group.count === 1 ? ' merged pull request' : ' merged pull requests');
+        header.appendChild(count);
+        card.appendChild(header);
+
+        list.className = 'contribution-pulls';
+        list.setAttribute('aria-label', 'Merged pull requests');
+        group.pullRequests.slice(0, LISTED).forEach(function (pull) {
+            var item = document.createElement('li');
+            var number = document.createElement('span');
+
+            number.className = 'contribution-number';
+            number.textContent = '#' + pull.number + ' ';
+            item.appendChild(number);
+            item.appendChild(repoCards.externalLink(pull.url, pull.title));
+            list.appendChild(item);
+        });
+        card.appendChild(list);
+
+        footer.className = 'repo-footer';
+
+        if (group.lastMergedAt) {
+            var time = document.createElement('time');
+
+            time.dateTime = group.lastMergedAt;
+            time.title = new Date(group.lastMergedAt).toLocaleDateString('en-GB', { dateStyle: 'long' });
+            time.textContent = 'Last merged ' + repoCards.formatRelativeTime(group.lastMergedAt);
+            footer.appendChild(time);
+        }
+
+        if (group.count > LISTED) {
+            footer.appendChild(repoCards.externalLink(pullRequestsUrl(group, user), 'All ' + group.count + ' pull requests'));
+        }
+
+        card.appendChild(footer);
+
+        return card;
+    }
+
+    return {
+        groupContributions: groupContributions,
+        pullRequestsUrl: pullRequestsUrl,
+        createContributionCard: createContributionCard
+    };
+}));
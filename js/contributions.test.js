@@ -0,0 +1,54 @@
+const contributions = require('./contributions.js');
+
+describe('contributions', () => {
+    const pull = (id, repository, mergedAt) => ({
+        id: `pr:${id}`,
+        number: id,
+        title: `Fix ${id}`,
+        url: `https://github.com/${repository}/pull/${id}`,
+        repository,
+        mergedAt
+    });
+    const pulls = [
+        pull(1, 'numpy/numpy', '2025-05-01T00:00:00Z'),
+        pull(2, 'firedrakeproject/firedrake', '2026-01-01T00:00:00Z'),
+        pull(3, 'numpy/numpy', '2026-02-01T00:00:00Z'),
+        pull(4, 'jax-ml/jax', '2025-01-01T00:00:00Z')
+    ];
+
+    describe('groupContributions', () => {
+        test('should group by repository, busiest and then most recent first', () => {
+            const groups = contributions.groupContributions(pulls);
+
+            expect(groups.map((group) => [group.repository, group.count, group.lastMergedAt])).toEqual([
+                ['numpy/numpy', 2, '2026-02-01T00:00:00Z'],
+                ['firedrakeproject/firedrake', 1, '2026-01-01T00:00:00Z'],
+                ['jax-ml/jax', 1, '2025-01-01T00:00:00Z']
+            ]);
+            expect(groups[0]).toMatchObject({ id: 'contribution:numpy/numpy', url: 'https://github.com/numpy/numpy' });
+            expect(groups[0].pullRequests.map((item) => item.number)).toEqual([3, 1]);
+        });
+    });
+
+    describe('createContributionCard', () => {
+        test('should link the repository and its merged pull requests', () => {
+            const [group] = contributions.groupContributions(pulls);
+            const card = contributions.createContributionCard(group, 'someone');
+
+            expect(card.querySelector('h3 a').href).toBe('https://github.com/numpy/numpy');
+            expect(card.querySelector('.contribution-count').textContent).toBe('2 merged');
+            expect(Array.from(card.querySelectorAll('.contribution-pulls li')).map((item) => item.textContent)).toEqual(['#3 Fix 3', '#1 Fix 1']);
+            expect(card.querySelector('.repo-footer time').dateTime).toBe('2026-02-01T00:00:00Z');
+            expect(card.querySelectorAll('.repo-footer a')).toHaveLength(0);
+        });
+
+        test('should link to the full list past the first five', () => {
+            const many = Array.from({ length: 7 }, (value, index) => pull(index + 10, 'numpy/numpy', `2026-01-0${index + 1}T00:00:00Z`));
+            const card = contributions.createContributionCard(contributions.groupContributions(many)[0], 'someone');
+
+            expect(card.querySelectorAll('.contribution-pulls li')).toHaveLength(5);
+            expect(card.querySelector('.repo-footer a').href)
+                .toBe('https://github.com/numpy/numpy/pulls?q=is%3Apr%20is%3Amerged%20author%3Asomeone');
+        });
+    });
+});
@@ -0,0 +1,147 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./repo-cards.js'), require('./card-loader.js'), require('./highlight.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.gists = factory(root.Site.repoCards, root.Site.cardLoader, root.Site.highlight);
+    }
+}(this, function (repoCards, cardLoader, highlight) {
+    'use strict';
+
+    var PREVIEW_LINES = 12;
+
+    /**
+     * A card for a gist (see `Site.github.normalizeGist`), styled like the
+     * repository cards: its first file as the title, the description and
+     * every file with its language.
+     */
+    function createGistCard(gist) {
+        var card = document.createElement('article');
+        var header = document.createElement('div');
+        var heading = document.createElement('h3');
+        var description = document.createElement('p');
+        var files = document.createElement('ul');
+        var footer = document.createElement('p');
+
+        card.className = 'repo gist';
+        header.className = 'repo-header';
+        heading.appendChild(repoCards.externalLink(gist.url, gist.name));
+        header.appendChild(heading);
+        card.appendChild(header);
+        description.className = 'repo-description';
+        description.textContent = gist.description || 'No description available.';
+        card.appendChild(description);
+
+        files.className = 'gist-files';
+        files.setAttribute('aria-label', 'Files');
+        gist.files.forEach(function (file) {
+            var item = document.createElement('li');
+            var name = document.createElement('code');
+
+            item.className = 'gist-file';
+            name.textContent = file.name;
+            item.appendChild(name);
+
+            if (file.language) {
+                var language = document.createElement('span');
+
+                language.className = 'repo-chip';
+                language.textContent = file.language;
+                item.appendChild(language);
+            }
+
+            files.appendChild(item);
+        });
+        card.appendChild(files);
+
+        footer.className = 'repo-footer';
+
+        if (gist.updatedAt) {
+            var time = document.createElement('time');
+
+            time.dateTime = gist.updatedAt;
+            time.title = new Date(gist.updatedAt).toLocaleDateString('en-GB', { dateStyle: 'long' });
+            time.textContent = 'Updated ' + repoCards.formatRelativeTime(gist.updatedAt);
+            footer.appendChild(time);
+        }
+
+        footer.appendChild(repoCards.externalLink(gist.url, 'View gist'));
+        card.appendChild(footer);
+
+        return card;
+    }
+
+    /**
+     * Keep the first lines of `file` (see `Site.github.fetchGistFile`) as
+     * `{ name, language, content, more }`, where `more` says lines were cut.
+     */
+    function previewOf(file) {
+        if (!file) {
+            return null;
+        }
+
+        var lines = file.content.replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+
+        return {
+            name: file.name,
+            language: file.language,
+            content: lines.slice(0, PREVIEW_LINES).join('\n'),
+            more: lines.length > PREVIEW_LINES
+        };
+    }
+
+    function createPreview(preview) {
+        var figure = document.createElement('figure');
+        var pre = document.createElement('pre');
+        var code = document.createElement('code');
+        var caption = document.createElement('figcaption');
+
+        figure.className = 'gist-preview';
+        pre.tabIndex = 0;
+        pre.setAttribute('aria-label', 'Preview of ' + preview.name);
+
+        if (preview.language) {
+            code.className = 'language-' + preview.language.toLowerCase().replace(/[^\w+#.-]+/g, '-');
+        }
+
+        code.appendChild(highlight.highlight(preview.content, preview.language));
+        pre.appendChild(code);
+        caption.className = 'gist-preview-caption';
+        caption.textContent = preview.more ? 'First ' + PREVIEW_LINES + ' lines of ' + preview.name : preview.name;
+        figure.appendChild(pre);
+        figure.appendChild(caption);
+
+        return figure;
+    }
+
+    /**
+     * Fetch the first file of each gist once its card scrolls into view and
+     * show its opening lines, highlighted, above the footer. See
+     * `createCardLoader` for caching.
+     */
+    function createGistPreviewLoader(options) {
+        return cardLoader.createCardLoader({
+            cache: options.cache,
+            cacheKey: options.cacheKey,
+            field: 'preview',
+            label: 'Gist preview',
+            fetch: function (gist) {
+                return Promise.resolve(options.fetchGistFile(gist)).then(previewOf);
+            },
+            render: function (card, preview) {
+                if (preview && preview.content) {
+                    cardLoader.placeInCard(card, createPreview(preview), 'before-footer');
+                }
+            }
+        });
+    }
+
+    return {
+        createGistCard: createGistCard,
+        previewOf: previewOf,
+        createPreview: createPreview,
+        createGistPreviewLoader: createGistPreviewLoader
+    };
+}));
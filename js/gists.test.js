@@ -0,0 +1,63 @@
+const gists = require('./gists.js');
+const { memoryCache, flushPromises } = require('./test-helpers.js');
+
+describe('gists', () => {
+    const gist = {
+        id: 'gist:abc',
+        gistId: 'abc',
+        name: 'euler_maruyama.py',
+        fullName: 'someone/abc',
+        url: 'https://gist.github.com/someone/abc',
+        description: 'Euler–Maruyama for an Ornstein–Uhlenbeck process',
+        language: 'Python',
+        files: [{ name: 'euler_maruyama.py', language: 'Python' }, { name: 'notes.txt', language: null }],
+        public: true,
+        updatedAt: '2026-01-01T00:00:00Z'
+    };
+
+    describe('createGistCard', () => {
+        test('should list every file with its language', () => {
+            const card = gists.createGistCard(gist);
+
+            expect(card.querySelector('h3 a').href).toBe('https://gist.github.com/someone/abc');
+            expect(card.querySelector('.repo-description').textContent).toBe(gist.description);
+            expect(Array.from(card.querySelectorAll('.gist-file')).map((item) => item.textContent)).toEqual(['euler_maruyama.pyPython', 'notes.txt']);
+            expect(card.querySelector('.repo-footer time').dateTime).toBe('2026-01-01T00:00:00Z');
+        });
+    });
+
+    describe('previewOf', () => {
+        test('should keep the first lines and say whether there are more', () => {
+            const content = Array.from({ length: 20 }, (value, index) => `x${index} = ${index}`).join('\r\n');
+
+            expect(gists.previewOf({ name: 'a.py', language: 'Python', content })).toEqual({
+                name: 'a.py',
+                language: 'Python',
+                content: content.split('\r\n').slice(0, 12).join('\n'),
+                more: true
+            });
+            expect(gists.previewOf({ name: 'b.py', language: null, content: 'pass\n\n' }).more).toBe(false);
+            expect(gists.previewOf(null)).toBeNull();
+        });
+    });
+
+    describe('createGistPreviewLoader', () => {
+        test('should show the highlighted opening of the first file above the footer', async () => {
+            const card = gists.createGistCard(gist);
+            const fetchGistFile = jest.fn().mockResolvedValue({ name: 'euler_maruyama.py', language: 'Python', content: 'import numpy as np\n' });
+            const cache = memoryCache();
+
+            gists.createGistPreviewLoader({ cache, cacheKey: 'previews', fetchGistFile }).observe(card, gist);
+            await flushPromises();
+
+            const preview = card.querySelector('.gist-preview');
+
+            expect(fetchGistFile).toHaveBeenCalledWith(gist);
+            expect(preview.nextElementSibling.className).toBe('repo-footer');
+            expect(preview.querySelector('code').className).toBe('language-python');
+            expect(preview.querySelector('.token-keyword').textContent).toBe('import');
+            expect(preview.querySelector('figcaption').textContent).toBe('euler_maruyama.py');
+            expect(cache.write.mock.calls[0][1]['gist:abc'].preview.content).toBe('import numpy as np');
+        });
+    });
+});
@@ -0,0 +1,601 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./remote.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.github = factory(root.Site.remote);
+    }
+}(this, function (remote) {
+    'use strict';
+
+    var API_ROOT = 'https://api.github.com';
+    var RAW_ROOT = 'https://raw.githubusercontent.com';
+    var PAGE_SIZE = 100;
+    var MAX_PAGES = 20;
+    var ACTIVITY_POLLS = 4;
+    var ACTIVITY_DELAY = 2000;
+    // Bump together with the page's cache key whenever the card model changes.
+    var SNAPSHOT_VERSION = 4;
+    // Once GitHub reports a quota as spent, later calls against it fail fast
+    // until reset. Quotas are named as in the `X-RateLimit-Resource` header:
+    // search has its own, most other calls count against `core`.
+    var rateLimitedUntil = {};
+    var client = { apiRoot: API_ROOT, rawRoot: RAW_ROOT, token: null };
+
+    /**
+     * A failed API request: a RemoteError (see `Site.remote`) whose `kind`
+     * may also be `rate-limit` or `pending` (statistics still being
+     * computed).
+     */
+    class GitHubError extends remote.RemoteError {
+        constructor(kind, message, details) {
+            super(kind, message, details);
+            this.name = 'GitHubError';
+        }
+    }
+
+    /**
+     * Parse an RFC 8288 `Link` header into a map of rel -> URL.
+     */
+    function parseLinkHeader(header) {
+        var links = {};
+
+        if (!header) {
+            return links;
+        }
+
+        header.split(',').forEach(function (part) {
+            var match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+
+            if (match) {
+                match[2].split(/\s+/).forEach(function (rel) {
+                    links[rel] = match[1];
+                });
+            }
+        });
+
+        return links;
+    }
+
+    function wait(milliseconds) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, milliseconds);
+        });
+    }
+
+    // GitHub and Gitea prefix the quota headers with X-, GitLab does not.
+    function rateLimitHeader(response, name) {
+        return response.headers.get('X-RateLimit-' + name) || response.headers.get('RateLimit-' + name);
+    }
+
+    function rateLimitReset(response) {
+        var retryAfter = Number(response.headers.get('Retry-After'));
+        var reset = Number(rateLimitHeader(response, 'Reset'));
+
+        if (retryAfter > 0) {
+            return new Date(Date.now() + retryAfter * 1000);
+        }
+
+        if (rateLimitHeader(response, 'Remaining') === '0' && reset) {
+            return new Date(reset * 1000);
+        }
+
+        return null;
+    }
+
+    /**
+     * Classify a failed response of GitHub or another forge's API, telling
+     * an exhausted quota (`rate-limit`, with `resetAt`) from other errors.
+     */
+    function responseError(response) {
+        var status = response.status;
+        var resetAt = status === 403 || status === 429 ? rateLimitReset(response) : null;
+
+        if (resetAt) {
+            return new GitHubError('rate-limit', 'API rate limit exceeded', { status: status, resetAt: resetAt });
+        }
+
+        if (status === 404) {
+            return new GitHubError('not-found', 'API resource not found', { status: status });
+        }
+
+        if (status >= 500 || status === 408 || status === 429) {
+            return new GitHubError('server', 'API responded with status ' + status, { status: status });
+        }
+
+        return new GitHubError('http', 'API responded with status ' + status, { status: status });
+    }
+
+    // The quota a request to `url` counts against.
+    function rateLimitResource(url) {
+        return url.indexOf(client.apiRoot + '/search/') === 0 ? 'search' : 'core';
+    }
+
+    function errorForResponse(response, resource) {
+        var error = responseError(response);
+
+        if (error.kind === 'rate-limit') {
+            rateLimitedUntil[response.headers.get('X-RateLimit-Resource') || resource] = error.resetAt.getTime();
+        }
+
+        return error;
+    }
+
+    /**
+     * GET an API URL through `Site.remote.request`; `options.headers` may
+     * replace the GitHub `Accept` header for other hosts, and `timeout` and
+     * `retries` are passed on. Resolves with OK and 304 responses; rejects
+     * with a GitHubError.
+     */
+    async function request(url, options) {
+        var config = options || {};
+        var headers = Object.assign({ Accept: 'application/vnd.github+json' }, config.headers);
+
+        if (client.token) {
+            headers.Authorization = 'Bearer ' + client.token;
+        }
+
+        var resource = rateLimitResource(url);
+
+        if (rateLimitedUntil[resource] > Date.now()) {
+            throw new GitHubError('rate-limit', 'API rate limit exceeded', { status: 403, resetAt: new Date(rateLimitedUntil[resource]) });
+        }
+
+        try {
+            return await remote.request(url, {
+                headers: headers,
+                timeout: config.timeout,
+                retries: config.retries,
+                errorFor: function (response) {
+                    return errorForResponse(response, resource);
+                }
+            });
+        } catch (error) {
+            throw error instanceof GitHubError ? error : new GitHubError(error.kind, 'API request failed: ' + error.message, error);
+        }
+    }
+
+    /**
+     * A sentence telling visitors what went wrong and when to come back;
+     * see `Site.remote.describeError`. `host` names the service in the
+     * message and defaults to GitHub.
+     */
+    function describeError(error, now, host) {
+        var name = host || 'GitHub';
+
+        if (error && error.kind === 'not-found') {
+            return 'The ' + name + ' account could not be found.';
+        }
+
+        return remote.describeError(error, now, name);
+    }
+
+    /**
+     * Point the client at another API root and raw file host (GitHub
+     * Enterprise, or a fixture server in tests) and/or authenticate it. Only
+     * the build script uses a token; the browser always talks to GitHub
+     * anonymously.
+     */
+    function configure(options) {
+        client = {
+            apiRoot: (options.apiRoot || API_ROOT).replace(/\/+$/, ''),
+            rawRoot: (options.rawRoot || RAW_ROOT).replace(/\/+$/, ''),
+            token: options.token || null
+        };
+    }
+
+    function repositoriesUrl(user) {
+        return client.apiRoot + '/users/' + encodeURIComponent(user) + '/repos?sort=updated&per_page=' + PAGE_SIZE;
+    }
+
+    /**
+     * Map a GitHub repository onto the card model shared by all providers
+     * (see js/providers.js), keeping the cached list small.
+     */
+    function normalizeRepository(repo) {
+        var license = repo.license && repo.license.spdx_id;
+
+        return {
+            id: 'github:' + repo.id,
+            provider: 'github',
+            name: repo.name,
+            fullName: repo.full_name,
+            url: repo.html_url,
+            branch: repo.default_branch || null,
+            description: repo.description || null,
+            language: repo.language || null,
+            fork: Boolean(repo.fork),
+            private: Boolean(repo.private),
+            archived: Boolean(repo.archived),
+            stars: repo.stargazers_count || 0,
+            forks: repo.forks_count || 0,
+            topics: repo.topics || [],
+            license: license && license !== 'NOASSERTION' ? license : null,
+            homepage: repo.homepage || null,
+            updatedAt: repo.pushed_at || null,
+            readme: true
+        };
+    }
+
+    function collectRepositories(pages) {
+        var seen = {};
+        var repos = [];
+
+        pages.forEach(function (page) {
+            page.repos.forEach(function (repo) {
+                if (!seen[repo.id]) {
+                    seen[repo.id] = true;
+                    repos.push(repo);
+                }
+            });
+        });
+
+        return repos;
+    }
+
+    /**
+     * Fetch a paginated listing by following the `Link: rel="next"` chain,
+     * mapping each item through `options.normalize`; `options.select` picks
+     * the list out of response bodies that wrap it, such as search results,
+     * and `options.request(url, { headers })` replaces `request` for hosts
+     * other than GitHub. `onPage` is called with the new repositories of
+     * each page as it arrives, so callers can render progressively.
+     *
+     * Passing the `previous` result revalidates it: each page already seen is
+     * requested with `If-None-Match`, and a 304 reuses the cached page (GitHub
+     * does not count 304s against the rate limit). The result is
+     * `{ pages, repos, changed }`, where `pages` is what should be cached.
+     */
+    async function fetchPages(firstUrl, options) {
+        var settings = options || {};
+        var previousPages = settings.previous ? settings.previous.pages : [];
+        var url = firstUrl;
+        var pages = [];
+        var repos = [];
+        var changed = !settings.previous;
+        var get = settings.request || request;
+
+        while (url && pages.length < MAX_PAGES) {
+            var cachedPage = findPage(previousPages, url);
+            var headers = Object.assign({}, settings.headers);
+            var page;
+
+            if (cachedPage && cachedPage.etag) {
+                headers['If-None-Match'] = cachedPage.etag;
+            }
+
+            var response = await get(url, { headers: headers });
+
+            if (response.status === 304 && cachedPage) {
+                page = cachedPage;
+            } else if (response.ok) {
+                var body = await response.json();
+
+                page = {
+                    url: url,
+                    etag: response.headers.get('ETag'),
+                    next: parseLinkHeader(response.headers.get('Link')).next || null,
+                    repos: (settings.select ? settings.select(body) : body).map(settings.normalize)
+                };
+                changed = changed || !cachedPage || JSON.stringify(cachedPage.repos) !== JSON.stringify(page.repos);
+            } else {
+                throw new GitHubError('http', 'Unexpected 304 for an uncached page', { status: response.status });
+            }
+
+            var known = repos.length;
+
+            pages.push(page);
+            repos = collectRepositories(pages);
+
+            if (settings.onPage) {
+                settings.onPage(repos.slice(known), repos);
+            }
+
+            url = page.next;
+        }
+
+        if (pages.length !== previousPages.length) {
+            changed = true;
+        }
+
+        return {
+            pages: pages,
+            repos: repos,
+            changed: changed
+        };
+    }
+
+    /**
+     * Every repository of a GitHub user or organisation; see `fetchPages`.
+     */
+    function fetchRepositories(user, options) {
+        return fetchPages(repositoriesUrl(user), Object.assign({}, options, { normalize: normalizeRepository }));
+    }
+
+    /**
+     * Bytes of code per language for `owner/name`, as reported by GitHub.
+     */
+    async function fetchLanguages(fullName) {
+        var response = await request(client.apiRoot + '/repos/' + fullName + '/languages');
+
+        return response.json();
+    }
+
+    /**
+     * Weekly commit totals of `owner/name` over the past year, as `{ start,
+     * totals }` where `start` is the first week in Unix seconds. GitHub
+     * answers 202 while it computes the statistics, so the request is
+     * repeated with growing pauses before giving up; an empty repository
+     * (204) has no weeks.
+     */
+    async function fetchCommitActivity(fullName, options) {
+        var polls = options && options.polls || ACTIVITY_POLLS;
+        var url = client.apiRoot + '/repos/' + fullName + '/stats/commit_activity';
+
+        for (var poll = 0; poll < polls; poll += 1) {
+            if (poll) {
+                await wait(ACTIVITY_DELAY * Math.pow(2, poll - 1));
+            }
+
+            var response = await request(url);
+
+            if (response.status === 204) {
+                return { start: null, totals: [] };
+            }
+
+            if (response.status !== 202) {
+                var weeks = await response.json();
+
+                return {
+                    start: weeks.length ? weeks[0].week : null,
+                    totals: weeks.map(function (week) {
+                        return week.total;
+                    })
+                };
+            }
+        }
+
+        throw new GitHubError('pending', 'Commit activity is still being computed');
+    }
+
+    /**
+     * The latest published release of `owner/name` as `{ kind: 'release',
+     * tag, name, url, publishedAt }`, falling back to the newest tag (`kind:
+     * 'tag'`, without a date). Resolves to null when there is neither.
+     */
+    async function fetchLatestRelease(fullName) {
+        var root = client.apiRoot + '/repos/' + fullName;
+
+        try {
+            var release = await (await request(root + '/releases/latest')).json();
+
+            return {
+                kind: 'release',
+                tag: release.tag_name,
+                name: release.name || release.tag_name,
+                url: release.html_url,
+                publishedAt: release.published_at || null
+            };
+        } catch (error) {
+            if (error.kind !== 'not-found') {
+                throw error;
+            }
+        }
+
+        var tags = await (await request(root + '/tags?per_page=1')).json();
+
+        return tags.length ? {
+            kind: 'tag',
+            tag: tags[0].name,
+            name: tags[0].name,
+            url: 'https://github.com/' + fullName + '/releases/tag/' + encodeURIComponent(tags[0].name),
+            publishedAt: null
+        } : null;
+    }
+
+    /**
+     * Paths of every file of `owner/name` at `ref`, from the recursive tree.
+     */
+    async function fetchFilePaths(fullName, ref) {
+        var response = await request(client.apiRoot + '/repos/' + fullName + '/git/trees/' + encodeURIComponent(ref) + '?recursive=1');
+        var tree = await response.json();
+
+        return (tree.tree || []).filter(function (entry) {
+            return entry.type === 'blob';
+        }).map(function (entry) {
+            return entry.path;
+        });
+    }
+
+    function encodePath(path) {
+        return path.split('/').map(encodeURIComponent).join('/');
+    }
+
+    function decodeBase64(content) {
+        var binary = atob(content.replace(/\s/g, ''));
+        var encoded = '';
+
+        for (var index = 0; index < binary.length; index += 1) {
+            encoded += '%' + ('0' + binary.charCodeAt(index).toString(16)).slice(-2);
+        }
+
+        return decodeURIComponent(encoded);
+    }
+
+    /**
+     * The text of the file at `path` in `owner/name` at `ref`. It comes from
+     * the raw file host, which does not count against the API quota.
+     */
+    async function fetchRawFile(fullName, ref, path) {
+        var url = client.rawRoot + '/' + fullName + '/' + encodePath(ref) + '/' + encodePath(path);
+        var response = await remote.request(url, { headers: { Accept: 'text/plain' } });
+
+        return response.text();
+    }
+
+    /**
+     * The README of `owner/name` as Markdown, with the URLs that relative
+     * links (`htmlUrl`) and images (`downloadUrl`) should resolve against.
+     */
+    async function fetchReadme(fullName) {
+        var response = await request(client.apiRoot + '/repos/' + fullName + '/readme');
+        var readme = await response.json();
+
+        return {
+            markdown: readme.encoding === 'base64' ? decodeBase64(readme.content) : readme.content,
+            htmlUrl: readme.html_url,
+            downloadUrl: readme.download_url
+        };
+    }
+
+    function gistsUrl(user) {
+        return client.apiRoot + '/users/' + encodeURIComponent(user) + '/gists?per_page=' + PAGE_SIZE;
+    }
+
+    /**
+     * Map a gist onto a small model for its card: `{ id, gistId, name,
+     * fullName, url, description, language, files, public, updatedAt }`,
+     * where `files` lists `{ name, language, rawUrl }` and `name` and
+     * `language` come from the first file.
+     */
+    function normalizeGist(gist) {
+        var files = Object.keys(gist.files || {}).map(function (name) {
+            return { name: name, language: gist.files[name].language || null, rawUrl: gist.files[name].raw_url || null };
+        });
+
+        return {
+            id: 'gist:' + gist.id,
+            gistId: gist.id,
+            name: files.length ? files[0].name : gist.id,
+            fullName: (gist.owner ? gist.owner.login + '/' : '') + gist.id,
+            url: gist.html_url,
+            description: gist.description || null,
+            language: files.length ? files[0].language : null,
+            files: files,
+            public: gist.public !== false,
+            updatedAt: gist.updated_at || null
+        };
+    }
+
+    /**
+     * Every gist of a GitHub user; see `fetchPages`.
+     */
+    function fetchGists(user, options) {
+        return fetchPages(gistsUrl(user), Object.assign({}, options, { normalize: normalizeGist }));
+    }
+
+    /**
+     * The first file of `gist` (see `normalizeGist`) as `{ name, language,
+     * content }`, or null for an empty gist. It comes from the raw file
+     * host, which does not count against the API quota.
+     */
+    async function fetchGistFile(gist) {
+        var file = gist.files[0];
+
+        if (!file || !file.rawUrl) {
+            return null;
+        }
+
+        var response = await remote.request(file.rawUrl, { headers: { Accept: 'text/plain' } });
+
+        return {
+            name: file.name,
+            language: file.language,
+            content: await response.text()
+        };
+    }
+
+    /**
+     * Map a pull request from the search API onto `{ id, number, title, url,
+     * repository, mergedAt }`, where `repository` is `owner/name`.
+     */
+    function normalizePullRequest(item) {
+        return {
+            id: 'pr:' + item.id,
+            number: item.number,
+            title: item.title,
+            url: item.html_url,
+            repository: String(item.repository_url || '').replace(/^.*\/repos\//, ''),
+            mergedAt: item.pull_request && item.pull_request.merged_at || item.closed_at || null
+        };
+    }
+
+    /**
+     * Merged pull requests authored by `user` in repositories owned by
+     * someone else, most recently updated first; see `fetchPages`. The search
+     * API has a stricter rate limit of its own.
+     */
+    function fetchContributions(user, options) {
+        var query = 'type:pr is:merged author:' + user + ' -user:' + user;
+        var url = client.apiRoot + '/search/issues?q=' + encodeURIComponent(query) + '&sort=updated&order=desc&per_page=' + PAGE_SIZE;
+
+        return fetchPages(url, Object.assign({}, options, {
+            normalize: normalizePullRequest,
+            select: function (body) {
+                return body.items || [];
+            }
+        }));
+    }
+
+    function findPage(pages, url) {
+        for (var index = 0; index < pages.length; index += 1) {
+            if (pages[index].url === url) {
+                return pages[index];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * The snapshot written at build time by scripts/snapshot-repos.js:
+     * `{ version, source, generatedAt, pages, details }`, where `source` is
+     * the provider key, `pages` has the shape `fetchPages` returns and
+     * `details` maps repository ids to `{ updatedAt, languages, release,
+     * activity, notebooks, stack }`, the data the card loaders would
+     * otherwise fetch (see `Site.cardLoader`); any of them may be missing.
+     * Resolves to null when there is none.
+     */
+    async function loadSnapshot(url) {
+        try {
+            var snapshot = await remote.load(url, { retries: 0 });
+
+            return snapshot && snapshot.version === SNAPSHOT_VERSION && Array.isArray(snapshot.pages) ? snapshot : null;
+        } catch (error) {
+            if (error.kind !== 'not-found') {
+                console.warn('Repository snapshot could not be loaded.', error);
+            }
+
+            return null;
+        }
+    }
+
+    return {
+        SNAPSHOT_VERSION: SNAPSHOT_VERSION,
+        GitHubError: GitHubError,
+        configure: configure,
+        request: request,
+        responseError: responseError,
+        describeError: describeError,
+        parseLinkHeader: parseLinkHeader,
+        repositoriesUrl: repositoriesUrl,
+        normalizeRepository: normalizeRepository,
+        collectRepositories: collectRepositories,
+        fetchPages: fetchPages,
+        fetchRepositories: fetchRepositories,
+        fetchLanguages: fetchLanguages,
+        fetchCommitActivity: fetchCommitActivity,
+        fetchLatestRelease: fetchLatestRelease,
+        fetchFilePaths: fetchFilePaths,
+        fetchRawFile: fetchRawFile,
+        normalizeGist: normalizeGist,
+        fetchGists: fetchGists,
+        fetchGistFile: fetchGistFile,
+        normalizePullRequest: normalizePullRequest,
+        fetchContributions: fetchContributions,
+        fetchReadme: fetchReadme,
+        loadSnapshot: loadSnapshot
+    };
+}));
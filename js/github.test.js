@@ -0,0 +1,465 @@
+const github = require('./github.js');
+
+function jsonResponse(body, headers = {}) {
+    return {
+        ok: true,
+        status: 200,
+        headers: { get: (name) => headers[name] || null },
+        json: () => Promise.resolve(body)
+    };
+}
+
+function errorResponse(status, headers = {}) {
+    return {
+        ok: false,
+        status,
+        headers: { get: (name) => headers[name] || null },
+        json: () => Promise.resolve({ message: 'error' })
+    };
+}
+
+describe('github', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+        delete global.fetch;
+    });
+
+    describe('parseLinkHeader', () => {
+        test('should map each rel to its URL', () => {
+            const links = github.parseLinkHeader(
+                '<https://api.github.com/user/1/repos?page=2>; rel="next", <https://api.github.com/user/1/repos?page=5>; rel="last"'
+            );
+
+            expect(links).toEqual({
+                next: 'https://api.github.com/user/1/repos?page=2',
+                last: 'https://api.github.com/user/1/repos?page=5'
+            });
+        });
+
+        test('should return an empty map for a missing header', () => {
+            expect(github.parseLinkHeader(null)).toEqual({});
+            expect(github.parseLinkHeader('')).toEqual({});
+        });
+    });
+
+    describe('fetchRepositories', () => {
+        test('should follow the next links and merge every page', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(jsonResponse([{ id: 1 }, { id: 2 }], { Link: '<https://example.test/page2>; rel="next"' }))
+                .mockResolvedValueOnce(jsonResponse([{ id: 2 }, { id: 3 }]));
+            const onPage = jest.fn();
+
+            const result = await github.fetchRepositories('someone', { onPage });
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(global.fetch.mock.calls[0][0]).toBe(github.repositoriesUrl('someone'));
+            expect(global.fetch.mock.calls[1][0]).toBe('https://example.test/page2');
+            expect(result.repos.map((repo) => repo.id)).toEqual(['github:1', 'github:2', 'github:3']);
+            expect(result.changed).toBe(true);
+            expect(onPage).toHaveBeenCalledTimes(2);
+            expect(onPage.mock.calls[0][0].map((repo) => repo.id)).toEqual(['github:1', 'github:2']);
+            expect(onPage.mock.calls[1][0].map((repo) => repo.id)).toEqual(['github:3']);
+        });
+
+        test('should revalidate cached pages with their ETag', async () => {
+            const previous = {
+                pages: [{ url: github.repositoriesUrl('someone'), etag: '"abc"', next: null, repos: [github.normalizeRepository({ id: 1 })] }]
+            };
+            global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 304, headers: { get: () => null } });
+
+            const result = await github.fetchRepositories('someone', { previous });
+
+            expect(global.fetch.mock.calls[0][1].headers['If-None-Match']).toBe('"abc"');
+            expect(result.changed).toBe(false);
+            expect(result.pages).toEqual(previous.pages);
+        });
+
+        test('should report a change when a revalidated page differs', async () => {
+            const previous = {
+                pages: [{ url: github.repositoriesUrl('someone'), etag: '"abc"', next: null, repos: [github.normalizeRepository({ id: 1, name: 'old' })] }]
+            };
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse([{ id: 1, name: 'new' }], { ETag: '"def"' }));
+
+            const result = await github.fetchRepositories('someone', { previous });
+
+            expect(result.changed).toBe(true);
+            expect(result.pages[0].etag).toBe('"def"');
+            expect(result.repos[0].name).toBe('new');
+        });
+
+        test('should reject when a page keeps failing', async () => {
+            jest.useFakeTimers();
+            global.fetch = jest.fn().mockResolvedValue(errorResponse(500));
+
+            const result = expect(github.fetchRepositories('someone')).rejects.toMatchObject({ kind: 'server', status: 500 });
+            await jest.runAllTimersAsync();
+
+            await result;
+            expect(global.fetch).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('normalizeRepository', () => {
+        test('should map the GitHub payload onto the card model', () => {
+            expect(github.normalizeRepository({
+                id: 5,
+                name: 'vortex',
+                full_name: 'someone/vortex',
+                html_url: 'https://github.com/someone/vortex',
+                default_branch: 'main',
+                stargazers_count: 3,
+                license: { spdx_id: 'NOASSERTION', name: 'Other' },
+                pushed_at: '2026-01-01T00:00:00Z',
+                owner: { login: 'someone' }
+            })).toEqual({
+                id: 'github:5',
+                provider: 'github',
+                name: 'vortex',
+                fullName: 'someone/vortex',
+                url: 'https://github.com/someone/vortex',
+                branch: 'main',
+                description: null,
+                language: null,
+                fork: false,
+                private: false,
+                archived: false,
+                stars: 3,
+                forks: 0,
+                topics: [],
+                license: null,
+                homepage: null,
+                updatedAt: '2026-01-01T00:00:00Z',
+                readme: true
+            });
+        });
+    });
+
+    describe('fetchLanguages', () => {
+        test('should request the languages endpoint of the repository', async () => {
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse({ Python: 100 }));
+
+            await expect(github.fetchLanguages('someone/vortex')).resolves.toEqual({ Python: 100 });
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/repos/someone/vortex/languages');
+        });
+    });
+
+    describe('fetchCommitActivity', () => {
+        test('should poll politely while GitHub computes the statistics', async () => {
+            jest.useFakeTimers();
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce({ ok: true, status: 202, headers: { get: () => null }, json: () => Promise.resolve({}) })
+                .mockResolvedValueOnce(jsonResponse([{ week: 100, total: 2, days: [] }, { week: 200, total: 0, days: [] }]));
+
+            const result = github.fetchCommitActivity('someone/vortex');
+            await jest.advanceTimersByTimeAsync(1000);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            await jest.advanceTimersByTimeAsync(1000);
+
+            await expect(result).resolves.toEqual({ start: 100, totals: [2, 0] });
+            expect(global.fetch.mock.calls[1][0]).toBe('https://api.github.com/repos/someone/vortex/stats/commit_activity');
+        });
+
+        test('should give up when the statistics stay pending', async () => {
+            jest.useFakeTimers();
+            global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 202, headers: { get: () => null } });
+
+            const result = expect(github.fetchCommitActivity('someone/vortex', { polls: 2 })).rejects.toMatchObject({ kind: 'pending' });
+            await jest.runAllTimersAsync();
+
+            await result;
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should report no weeks for an empty repository', async () => {
+            global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 204, headers: { get: () => null } });
+
+            await expect(github.fetchCommitActivity('someone/empty')).resolves.toEqual({ start: null, totals: [] });
+        });
+    });
+
+    describe('fetchLatestRelease', () => {
+        test('should describe the latest release', async () => {
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+                tag_name: 'v2.0',
+                name: '',
+                html_url: 'https://github.com/someone/vortex/releases/tag/v2.0',
+                published_at: '2026-05-01T00:00:00Z'
+            }));
+
+            await expect(github.fetchLatestRelease('someone/vortex')).resolves.toEqual({
+                kind: 'release',
+                tag: 'v2.0',
+                name: 'v2.0',
+                url: 'https://github.com/someone/vortex/releases/tag/v2.0',
+                publishedAt: '2026-05-01T00:00:00Z'
+            });
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/repos/someone/vortex/releases/latest');
+        });
+
+        test('should fall back to the newest tag, or nothing', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(errorResponse(404))
+                .mockResolvedValueOnce(jsonResponse([{ name: 'v0.9' }]))
+                .mockResolvedValueOnce(errorResponse(404))
+                .mockResolvedValueOnce(jsonResponse([]));
+
+            await expect(github.fetchLatestRelease('someone/vortex')).resolves.toMatchObject({
+                kind: 'tag',
+                tag: 'v0.9',
+                url: 'https://github.com/someone/vortex/releases/tag/v0.9',
+                publishedAt: null
+            });
+            await expect(github.fetchLatestRelease('someone/vortex')).resolves.toBeNull();
+            expect(global.fetch.mock.calls[1][0]).toBe('https://api.github.com/repos/someone/vortex/tags?per_page=1');
+        });
+    });
+
+    describe('fetchFilePaths', () => {
+        test('should list the files of the recursive tree', async () => {
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+                tree: [
+                    { path: 'notebooks', type: 'tree' },
+                    { path: 'notebooks/intro.ipynb', type: 'blob' },
+                    { path: 'README.md', type: 'blob' }
+                ]
+            }));
+
+            await expect(github.fetchFilePaths('someone/vortex', 'main')).resolves.toEqual(['notebooks/intro.ipynb', 'README.md']);
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/repos/someone/vortex/git/trees/main?recursive=1');
+        });
+    });
+
+    describe('fetchRawFile', () => {
+        test('should read the file from the raw host rather than the API', async () => {
+            global.fetch = jest.fn().mockResolvedValue({ ...jsonResponse(null), text: () => Promise.resolve('numpy\n') });
+
+            await expect(github.fetchRawFile('someone/vortex', 'dev/2', 'env/requirements.txt')).resolves.toBe('numpy\n');
+            expect(global.fetch.mock.calls[0][0]).toBe('https://raw.githubusercontent.com/someone/vortex/dev/2/env/requirements.txt');
+        });
+    });
+
+    describe('fetchGists', () => {
+        test('should list gists with their files', async () => {
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse([{
+                id: 'abc',
+                html_url: 'https://gist.github.com/someone/abc',
+                description: '',
+                public: true,
+                owner: { login: 'someone' },
+                updated_at: '2026-02-01T00:00:00Z',
+                files: {
+                    'walk.jl': { filename: 'walk.jl', language: 'Julia', raw_url: 'https://gist.githubusercontent.com/someone/abc/raw/1f/walk.jl' },
+                    'README.md': { filename: 'README.md', language: 'Markdown' }
+                }
+            }]));
+
+            const result = await github.fetchGists('someone');
+
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/users/someone/gists?per_page=100');
+            expect(result.repos).toEqual([{
+                id: 'gist:abc',
+                gistId: 'abc',
+                name: 'walk.jl',
+                fullName: 'someone/abc',
+                url: 'https://gist.github.com/someone/abc',
+                description: null,
+                language: 'Julia',
+                files: [
+                    { name: 'walk.jl', language: 'Julia', rawUrl: 'https://gist.githubusercontent.com/someone/abc/raw/1f/walk.jl' },
+                    { name: 'README.md', language: 'Markdown', rawUrl: null }
+                ],
+                public: true,
+                updatedAt: '2026-02-01T00:00:00Z'
+            }]);
+        });
+
+        test('should read the first file of a gist from the raw host', async () => {
+            const rawUrl = 'https://gist.githubusercontent.com/someone/abc/raw/1f/walk.jl';
+            global.fetch = jest.fn().mockResolvedValue({ ...jsonResponse(null), text: () => Promise.resolve('x = 1\n') });
+
+            await expect(github.fetchGistFile({ files: [{ name: 'walk.jl', language: 'Julia', rawUrl }] }))
+                .resolves.toEqual({ name: 'walk.jl', language: 'Julia', content: 'x = 1\n' });
+            expect(global.fetch.mock.calls[0][0]).toBe(rawUrl);
+            await expect(github.fetchGistFile({ files: [] })).resolves.toBeNull();
+        });
+    });
+
+    describe('fetchContributions', () => {
+        test('should search merged pull requests in repositories of others', async () => {
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+                total_count: 1,
+                items: [{
+                    id: 77,
+                    number: 12,
+                    title: 'Fix the SDE integrator',
+                    html_url: 'https://github.com/org/lib/pull/12',
+                    repository_url: 'https://api.github.com/repos/org/lib',
+                    closed_at: '2026-03-02T00:00:00Z',
+                    pull_request: { merged_at: '2026-03-01T00:00:00Z' }
+                }]
+            }));
+
+            const result = await github.fetchContributions('someone');
+
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/search/issues?q=' +
+                encodeURIComponent('type:pr is:merged author:someone -user:someone') + '&sort=updated&order=desc&per_page=100');
+            expect(result.repos).toEqual([{
+                id: 'pr:77',
+                number: 12,
+                title: 'Fix the SDE integrator',
+                url: 'https://github.com/org/lib/pull/12',
+                repository: 'org/lib',
+                mergedAt: '2026-03-01T00:00:00Z'
+            }]);
+        });
+    });
+
+    describe('fetchReadme', () => {
+        test('should decode the UTF-8 README and return its base URLs', async () => {
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+                encoding: 'base64',
+                content: Buffer.from('# Vortex ∇·u = 0\n').toString('base64'),
+                html_url: 'https://github.com/someone/vortex/blob/main/README.md',
+                download_url: 'https://raw.githubusercontent.com/someone/vortex/main/README.md'
+            }));
+
+            await expect(github.fetchReadme('someone/vortex')).resolves.toEqual({
+                markdown: '# Vortex ∇·u = 0\n',
+                htmlUrl: 'https://github.com/someone/vortex/blob/main/README.md',
+                downloadUrl: 'https://raw.githubusercontent.com/someone/vortex/main/README.md'
+            });
+            expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/repos/someone/vortex/readme');
+        });
+
+        test('should reject when the repository has no README', async () => {
+
+            global.fetch = jest.fn().mockResolvedValue(errorResponse(404));
+
+            await expect(github.fetchReadme('someone/vortex')).rejects.toMatchObject({ kind: 'not-found', status: 404 });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('request', () => {
+        test('should retry transient failures with backoff', async () => {
+            jest.useFakeTimers();
+            global.fetch = jest.fn()
+                .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+                .mockResolvedValueOnce(errorResponse(502))
+                .mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+            const result = github.request('https://api.github.com/rate_limit');
+            await jest.advanceTimersByTimeAsync(500);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            await jest.runAllTimersAsync();
+
+            await expect(result).resolves.toMatchObject({ status: 200 });
+            expect(global.fetch).toHaveBeenCalledTimes(3);
+        });
+
+        test('should abort requests that exceed the timeout', async () => {
+            jest.useFakeTimers();
+            global.fetch = jest.fn((url, options) => new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+            }));
+
+            const result = expect(github.request('https://api.github.com/x', { timeout: 1000, retries: 0 }))
+                .rejects.toMatchObject({ kind: 'timeout' });
+            await jest.advanceTimersByTimeAsync(1000);
+
+            await result;
+        });
+
+        test('should report the reset time of an exhausted rate limit and stop asking', async () => {
+            let isolated;
+            jest.isolateModules(() => {
+                isolated = require('./github.js');
+            });
+            const reset = Math.floor(Date.now() / 1000) + 20 * 60;
+            global.fetch = jest.fn().mockResolvedValue(errorResponse(403, {
+                'X-RateLimit-Remaining': '0',
+                'X-RateLimit-Reset': String(reset)
+            }));
+
+            const error = await isolated.request('https://api.github.com/x').catch((caught) => caught);
+
+            expect(error).toBeInstanceOf(isolated.GitHubError);
+            expect(error.kind).toBe('rate-limit');
+            expect(error.resetAt.getTime()).toBe(reset * 1000);
+            await expect(isolated.request('https://api.github.com/y')).rejects.toMatchObject({ kind: 'rate-limit' });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should keep asking the core API while only the search quota is spent', async () => {
+            let isolated;
+            jest.isolateModules(() => {
+                isolated = require('./github.js');
+            });
+            global.fetch = jest.fn().mockResolvedValueOnce(errorResponse(403, {
+                'X-RateLimit-Remaining': '0',
+                'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 60),
+                'X-RateLimit-Resource': 'search'
+            })).mockResolvedValue(jsonResponse([]));
+
+            await expect(isolated.request('https://api.github.com/search/issues?q=x')).rejects.toMatchObject({ kind: 'rate-limit' });
+            await expect(isolated.request('https://api.github.com/search/issues?q=y')).rejects.toMatchObject({ kind: 'rate-limit' });
+            await expect(isolated.request('https://api.github.com/users/someone/repos')).resolves.toMatchObject({ status: 200 });
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should treat a 403 with quota left as a plain error', async () => {
+            global.fetch = jest.fn().mockResolvedValue(errorResponse(403, { 'X-RateLimit-Remaining': '42' }));
+
+            await expect(github.request('https://api.github.com/x')).rejects.toMatchObject({ kind: 'http', status: 403 });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('configure', () => {
+        afterEach(() => {
+            github.configure({});
+        });
+
+        test('should send requests to another API root with a token', async () => {
+            github.configure({ apiRoot: 'http://127.0.0.1:9000/', token: 'secret' });
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse({ Python: 1 }));
+
+            await github.fetchLanguages('someone/vortex');
+
+            expect(global.fetch.mock.calls[0][0]).toBe('http://127.0.0.1:9000/repos/someone/vortex/languages');
+            expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer secret');
+        });
+    });
+
+    describe('loadSnapshot', () => {
+        test('should return a snapshot of the current version', async () => {
+            const snapshot = { version: github.SNAPSHOT_VERSION, user: 'someone', pages: [], languages: {} };
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse(snapshot));
+
+            await expect(github.loadSnapshot('data/repos.json')).resolves.toEqual(snapshot);
+        });
+
+        test('should ignore missing and outdated snapshots', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(errorResponse(404))
+                .mockResolvedValueOnce(jsonResponse({ version: 0, pages: [] }));
+
+            await expect(github.loadSnapshot('data/repos.json')).resolves.toBeNull();
+            await expect(github.loadSnapshot('data/repos.json')).resolves.toBeNull();
+        });
+    });
+
+    describe('describeError', () => {
+        test('should tell visitors when the rate limit resets', () => {
+            const now = Date.now();
+            const error = new github.GitHubError('rate-limit', 'limited', { status: 403, resetAt: new Date(now + 14.5 * 60000) });
+
+            expect(github.describeError(error, now)).toMatch(/available again at .+ \(in 15 minutes\)\.$/);
+        });
+
+        test('should distinguish unreachable from failing servers', () => {
+            expect(github.describeError(new github.GitHubError('timeout', 'slow'))).toMatch(/could not be reached/);
+            expect(github.describeError(new github.GitHubError('server', 'down', { status: 503 }))).toMatch(/try again in a few minutes/);
+        });
+    });
+});
@@ -0,0 +1,190 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.highlight = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    /*
+     * A small syntax highlighter for code previews. It only tells comments,
+     * strings, numbers and keywords apart, which is plenty for a few lines
+     * of a snippet, and builds DOM nodes rather than markup so the source is
+     * never parsed as HTML.
+     */
+
+    var NUMBER = /(?:0x[\da-f]+|\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)(?:im|[jl])?/i.source;
+    var QUOTED = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/.source;
+    var C_COMMENTS = /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/.source;
+
+    var C_KEYWORDS = 'auto break case char const continue default do double else enum extern float for goto if inline int long ' +
+        'register return short signed sizeof static struct switch typedef union unsigned void volatile while';
+    var SYNTAX = {
+        python: {
+            comment: /#.*/.source,
+            string: /[rbfu]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/.source + '|' + /[rbfu]{0,2}/.source + '(?:' + QUOTED + ')',
+            keywords: 'and as assert async await break class continue def del elif else except False finally for from global if ' +
+                'import in is lambda None nonlocal not or pass raise return True try while with yield'
+        },
+        julia: {
+            comment: /#=[\s\S]*?(?:=#|$)|#.*/.source,
+            string: /"""[\s\S]*?(?:"""|$)/.source + '|' + QUOTED,
+            keywords: 'abstract baremodule begin break catch const continue do else elseif end export false finally for function ' +
+                'global if import in isa let local macro module mutable nothing quote return struct true try type using where while'
+        },
+        javascript: {
+            comment: C_COMMENTS,
+            string: /`(?:[^`\\]|\\.)*`/.source + '|' + QUOTED,
+            keywords: 'async await break case catch class const continue debugger default delete do else export extends false ' +
+                'finally for function if import in instanceof let new null of return super switch this throw true try typeof ' +
+                'undefined var void while with yield interface type enum implements'
+        },
+        r: {
+            comment: /#.*/.source,
+            string: QUOTED,
+            keywords: 'break else FALSE for function if in Inf NA NaN next NULL repeat return TRUE while library require'
+        },
+        matlab: {
+            comment: /%\{[\s\S]*?(?:%\}|$)|%.*/.source,
+            string: /"(?:[^"\n]|"")*"/.source,
+            keywords: 'break case catch classdef continue else elseif end for function global if otherwise parfor persistent ' +
+                'return switch try while'
+        },
+        c: {
+            comment: C_COMMENTS,
+            string: QUOTED,
+            keywords: C_KEYWORDS + ' bool class delete false namespace new nullptr private protected public template this ' +
+                'throw true try catch using virtual'
+        },
+        shell: {
+            comment: /#.*/.source,
+            string: QUOTED,
+            keywords: 'case do done echo elif else esac exit export fi for function if in local return set then until while'
+        },
+        fortran: {
+            comment: /!.*/.source,
+            string: QUOTED,
+            keywords: 'allocatable call character contains do else end function if implicit in integer intent module none ' +
+                'out parameter program real return subroutine then use'
+        }
+    };
+    // GitHub language names (lower case) to the syntax above.
+    var ALIASES = {
+        python: 'python',
+        julia: 'julia',
+        javascript: 'javascript',
+        typescript: 'javascript',
+        json: 'javascript',
+        r: 'r',
+        matlab: 'matlab',
+        octave: 'matlab',
+        c: 'c',
+        'c++': 'c',
+        cuda: 'c',
+        shell: 'shell',
+        bash: 'shell',
+        fortran: 'fortran'
+    };
+    var compiled = {};
+
+    function grammar(language) {
+        var name = ALIASES[String(language || '').toLowerCase()];
+
+        if (!name) {
+            return null;
+        }
+
+        if (!compiled[name]) {
+            var syntax = SYNTAX[name];
+
+            compiled[name] = {
+                pattern: new RegExp('(' + syntax.comment + ')|(' + syntax.string + ')|(' + NUMBER + ')|([A-Za-z_][\\w]*)', 'g'),
+                keywords: syntax.keywords.split(' ')
+            };
+        }
+
+        return compiled[name];
+    }
+
+    /**
+     * Split `source` into `[{ type, text }]` tokens, where `type` is
+     * comment, string, number, keyword or null for plain text. Languages
+     * without a grammar come back as a single plain token.
+     */
+    function tokenize(source, language) {
+        var rules = grammar(language);
+        var tokens = [];
+        var last = 0;
+        var match;
+
+        var push = function (type, text) {
+            var previous = tokens[tokens.length - 1];
+
+            if (previous && previous.type === type) {
+                previous.text += text;
+            } else if (text) {
+                tokens.push({ type: type, text: text });
+            }
+        };
+
+        if (!rules) {
+            return source ? [{ type: null, text: source }] : [];
+        }
+
+        rules.pattern.lastIndex = 0;
+
+        while ((match = rules.pattern.exec(source))) {
+            var type = null;
+
+            if (match[1]) {
+                type = 'comment';
+            } else if (match[2]) {
+                type = 'string';
+            } else if (match[3]) {
+                type = 'number';
+            } else if (rules.keywords.indexOf(match[4]) !== -1) {
+                type = 'keyword';
+            }
+
+            push(null, source.slice(last, match.index));
+            push(type, match[0]);
+            last = rules.pattern.lastIndex;
+        }
+
+        push(null, source.slice(last));
+
+        return tokens;
+    }
+
+    /**
+     * `source` as text nodes and `span.token-<type>` elements, ready to go
+     * into a `<code>` element.
+     */
+    function highlight(source, language) {
+        var fragment = document.createDocumentFragment();
+
+        tokenize(source, language).forEach(function (token) {
+            if (!token.type) {
+                fragment.appendChild(document.createTextNode(token.text));
+                return;
+            }
+
+            var span = document.createElement('span');
+
+            span.className = 'token-' + token.type;
+            span.textContent = token.text;
+            fragment.appendChild(span);
+        });
+
+        return fragment;
+    }
+
+    return {
+        tokenize: tokenize,
+        highlight: highlight
+    };
+}));
@@ -0,0 +1,39 @@
+const highlight = require('./highlight.js');
+
+describe('highlight', () => {
+    describe('tokenize', () => {
+        test('should mark Python keywords, numbers, strings and comments', () => {
+            expect(highlight.tokenize('import numpy as np\nx2 = np.sqrt(2.5e-3)  # root\ns = f"a{x}"', 'Python')).toEqual([
+                { type: 'keyword', text: 'import' },
+                { type: null, text: ' numpy ' },
+                { type: 'keyword', text: 'as' },
+                { type: null, text: ' np\nx2 = np.sqrt(' },
+                { type: 'number', text: '2.5e-3' },
+                { type: null, text: ')  ' },
+                { type: 'comment', text: '# root' },
+                { type: null, text: '\ns = ' },
+                { type: 'string', text: 'f"a{x}"' }
+            ]);
+        });
+
+        test('should find block comments and leave comment markers inside strings alone', () => {
+            expect(highlight.tokenize('#= a =# s = "# no"', 'Julia').map((token) => token.type)).toEqual(['comment', null, 'string']);
+            expect(highlight.tokenize('x /* a */ + "//"', 'TypeScript').map((token) => token.type)).toEqual([null, 'comment', null, 'string']);
+        });
+
+        test('should keep languages without a grammar as plain text', () => {
+            expect(highlight.tokenize('main = print 1', 'Haskell')).toEqual([{ type: null, text: 'main = print 1' }]);
+            expect(highlight.tokenize('', null)).toEqual([]);
+        });
+    });
+
+    describe('highlight', () => {
+        test('should build text nodes and token spans without parsing markup', () => {
+            const code = document.createElement('code');
+
+            code.appendChild(highlight.highlight('return "<b>"', 'JavaScript'));
+
+            expect(code.innerHTML).toBe('<span class="token-keyword">return</span> <span class="token-string">"&lt;b&gt;"</span>');
+        });
+    });
+});
@@ -4,15 +4,126 @@
     var reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
     var revealObserver = null;
     var particleCleanup = null;
+    // Teardown of the current page's widgets, run before the router swaps it.
+    var pageCleanups = [];
+    var pageCount = 0;
+    var pagePrefetcher = null;
+    var NAV_LINKS = '.main-menu a, .mobile-menu a';
+    var HOVER_DELAY = 65;
+    var SKELETON_CARDS = 6;
 
     document.addEventListener('DOMContentLoaded', function () {
         initNavigation();
-        markCurrentPage();
-        initReveals();
         initParticleBackground();
-        loadGitHubRepos();
+        initPrefetch();
+        initRouter();
+        initPage();
     });
 
+    // Everything that depends on the page content, run again after each swap.
+    // Settles once the listings the page loads are in place.
+    function initPage() {
+        markCurrentPage();
+        initTableOfContents();
+        initReveals();
+
+        return Promise.all([loadGitHubRepos(), loadContributions(), loadGists()]);
+    }
+
+    function leavePage() {
+        var cleanups = pageCleanups;
+
+        pageCount += 1;
+        pageCleanups = [];
+        cleanups.forEach(function (cleanup) {
+            cleanup();
+        });
+
+        if (revealObserver) {
+            revealObserver.disconnect();
+            revealObserver = null;
+        }
+    }
+
+    /**
+     * Follow links between the site's pages without a full reload, see
+     * `Site.router`, reusing the pages fetched ahead of the click.
+     */
+    function initRouter() {
+        if (!pagePrefetcher) {
+            return;
+        }
+
+        window.Site.router.createRouter({
+            fetchPage: pagePrefetcher.page,
+            leave: leavePage,
+            enter: initPage
+        });
+    }
+
+    /**
+     * Fetch the pages behind the navigation links ahead of the click: on
+     * hover or focus, or on touch screens once the links come into view.
+     * `Site.prefetch` holds on to them for the router and skips the work
+     * on slow or metered connections.
+     */
+    function initPrefetch() {
+        var site = window.Site;
+
+        if (!site || !site.prefetch || !site.router || typeof window.fetch !== 'function' || typeof DOMParser === 'undefined') {
+            return;
+        }
+
+        var hoverTimer = null;
+
+        pagePrefetcher = site.prefetch.createPrefetcher();
+
+        var warm = function (link) {
+            var url = site.router.pageUrl(link);
+
+            if (url && !site.router.isCurrentPage(url)) {
+                pagePrefetcher.warm(url.href);
+            }
+        };
+
+        // A short delay skips links the pointer only passes over.
+        document.addEventListener('mouseover', function (event) {
+            var link = event.target.closest && event.target.closest(NAV_LINKS);
+
+            if (link) {
+                clearTimeout(hoverTimer);
+                hoverTimer = setTimeout(function () {
+                    warm(link);
+                }, HOVER_DELAY);
+            }
+        });
+        document.addEventListener('mouseout', function () {
+            clearTimeout(hoverTimer);
+        });
+        document.addEventListener('focusin', function (event) {
+            var link = event.target.closest && event.target.closest(NAV_LINKS);
+
+            if (link) {
+                warm(link);
+            }
+        });
+
+        if (window.matchMedia && window.matchMedia('(hover: none)').matches && 'IntersectionObserver' in window) {
+            var observer = new IntersectionObserver(function (entries) {
+                entries.forEach(function (entry) {
+                    if (entry.isIntersecting) {
+                        observer.unobserve(entry.target);
+                        warm(entry.target);
+                    }
+                });
+            });
+
+            document.querySelectorAll(NAV_LINKS).forEach(function (link) {
+                observer.observe(link);
+            });
+        }
+    }
+
     function initNavigation() {
         var navbar = document.querySelector('.navbar');
         var button = document.querySelector('.hamburger-button');
@@ -27,60 +138,17 @@
             window.addEventListener('scroll', syncNavbar, { passive: true });
         }
 
-        if (!button || !menu) {
-            return;
-        }
-
-        button.type = 'button';
-        button.setAttribute('aria-label', 'Open navigation menu');
-        button.setAttribute('aria-expanded', 'false');
-        button.setAttribute('aria-controls', 'mobile-menu');
-        menu.id = 'mobile-menu';
-        menu.setAttribute('aria-hidden', 'true');
-
-        var backdrop = document.createElement('button');
-        backdrop.type = 'button';
-        backdrop.className = 'mobile-menu-backdrop';
-        backdrop.setAttribute('aria-label', 'Close navigation menu');
-        document.body.appendChild(backdrop);
-
-        var setMenuOpen = function (open) {
-            button.classList.toggle('is-active', open);
-            menu.classList.toggle('active', open);
-            backdrop.classList.toggle('is-visible', open);
-            document.body.classList.toggle('menu-open', open);
-            button.setAttribute('aria-expanded', String(open));
-            button.setAttribute('aria-label', open ? 'Close navigation menu' : 'Open navigation menu');
-            menu.setAttribute('aria-hidden', String(!open));
-        };
+        if (button && menu && window.Site && window.Site.mobileMenu) {
+            var mobileMenu = window.Site.mobileMenu.createMobileMenu({ button: button, menu: menu });
 
-        button.addEventListener('click', function () {
-            setMenuOpen(!menu.classList.contains('active'));
-        });
-        backdrop.addEventListener('click', function () {
-            setMenuOpen(false);
-        });
-        menu.addEventListener('click', function (event) {
-            if (event.target.closest('a')) {
-                setMenuOpen(false);
-            }
-        });
-        document.addEventListener('keydown', function (event) {
-            if (event.key === 'Escape') {
-                setMenuOpen(false);
-            }
-        });
-        window.addEventListener('resize', function () {
-            if (window.innerWidth > 670) {
-                setMenuOpen(false);
-            }
-        });
+            window.Site.mobileMenu.addSwipeGestures(mobileMenu);
+        }
     }
 
     function markCurrentPage() {
         var filename = window.location.pathname.split('/').pop() || 'index.html';
 
-        document.querySelectorAll('.main-menu a, .mobile-menu a').forEach(function (link) {
+        document.querySelectorAll(NAV_LINKS).forEach(function (link) {
             var href = link.getAttribute('href');
 
             if (href === filename) {
@@ -91,6 +159,33 @@
         });
     }
 
+    /**
+     * List the `h2` headings of `.content-section[data-toc]` above it, see
+     * `Site.pageToc`. Ids are only given to the headings here, so a hash in
+     * the address is followed once they exist.
+     */
+    function initTableOfContents() {
+        var section = document.querySelector('.content-section[data-toc]');
+        var site = window.Site;
+
+        if (!section || !site || !site.pageToc) {
+            return;
+        }
+
+        var toc = site.pageToc.createTableOfContents(section, { reducedMotion: reducedMotion });
+        var target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+
+        if (!toc) {
+            return;
+        }
+
+        pageCleanups.push(toc.dispose);
+
+        if (target && section.contains(target)) {
+            target.scrollIntoView();
+        }
+    }
+
     function initReveals() {
         var elements = document.querySelectorAll('.hero-content, .section-heading, .about-grid, .page-hero .container, .content-card, .repo-container, .site-footer');
 
@@ -226,78 +321,625 @@
 
     async function loadGitHubRepos() {
         var container = document.getElementById('repo-container');
+        var site = window.Site;
 
-        if (!container) {
+        if (!container || !site || !site.remote || !site.github || !site.providers || !site.cache || !site.repoCards ||
+            !site.repoFilters || !site.repoManifest || !site.repoSections || !site.repoLanguages || !site.repoActivity || !site.repoReleases ||
+            !site.notebooks || !site.techStack || !site.markdown || !site.readmePreview) {
             return;
         }
 
-        var status = document.createElement('p');
-        status.className = 'repo-status';
-        status.textContent = 'Loading public projects...';
-        container.appendChild(status);
+        var config = site.providers.readProviderConfig(container.dataset);
+        var provider;
 
         try {
-            var response = await fetch('https://api.github.com/users/filippogiovagnini/repos?sort=updated&per_page=12');
+            provider = site.providers.createProvider(config);
+        } catch (error) {
+            console.error('Repository listing is misconfigured.', error);
+            return;
+        }
+
+        var page = pageCount;
+        var loaded = await Promise.all([
+            site.repoManifest.loadManifest('data/projects.json'),
+            site.github.loadSnapshot('data/repos.json')
+        ]);
+
+        // Another page was swapped in meanwhile; this container is gone.
+        if (page !== pageCount) {
+            return;
+        }
+
+        var manifest = loaded[0];
+        var snapshot = loaded[1] && loaded[1].source === provider.key ? loaded[1] : null;
+        var seed = snapshot ? snapshot.details : null;
+        var trees = {};
+        // The notebook actions and the tech stack read the same file list.
+        var fetchFilePaths = function (repo) {
+            var key = repo.id + '@' + repo.updatedAt;
+
+            trees[key] = trees[key] || Promise.resolve(provider.fetchFilePaths(repo)).catch(function (error) {
+                delete trees[key];
+                throw error;
+            });
+
+            return trees[key];
+        };
 
-            if (!response.ok) {
-                throw new Error('Repository request failed');
+        var loaders = [site.repoLanguages.createLanguageLoader({
+            cache: site.cache,
+            cacheKey: 'languages:v2:' + provider.key,
+            seed: seed,
+            fetchLanguages: provider.fetchLanguages
+        })];
+
+        loaders.push(site.repoReleases.createReleaseLoader({
+            cache: site.cache,
+            cacheKey: 'releases:v1:' + provider.key,
+            seed: seed,
+            fetchRelease: provider.fetchRelease
+        }));
+
+        loaders.push(site.techStack.createTechStackLoader({
+            cache: site.cache,
+            cacheKey: 'stack:v1:' + provider.key,
+            seed: seed,
+            fetchFilePaths: fetchFilePaths,
+            fetchFile: provider.fetchFile
+        }));
+
+        loaders.push(site.notebooks.createNotebookLoader({
+            cache: site.cache,
+            cacheKey: 'notebooks:v1:' + provider.key,
+            seed: seed,
+            fetchFilePaths: fetchFilePaths
+        }));
+
+        if (provider.fetchActivity) {
+            loaders.push(site.repoActivity.createActivityLoader({
+                cache: site.cache,
+                cacheKey: 'activity:v1:' + provider.key,
+                seed: seed,
+                fetchActivity: provider.fetchActivity
+            }));
+        }
+
+        var sections = site.repoSections.readSections(manifest);
+        var galaxy;
+        var hooks = {
+            enhance: function (card, repo) {
+                loaders.forEach(function (loader) {
+                    loader.observe(card, repo);
+                });
+            },
+            release: function (card) {
+                loaders.forEach(function (loader) {
+                    loader.unobserve(card);
+                });
+            },
+            render: function (repos) {
+                galaxy.show(repos);
             }
+        };
+        var view = createRepositoryView(container, hooks, sections);
+
+        galaxy = createGalaxyView(container, sections);
+        initReadmePreview(container, view, provider);
+        pageCleanups.push(view.dispose);
+
+        return loadCardListing(container, {
+            cacheKey: 'repos:v5:' + provider.key,
+            // The build-time snapshot stands in for a missing or older saved
+            // list, so the first paint already shows cards.
+            seed: snapshot ? { value: { pages: snapshot.pages }, savedAt: Date.parse(snapshot.generatedAt) } : null,
+            skeletons: Math.min(config.limit || SKELETON_CARDS, SKELETON_CARDS),
+            noun: ['project', 'projects'],
+            empty: 'Projects will appear here soon.',
+            label: provider.label,
+            profileUrl: provider.profileUrl,
+            fetch: provider.fetchRepositories,
+            render: function (repos) {
+                view.show(site.repoManifest.applyManifest(site.providers.selectRepositories(repos, config), manifest));
+
+                return view.size();
+            }
+        });
+    }
 
-            var repos = await response.json();
-            var publicRepos = repos.filter(function (repo) {
-                return !repo.private && !repo.fork;
+    /**
+     * List the public gists of `data-user` on `#gist-container`, each with a
+     * preview of its first file.
+     */
+    function loadGists() {
+        var container = document.getElementById('gist-container');
+        var site = window.Site;
+
+        if (!container || !container.dataset.user || !site || !site.remote || !site.github || !site.cache || !site.repoCards ||
+            !site.cardLoader || !site.highlight || !site.gists) {
+            return;
+        }
+
+        var user = container.dataset.user;
+        var previews = site.gists.createGistPreviewLoader({
+            cache: site.cache,
+            cacheKey: 'gist-previews:v1:' + user.toLowerCase(),
+            fetchGistFile: site.github.fetchGistFile
+        });
+        var cards = {};
+
+        return loadCardListing(container, {
+            cacheKey: 'gists:v2:' + user.toLowerCase(),
+            skeletons: 3,
+            noun: ['gist', 'gists'],
+            empty: 'No public gists yet.',
+            profileUrl: 'https://gist.github.com/' + encodeURIComponent(user),
+            fetch: function (settings) {
+                return site.github.fetchGists(user, settings);
+            },
+            render: function (gists) {
+                var shown = gists.filter(function (gist) {
+                    return gist.public;
+                });
+
+                cards = syncCards(container, shown, cards, function (gist) {
+                    var card = site.gists.createGistCard(gist);
+
+                    previews.observe(card, gist);
+
+                    return card;
+                }, previews.unobserve);
+
+                return shown.length;
+            }
+        });
+        pageCleanups.push(function () {
+            Object.keys(cards).forEach(function (id) {
+                previews.unobserve(cards[id].card);
             });
+        });
+    }
 
-            status.remove();
+    /**
+     * List the repositories of others that `data-user` on
+     * `#contribution-container` got pull requests merged into, grouped by
+     * repository.
+     */
+    function loadContributions() {
+        var container = document.getElementById('contribution-container');
+        var site = window.Site;
+
+        if (!container || !container.dataset.user || !site || !site.remote || !site.github || !site.cache || !site.repoCards ||
+            !site.contributions) {
+            return;
+        }
 
-            if (!publicRepos.length) {
-                status.textContent = 'Projects will appear here soon.';
-                container.appendChild(status);
+        var user = container.dataset.user;
+        var cards = {};
+
+        return loadCardListing(container, {
+            cacheKey: 'contributions:v1:' + user.toLowerCase(),
+            skeletons: 3,
+            noun: ['contribution', 'contributions'],
+            empty: 'No merged pull requests to other projects yet.',
+            profileUrl: 'https://github.com/search?type=pullrequests&q=' + encodeURIComponent('is:pr is:merged author:' + user + ' -user:' + user),
+            fetch: function (settings) {
+                return site.github.fetchContributions(user, settings);
+            },
+            render: function (pullRequests) {
+                var groups = site.contributions.groupContributions(pullRequests);
+
+                cards = syncCards(container, groups, cards, function (group) {
+                    return site.contributions.createContributionCard(group, user);
+                }, function () {});
+
+                return groups.length;
+            }
+        });
+    }
+
+    /**
+     * Load a paginated listing (see `Site.github.fetchPages`) into
+     * `container` through `Site.remote.revalidate`: the saved pages first,
+     * revalidated with ETags, skeleton cards on a cold start and a single
+     * announcement at the end. `options.fetch(settings)` takes `fetchPages`
+     * settings and `options.render(items)` draws every item so far,
+     * returning how many there are; `noun` is the singular and plural for
+     * messages, and `label` names the service, GitHub by default. Nothing
+     * is drawn once another page has been swapped in.
+     */
+    function loadCardListing(container, options) {
+        var site = window.Site;
+        var page = pageCount;
+
+        return site.remote.revalidate(container, {
+            cacheKey: options.cacheKey,
+            seed: options.seed,
+            placeholders: options.skeletons,
+            noun: options.noun,
+            empty: options.empty,
+            label: options.label || 'GitHub',
+            url: options.profileUrl,
+            describeError: site.github.describeError,
+            placeholder: site.repoCards.createSkeletonCard,
+            valid: function (value) {
+                return Boolean(value) && Array.isArray(value.pages);
+            },
+            items: function (value) {
+                return site.github.collectRepositories(value.pages);
+            },
+            fetch: function (previous, show) {
+                return options.fetch({
+                    previous: previous,
+                    onPage: previous ? null : function (items, all) {
+                        show(all);
+                    }
+                }).then(function (latest) {
+                    return { value: { pages: latest.pages }, items: latest.repos, changed: latest.changed };
+                });
+            },
+            render: function (items) {
+                return page === pageCount ? options.render(items) : 0;
+            }
+        });
+    }
+
+    /**
+     * Keep one card per item at the start of `container`, keyed by `id`:
+     * cards of unchanged items stay, others are built with `create(item)`,
+     * revealed, and the ones dropped are passed to `release(card)`. Returns
+     * the registry to pass on the next call.
+     */
+    function syncCards(container, items, cards, create, release) {
+        var next = {};
+        var cursor = container.firstChild;
+
+        items.forEach(function (item) {
+            var signature = JSON.stringify(item);
+            var entry = cards[item.id];
+
+            if (!entry || entry.signature !== signature) {
+                if (entry) {
+                    cursor = cursor === entry.card ? cursor.nextSibling : cursor;
+                    release(entry.card);
+                    entry.card.remove();
+                }
+
+                entry = { card: create(item), signature: signature };
+                revealElementWhenReady(entry.card);
+            }
+
+            delete cards[item.id];
+            next[item.id] = entry;
+
+            if (entry.card === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                container.insertBefore(entry.card, cursor);
+            }
+        });
+
+        Object.keys(cards).forEach(function (id) {
+            release(cards[id].card);
+            cards[id].card.remove();
+        });
+
+        return next;
+    }
+
+    function initReadmePreview(container, view, provider) {
+        var site = window.Site;
+        var drawer = null;
+
+        container.addEventListener('click', function (event) {
+            var button = event.target.closest('.repo-preview');
+            var repo = button && view.find(button.closest('.repo').getAttribute('data-repo-id'));
+
+            if (!repo || !provider.fetchReadme) {
                 return;
             }
 
-            publicRepos.forEach(function (repo) {
-                var card = createRepositoryCard(repo);
-                container.appendChild(card);
-                revealElementWhenReady(card);
+            drawer = drawer || site.readmePreview.createPreviewDrawer();
+            drawer.open({
+                title: repo.name,
+                sourceUrl: repo.url,
+                sourceLabel: provider.label,
+                trigger: button,
+                load: function () {
+                    return provider.fetchReadme(repo).then(function (readme) {
+                        return site.markdown.sanitizeHtml(site.markdown.renderMarkdown(readme.markdown), {
+                            linkBase: readme.htmlUrl,
+                            imageBase: readme.downloadUrl
+                        });
+                    });
+                }
             });
-        } catch (error) {
-            status.textContent = 'Projects could not be loaded right now. Visit GitHub for the full list.';
-
-            var link = document.createElement('a');
-            link.href = 'https://github.com/filippogiovagnini';
-            link.target = '_blank';
-            link.rel = 'noopener noreferrer';
-            link.textContent = ' Open GitHub.';
-            status.appendChild(link);
+        });
+        pageCleanups.push(function () {
+            if (drawer) {
+                drawer.dispose();
+                drawer = null;
+            }
+        });
+    }
+
+    /**
+     * Own the repository grid and the toolbar above it. `show` replaces the
+     * full list; the cards rendered are the ones matching the filter state,
+     * which is mirrored in the URL query so filtered views can be linked.
+     * `hooks.enhance(card, repo)` runs for every new card and
+     * `hooks.release(card)` for every card taken out of the grid, and
+     * `hooks.render(repos)` gets the repositories shown after every change.
+     * With `sections` (see `Site.repoSections`) the cards are grouped by topic.
+     * `dispose` releases every card, for when the page is left.
+     */
+    function createRepositoryView(container, hooks, sections) {
+        var filters = window.Site.repoFilters;
+        var state = filters.parseFilterState(window.location.search);
+        var repos = [];
+        // The cards and topic sections on screen, by repository and section id.
+        var placed = { cards: {}, sections: {} };
+        var noMatches = document.createElement('p');
+        var toolbar;
+
+        var render = function () {
+            var visible = filters.filterRepositories(repos, state);
+
+            syncRepositoryCards(container, visible, hooks, sections, placed);
+            hooks.render(visible);
+            toolbar.setCount(visible.length, repos.length);
+
+            if (!visible.length && repos.length) {
+                container.appendChild(noMatches);
+            } else {
+                noMatches.remove();
+            }
+        };
+
+        toolbar = filters.createRepositoryToolbar(state, function (next) {
+            var search = filters.serializeFilterState(next, window.location.search);
+
+            state = next;
+            render();
+            window.history.replaceState(window.history.state, '', window.location.pathname + search + window.location.hash);
+        });
+        noMatches.className = 'repo-status';
+        noMatches.textContent = 'No projects match these filters.';
+        container.parentNode.insertBefore(toolbar.element, container);
+
+        return {
+            show: function (next) {
+                repos = next;
+                toolbar.setFacets(repos);
+                render();
+            },
+            size: function () {
+                return repos.length;
+            },
+            dispose: function () {
+                Object.keys(placed.cards).forEach(function (id) {
+                    hooks.release(placed.cards[id].card);
+                });
+                placed = { cards: {}, sections: {} };
+            },
+            find: function (id) {
+                return repos.filter(function (repo) {
+                    return String(repo.id) === id;
+                })[0] || null;
+            }
+        };
+    }
+
+    /**
+     * Offer the repository galaxy (see `Site.repositoryGalaxy`) in place of
+     * the card grid, fed the same repositories as the cards. It is only set
+     * up when first opened, and not offered without WebGL or under reduced
+     * motion, where the grid is all there is.
+     */
+    function createGalaxyView(container, sections) {
+        var Galaxy = window.Site.repositoryGalaxy && window.Site.repositoryGalaxy.RepositoryGalaxy;
+        var repos = [];
+        var galaxy = null;
+        var open = false;
+
+        if (!Galaxy || !Galaxy.isSupported()) {
+            return { show: function () {} };
         }
+
+        var toggle = document.createElement('button');
+        var element = document.createElement('div');
+
+        var describe = function () {
+            element.setAttribute('aria-label', 'Galaxy of ' + repos.length + (repos.length === 1 ? ' project' : ' projects') +
+                ', sized by stars and grouped by topic');
+        };
+
+        var setOpen = function (next) {
+            if (next && !galaxy) {
+                galaxy = new Galaxy({ container: element });
+
+                if (!galaxy.init()) {
+                    galaxy = null;
+                    toggle.remove();
+                    return;
+                }
+
+                pageCleanups.push(function () {
+                    galaxy.dispose();
+                    galaxy = null;
+                });
+            }
+
+            open = next;
+            element.hidden = !open;
+            container.hidden = open;
+            toggle.setAttribute('aria-pressed', String(open));
+
+            if (open) {
+                galaxy.resize();
+                galaxy.setRepositories(repos, sections);
+                galaxy.start();
+            } else if (galaxy) {
+                galaxy.stop();
+            }
+        };
+
+        toggle.type = 'button';
+        toggle.className = 'btn btn-secondary repo-view-toggle';
+        toggle.textContent = 'Galaxy view';
+        toggle.setAttribute('aria-controls', 'repo-galaxy');
+        toggle.setAttribute('aria-pressed', 'false');
+        element.className = 'repo-galaxy';
+        element.id = 'repo-galaxy';
+        element.setAttribute('role', 'img');
+        element.hidden = true;
+        container.parentNode.insertBefore(toggle, container);
+        container.parentNode.insertBefore(element, container);
+
+        toggle.addEventListener('click', function () {
+            setOpen(!open);
+        });
+
+        // Turning on reduced motion mid-visit brings the cards back.
+        var followMotionPreference = function () {
+            if (reducedMotion.matches && open) {
+                setOpen(false);
+            }
+
+            toggle.hidden = reducedMotion.matches;
+        };
+
+        if (reducedMotion && reducedMotion.addEventListener) {
+            reducedMotion.addEventListener('change', followMotionPreference);
+            pageCleanups.push(function () {
+                reducedMotion.removeEventListener('change', followMotionPreference);
+            });
+        }
+
+        return {
+            show: function (next) {
+                repos = next;
+                describe();
+
+                if (open) {
+                    galaxy.setRepositories(repos, sections);
+                }
+            }
+        };
     }
 
-    function createRepositoryCard(repo) {
-        var card = document.createElement('article');
-        var heading = document.createElement('h3');
-        var link = document.createElement('a');
-        var description = document.createElement('p');
-        var language = document.createElement('p');
-
-        card.className = 'repo';
-        link.href = repo.html_url;
-        link.target = '_blank';
-        link.rel = 'noopener noreferrer';
-        link.textContent = repo.name;
-        heading.appendChild(link);
-        description.textContent = repo.description || 'No description available.';
-        language.textContent = repo.language ? 'Language: ' + repo.language : 'Language: not specified';
-        card.appendChild(heading);
-        card.appendChild(description);
-        card.appendChild(language);
-
-        return card;
+    /**
+     * Bring the cards in `container` in line with `repos`: unchanged cards are
+     * kept, changed ones are replaced in place, and missing ones removed.
+     * With topic sections the cards go into one grid per section, and
+     * sections come and go with their cards. Anything that is not a card or
+     * section (such as the status line) stays after them. `placed` holds the
+     * `cards` and `sections` on screen and is updated to the new ones.
+     */
+    function syncRepositoryCards(container, repos, hooks, sections, placed) {
+        var previous = placed.cards;
+
+        placed.cards = {};
+
+        if (sections && sections.length) {
+            syncRepositorySections(container, repos, hooks, sections, placed, previous);
+        } else {
+            placeRepositoryCards(container, repos, hooks, placed.cards, previous);
+        }
+
+        Object.keys(previous).forEach(function (id) {
+            previous[id].card.remove();
+            hooks.release(previous[id].card);
+        });
     }
 
-    window.addEventListener('pagehide', function () {
+    function syncRepositorySections(container, repos, hooks, sections, placed, previousCards) {
+        var site = window.Site;
+        var previous = placed.sections;
+        var cursor = container.firstChild;
+
+        placed.sections = {};
+
+        site.repoSections.groupRepositories(repos, sections).forEach(function (group) {
+            var section = previous[group.id];
+
+            if (!section) {
+                section = site.repoSections.createSection(group);
+                revealElementWhenReady(section.element);
+            }
+
+            delete previous[group.id];
+            placed.sections[group.id] = section;
+
+            if (section.element === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                container.insertBefore(section.element, cursor);
+            }
+
+            section.setCount(group.repos.length);
+            placeRepositoryCards(section.grid, group.repos, hooks, placed.cards, previousCards);
+        });
+
+        Object.keys(previous).forEach(function (id) {
+            previous[id].element.remove();
+        });
+    }
+
+    // Put the cards of `repos` at the start of `grid`, recording them in
+    // `cards` and reusing the entries of `previous` that are still current,
+    // taking them out of it.
+    function placeRepositoryCards(grid, repos, hooks, cards, previous) {
+        var cursor = grid.firstChild;
+
+        repos.forEach(function (repo) {
+            var signature = JSON.stringify(repo);
+            var entry = previous[repo.id];
+            var isNew = !entry;
+            var created = false;
+
+            if (!entry || entry.signature !== signature) {
+                var card = window.Site.repoCards.createRepositoryCard(repo);
+
+                card.setAttribute('data-repo-id', repo.id);
+
+                if (entry) {
+                    card.classList.add('reveal-on-scroll', 'is-visible');
+                    cursor = cursor === entry.card ? card : cursor;
+                    entry.card.replaceWith(card);
+                    hooks.release(entry.card);
+                }
+
+                entry = { card: card, signature: signature };
+                created = true;
+            }
+
+            delete previous[repo.id];
+            cards[repo.id] = entry;
+
+            if (entry.card === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                grid.insertBefore(entry.card, cursor);
+            }
+
+            if (isNew) {
+                revealElementWhenReady(entry.card);
+            }
+
+            if (created) {
+                hooks.enhance(entry.card, repo);
+            }
+        });
+    }
+
+    window.addEventListener('pagehide', function (event) {
         if (particleCleanup) {
             particleCleanup();
         }
+
+        // A page kept in the back/forward cache comes back as it was left.
+        if (!event.persisted) {
+            leavePage();
+        }
     });
 }());
@@ -0,0 +1,480 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.markdown = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    /*
+     * A small Markdown renderer for README previews. `renderMarkdown` turns
+     * Markdown (plus the inline HTML READMEs tend to contain) into an HTML
+     * string; `sanitizeHtml` rebuilds that string as DOM nodes, keeping only
+     * allow-listed elements, attributes and URL schemes. Markup must always go
+     * through `sanitizeHtml` before it reaches the page.
+     */
+
+    var ALLOWED_TAGS = {
+        a: ['href', 'title'],
+        abbr: ['title'],
+        b: [],
+        blockquote: [],
+        br: [],
+        code: ['class'],
+        dd: [],
+        del: [],
+        details: ['open'],
+        div: [],
+        dl: [],
+        dt: [],
+        em: [],
+        h1: ['id'],
+        h2: ['id'],
+        h3: ['id'],
+        h4: ['id'],
+        h5: ['id'],
+        h6: ['id'],
+        hr: [],
+        i: [],
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        kbd: [],
+        li: [],
+        ol: ['start'],
+        p: [],
+        pre: [],
+        s: [],
+        span: [],
+        strong: [],
+        sub: [],
+        summary: [],
+        sup: [],
+        table: [],
+        tbody: [],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan'],
+        thead: [],
+        tr: [],
+        ul: []
+    };
+    // Elements whose content is never shown, rather than merely unwrapped.
+    var DROPPED_TAGS = ['base', 'button', 'embed', 'form', 'iframe', 'input', 'link', 'math', 'meta', 'noscript', 'object', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'title'];
+    var ID_PREFIX = 'readme-';
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Like escapeHtml, but lets entities such as `&copy;` through in prose.
+    function escapeText(text) {
+        return escapeHtml(text).replace(/&amp;(#?\w+;)/g, '&$1');
+    }
+
+    function slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/<[^>]*>/g, '')
+            .replace(/&[a-z]+;|&#\d+;/g, '')
+            .replace(/[^\w\- ]+/g, '')
+            .trim()
+            .replace(/\s+/g, '-');
+    }
+
+    function renderInline(text, sharedStash) {
+        var stash = sharedStash || [];
+        var keep = function (html) {
+            stash.push(html);
+            return '\u0000' + (stash.length - 1) + '\u0000';
+        };
+        var output = text
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, function (match, ticks, code) {
+                return keep('<code>' + escapeHtml(code.trim()) + '</code>');
+            })
+            .replace(/!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, function (match, alt, src, title) {
+                return keep('<img src="' + escapeHtml(src) + '" alt="' + escapeHtml(alt) + '"' + (title ? ' title="' + escapeHtml(title) + '"' : '') + '>');
+            })
+            .replace(/\[((?:[^\[\]]|\u0000\d+\u0000)+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, function (match, label, href, title) {
+                return keep('<a href="' + escapeHtml(href) + '"' + (title ? ' title="' + escapeHtml(title) + '"' : '') + '>' + renderInline(label, stash) + '</a>');
+            })
+            .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/g, function (match, href) {
+                return keep('<a href="' + escapeHtml(href) + '">' + escapeHtml(href.replace(/^mailto:/, '')) + '</a>');
+            })
+            .replace(/<\/?[a-zA-Z][\w-]*(?:\s+[^<>]*)?\/?>|<!--[\s\S]*?-->/g, function (match) {
+                return keep(match);
+            });
+
+        output = escapeText(output)
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/(^|[^\w*])\*(?=\S)([\s\S]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/ {2,}\n|\\\n/g, '<br>\n');
+
+        while (!sharedStash && /\u0000\d+\u0000/.test(output)) {
+            output = output.replace(/\u0000(\d+)\u0000/g, function (match, index) {
+                return stash[Number(index)];
+            });
+        }
+
+        return output;
+    }
+
+    var FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+    var HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+    var RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    var QUOTE = /^ {0,3}> ?/;
+    var LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(\s+|$)/;
+    var HTML_BLOCK = /^ {0,3}<(?:\/?[a-zA-Z][\w-]*[\s>\/]|\/?[a-zA-Z][\w-]*$|!--)/;
+    var TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    function isBlank(line) {
+        return !line || !line.trim();
+    }
+
+    function startsBlock(line) {
+        return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+            LIST_ITEM.test(line) || HTML_BLOCK.test(line);
+    }
+
+    function splitRow(line) {
+        return line.trim().replace(/^\|/, '').replace(/\|$/, '').replace(/\\\|/g, '\u0001').split('|').map(function (cell) {
+            return cell.trim().replace(/\u0001/g, '|');
+        });
+    }
+
+    function renderTable(header, divider, rows) {
+        var aligns = splitRow(divider).map(function (cell) {
+            if (/^:-+:$/.test(cell)) {
+                return 'center';
+            }
+
+            return /-:$/.test(cell) ? 'right' : /^:-/.test(cell) ? 'left' : '';
+        });
+        var row = function (cells, tag) {
+            return '<tr>' + cells.map(function (cell, index) {
+                var align = aligns[index] ? ' class="align-' + aligns[index] + '"' : '';
+
+                return '<' + tag + align + '>' + renderInline(cell) + '</' + tag + '>';
+            }).join('') + '</tr>';
+        };
+
+        return '<table><thead>' + row(splitRow(header), 'th') + '</thead><tbody>' +
+            rows.map(function (line) {
+                return row(splitRow(line), 'td');
+            }).join('') + '</tbody></table>';
+    }
+
+    function renderList(lines, start) {
+        var first = lines[start].match(LIST_ITEM);
+        var ordered = /\d/.test(first[2]);
+        var items = [];
+        var index = start;
+        var loose = false;
+
+        while (index < lines.length) {
+            var match = lines[index].match(LIST_ITEM);
+
+            if (!match || /\d/.test(match[2]) !== ordered) {
+                break;
+            }
+
+            var indent = match[0].length;
+            var body = [lines[index].slice(indent)];
+
+            index += 1;
+
+            while (index < lines.length) {
+                var line = lines[index];
+
+                if (isBlank(line)) {
+                    var next = lines[index + 1];
+
+                    if (next !== undefined && (/^\s/.test(next) && !isBlank(next))) {
+                        body.push('');
+                        loose = true;
+                        index += 1;
+                        continue;
+                    }
+
+                    var sibling = next !== undefined && next.match(LIST_ITEM);
+
+                    if (sibling && sibling[1].length === first[1].length && /\d/.test(sibling[2]) === ordered) {
+                        loose = true;
+                    }
+
+                    index += 1;
+                    break;
+                }
+
+                if (LIST_ITEM.test(line) && line.match(LIST_ITEM)[1].length <= first[1].length) {
+                    break;
+                }
+
+                body.push(line.replace(new RegExp('^ {0,' + indent + '}'), ''));
+                index += 1;
+            }
+
+            items.push(body);
+        }
+
+        var startNumber = ordered ? parseInt(first[2], 10) : 1;
+        var html = items.map(function (body) {
+            var inner = renderBlocks(body);
+
+            if (!loose) {
+                inner = inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+            }
+
+            return '<li>' + inner + '</li>';
+        }).join('');
+
+        return {
+            html: ordered
+                ? '<ol' + (startNumber !== 1 ? ' start="' + startNumber + '"' : '') + '>' + html + '</ol>'
+                : '<ul>' + html + '</ul>',
+            next: index
+        };
+    }
+
+    function renderBlocks(lines) {
+        var html = [];
+        var index = 0;
+
+        while (index < lines.length) {
+            var line = lines[index];
+            var match;
+
+            if (isBlank(line)) {
+                index += 1;
+            } else if ((match = line.match(FENCE))) {
+                var fence = match[1];
+                var code = [];
+
+                index += 1;
+
+                while (index < lines.length && lines[index].trim().indexOf(fence) !== 0) {
+                    code.push(lines[index]);
+                    index += 1;
+                }
+
+                index += 1;
+                html.push('<pre><code' + (match[2] ? ' class="language-' + escapeHtml(match[2]) + '"' : '') + '>' +
+                    escapeHtml(code.join('\n')) + '</code></pre>');
+            } else if ((match = line.match(HEADING))) {
+                var level = match[1].length;
+                var text = match[2] || '';
+
+                html.push('<h' + level + ' id="' + slugify(text) + '">' + renderInline(text) + '</h' + level + '>');
+                index += 1;
+            } else if (RULE.test(line)) {
+                html.push('<hr>');
+                index += 1;
+            } else if (QUOTE.test(line)) {
+                var quoted = [];
+
+                while (index < lines.length && !isBlank(lines[index]) && (QUOTE.test(lines[index]) || !startsBlock(lines[index]))) {
+                    quoted.push(lines[index].replace(QUOTE, ''));
+                    index += 1;
+                }
+
+                html.push('<blockquote>' + renderBlocks(quoted) + '</blockquote>');
+            } else if (LIST_ITEM.test(line)) {
+                var list = renderList(lines, index);
+
+                html.push(list.html);
+                index = list.next;
+            } else if (HTML_BLOCK.test(line)) {
+                var block = [];
+
+                while (index < lines.length && !isBlank(lines[index])) {
+                    block.push(lines[index]);
+                    index += 1;
+                }
+
+                html.push(block.join('\n'));
+            } else if (line.indexOf('|') !== -1 && TABLE_DIVIDER.test(lines[index + 1] || '') && (lines[index + 1] || '').indexOf('-') !== -1) {
+                var rows = [];
+                var header = line;
+                var divider = lines[index + 1];
+
+                index += 2;
+
+                while (index < lines.length && !isBlank(lines[index]) && lines[index].indexOf('|') !== -1) {
+                    rows.push(lines[index]);
+                    index += 1;
+                }
+
+                html.push(renderTable(header, divider, rows));
+            } else if (/^( {4}|\t)/.test(line)) {
+                var indented = [];
+
+                while (index < lines.length && (/^( {4}|\t)/.test(lines[index]) || (isBlank(lines[index]) && /^( {4}|\t)/.test(lines[index + 1] || '')))) {
+                    indented.push(lines[index].replace(/^( {4}|\t)/, ''));
+                    index += 1;
+                }
+
+                html.push('<pre><code>' + escapeHtml(indented.join('\n')) + '</code></pre>');
+            } else {
+                var paragraph = [];
+
+                while (index < lines.length && !isBlank(lines[index]) && (!paragraph.length || !startsBlock(lines[index]))) {
+                    if (paragraph.length && /^ {0,3}=+\s*$/.test(lines[index])) {
+                        break;
+                    }
+
+                    if (paragraph.length && /^ {0,3}-+\s*$/.test(lines[index])) {
+                        break;
+                    }
+
+                    paragraph.push(lines[index]);
+                    index += 1;
+                }
+
+                var setext = lines[index] && paragraph.length && /^ {0,3}(=+|-+)\s*$/.exec(lines[index]);
+                var content = paragraph.join('\n').trim();
+
+                if (setext) {
+                    var tag = setext[1].charAt(0) === '=' ? 'h1' : 'h2';
+
+                    html.push('<' + tag + ' id="' + slugify(content) + '">' + renderInline(content) + '</' + tag + '>');
+                    index += 1;
+                } else {
+                    html.push('<p>' + renderInline(content) + '</p>');
+                }
+            }
+        }
+
+        return html.join('\n');
+    }
+
+    // NUL becomes U+FFFD, as CommonMark asks; the inline stash marks its
+    // placeholders with it, so none can come from the source.
+    function renderMarkdown(source) {
+        return renderBlocks(String(source || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '\uFFFD').split('\n'));
+    }
+
+    function resolveUrl(value, base, allowMailto) {
+        var trimmed = value.trim();
+
+        if (/^#/.test(trimmed)) {
+            return '#' + ID_PREFIX + trimmed.slice(1);
+        }
+
+        try {
+            var url = new URL(trimmed, base || undefined);
+
+            if (url.protocol === 'http:' || url.protocol === 'https:' || (allowMailto && url.protocol === 'mailto:')) {
+                return url.href;
+            }
+        } catch (error) {
+            return null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Rebuild `html` as a DocumentFragment of allow-listed nodes. Relative
+     * `href`s resolve against `options.linkBase` and relative `src`s against
+     * `options.imageBase`; anything that is not http(s) (or mailto for links)
+     * is dropped. Ids are prefixed so README headings cannot clash with the
+     * page's own ids.
+     */
+    function sanitizeHtml(html, options) {
+        var settings = options || {};
+        var parsed = new DOMParser().parseFromString('<!DOCTYPE html><body>' + html, 'text/html');
+        var fragment = document.createDocumentFragment();
+
+        var copyChildren = function (source, target) {
+            Array.prototype.forEach.call(source.childNodes, function (node) {
+                if (node.nodeType === 3) {
+                    target.appendChild(document.createTextNode(node.nodeValue));
+                } else if (node.nodeType === 1) {
+                    copyElement(node, target);
+                }
+            });
+        };
+
+        var copyElement = function (node, target) {
+            var tag = node.nodeName.toLowerCase();
+
+            if (DROPPED_TAGS.indexOf(tag) !== -1) {
+                return;
+            }
+
+            if (!Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, tag)) {
+                copyChildren(node, target);
+                return;
+            }
+
+            var element = document.createElement(tag);
+
+            ALLOWED_TAGS[tag].forEach(function (name) {
+                var value = node.getAttribute(name);
+
+                if (value === null) {
+                    return;
+                }
+
+                if (name === 'href') {
+                    value = resolveUrl(value, settings.linkBase, true);
+                } else if (name === 'src') {
+                    value = resolveUrl(value, settings.imageBase, false);
+                } else if (name === 'open') {
+                    value = 'open';
+                } else if (name === 'id') {
+                    value = ID_PREFIX + value;
+                } else if (name === 'class') {
+                    value = value.split(/\s+/).filter(function (className) {
+                        return /^language-[\w+#.-]+$/.test(className);
+                    }).join(' ');
+                } else if (['width', 'height', 'start', 'colspan', 'rowspan'].indexOf(name) !== -1) {
+                    value = /^\d{1,4}$/.test(value) ? value : null;
+                }
+
+                if (value) {
+                    element.setAttribute(name, value);
+                }
+            });
+
+            if (/^t[dh]$/.test(tag) && /^align-(left|right|center)$/.test(node.getAttribute('class') || '')) {
+                element.className = node.getAttribute('class');
+            }
+
+            if (tag === 'a' && element.hasAttribute('href') && element.getAttribute('href').charAt(0) !== '#') {
+                element.target = '_blank';
+                element.rel = 'noopener noreferrer';
+            }
+
+            if (tag === 'img') {
+                element.setAttribute('loading', 'lazy');
+                element.setAttribute('decoding', 'async');
+                element.setAttribute('referrerpolicy', 'no-referrer');
+
+                if (!element.hasAttribute('src')) {
+                    return;
+                }
+            }
+
+            copyChildren(node, element);
+            target.appendChild(element);
+        };
+
+        copyChildren(parsed.body, fragment);
+
+        return fragment;
+    }
+
+    return {
+        escapeHtml: escapeHtml,
+        renderMarkdown: renderMarkdown,
+        sanitizeHtml: sanitizeHtml
+    };
+}));
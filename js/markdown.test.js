@@ -0,0 +1,93 @@
+const markdown = require('./markdown.js');
+
+function render(source, options) {
+    const container = document.createElement('div');
+
+    container.appendChild(markdown.sanitizeHtml(markdown.renderMarkdown(source), options));
+
+    return container;
+}
+
+describe('markdown', () => {
+    describe('renderMarkdown', () => {
+        test('should render headings with slug ids and inline formatting', () => {
+            expect(markdown.renderMarkdown('## Getting *started*')).toBe('<h2 id="getting-started">Getting <em>started</em></h2>');
+            expect(markdown.renderMarkdown('Some **bold**, `a < b` and ~~old~~ text')).toBe('<p>Some <strong>bold</strong>, <code>a &lt; b</code> and <del>old</del> text</p>');
+        });
+
+        test('should render fenced code blocks verbatim', () => {
+            expect(markdown.renderMarkdown('```python\nprint("<hi>")\n```')).toBe('<pre><code class="language-python">print(&quot;&lt;hi&gt;&quot;)</code></pre>');
+        });
+
+        test('should render nested and ordered lists', () => {
+            expect(markdown.renderMarkdown('- one\n- two\n  - nested\n\n3. three\n4. four')).toBe(
+                '<ul><li>one</li><li>two\n<ul><li>nested</li></ul></li></ul>\n<ol start="3"><li>three</li><li>four</li></ol>'
+            );
+        });
+
+        test('should render blockquotes, rules and tables', () => {
+            expect(markdown.renderMarkdown('> quoted')).toBe('<blockquote><p>quoted</p></blockquote>');
+            expect(markdown.renderMarkdown('***')).toBe('<hr>');
+            expect(markdown.renderMarkdown('| a | b |\n|---|--:|\n| 1 | 2 |')).toBe(
+                '<table><thead><tr><th>a</th><th class="align-right">b</th></tr></thead><tbody><tr><td>1</td><td class="align-right">2</td></tr></tbody></table>'
+            );
+        });
+
+        test('should render links wrapping images', () => {
+            expect(markdown.renderMarkdown('[![CI](https://img.example/ci.svg)](https://ci.example)')).toBe(
+                '<p><a href="https://ci.example"><img src="https://img.example/ci.svg" alt="CI"></a></p>'
+            );
+        });
+
+        test('should replace NUL characters instead of reading them as placeholders', () => {
+            expect(markdown.renderMarkdown('a `\u00000\u0000` b \u00001\u0000')).toBe('<p>a <code>\uFFFD0\uFFFD</code> b \uFFFD1\uFFFD</p>');
+        });
+    });
+
+    describe('sanitizeHtml', () => {
+        const bases = {
+            linkBase: 'https://github.com/someone/vortex/blob/main/README.md',
+            imageBase: 'https://raw.githubusercontent.com/someone/vortex/main/README.md'
+        };
+
+        test('should rewrite relative links and images', () => {
+            const container = render('[docs](docs/usage.md) ![plot](figures/plot.png)', bases);
+
+            expect(container.querySelector('a').getAttribute('href')).toBe('https://github.com/someone/vortex/blob/main/docs/usage.md');
+            expect(container.querySelector('a').rel).toBe('noopener noreferrer');
+            expect(container.querySelector('img').getAttribute('src')).toBe('https://raw.githubusercontent.com/someone/vortex/main/figures/plot.png');
+        });
+
+        test('should prefix ids and in-page anchors', () => {
+            const container = render('# Install\n\n[jump](#install)', bases);
+
+            expect(container.querySelector('h1').id).toBe('readme-install');
+            expect(container.querySelector('a').getAttribute('href')).toBe('#readme-install');
+            expect(container.querySelector('a').hasAttribute('target')).toBe(false);
+        });
+
+        test('should strip scripts, handlers and unsafe URLs from raw HTML', () => {
+            const container = render(
+                '<p align="center" onclick="steal()"><img src="logo.png" onerror="steal()"><script>steal()</script></p>\n\n' +
+                '[click](javascript:steal()) <a href="data:text/html,x">data</a>\n\n<iframe src="https://evil.example"></iframe><center>kept</center>',
+                bases
+            );
+
+            expect(container.querySelector('script')).toBeNull();
+            expect(container.querySelector('iframe')).toBeNull();
+            expect(container.querySelector('[onclick], [onerror], [align]')).toBeNull();
+            expect(container.querySelector('img').getAttribute('src')).toBe('https://raw.githubusercontent.com/someone/vortex/main/logo.png');
+            container.querySelectorAll('a').forEach((link) => {
+                expect(link.hasAttribute('href')).toBe(false);
+            });
+            expect(container.textContent).toContain('kept');
+            expect(container.textContent).not.toContain('steal');
+        });
+
+        test('should keep only language classes on code', () => {
+            const container = render('<code class="language-julia evil">x</code>');
+
+            expect(container.querySelector('code').className).toBe('language-julia');
+        });
+    });
+});
@@ -0,0 +1,288 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./modal.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.mobileMenu = factory(root.Site.modal);
+    }
+}(this, function (modal) {
+    'use strict';
+
+    var BREAKPOINT = 670;
+    // As wide as the page margin on phones, so the strip covers no content.
+    var SWIPE_EDGE = 16;
+    // Pixels a finger moves before a swipe is told apart from a scroll.
+    var SWIPE_SLOP = 10;
+    // Pixels per millisecond above which a release counts as a flick.
+    var FLICK_VELOCITY = 0.4;
+    var CLICK_AFTER_DRAG = 400;
+
+    /**
+     * Drive the slide-in navigation of narrow screens: `options.button` (the
+     * hamburger) toggles `options.menu`, with a backdrop button behind it.
+     * While open the menu behaves as a modal: the first link takes focus,
+     * Tab cycles between the links and the button that closes it, the arrow
+     * keys, Home and End move between links, and every other part of the
+     * page is `inert` (see `Site.modal`). Closing returns focus to the button when it was in
+     * the menu. Wider than `options.breakpoint` pixels the menu closes.
+     */
+    function createMobileMenu(options) {
+        var button = options.button;
+        var menu = options.menu;
+        var breakpoint = options.breakpoint || BREAKPOINT;
+        var backdrop = modal.createBackdrop('mobile-menu-backdrop', 'Close navigation menu');
+        var restorePage = null;
+
+        button.type = 'button';
+        button.setAttribute('aria-label', 'Open navigation menu');
+        button.setAttribute('aria-expanded', 'false');
+        button.setAttribute('aria-controls', 'mobile-menu');
+        menu.id = 'mobile-menu';
+        menu.setAttribute('aria-hidden', 'true');
+
+        var links = function () {
+            return Array.prototype.slice.call(menu.querySelectorAll('a[href]'));
+        };
+
+        var isOpen = function () {
+            return menu.classList.contains('active');
+        };
+
+        var setOpen = function (open) {
+            if (open === isOpen()) {
+                return;
+            }
+
+            var hadFocus = menu.contains(document.activeElement);
+
+            button.classList.toggle('is-active', open);
+            menu.classList.toggle('active', open);
+            backdrop.classList.toggle('is-visible', open);
+            document.body.classList.toggle('menu-open', open);
+            button.setAttribute('aria-expanded', String(open));
+            button.setAttribute('aria-label', open ? 'Close navigation menu' : 'Open navigation menu');
+            menu.setAttribute('aria-hidden', String(!open));
+
+            // The bar holding the button stays usable, to close the menu again.
+            if (open) {
+                restorePage = modal.makePageInert([menu, backdrop, button]);
+            } else if (restorePage) {
+                restorePage();
+                restorePage = null;
+            }
+
+            if (open && links().length) {
+                links()[0].focus();
+            } else if (!open && hadFocus) {
+                button.focus();
+            }
+        };
+
+        // The stops of the focus trap, in Tab order.
+        var stops = function () {
+            return [button].concat(links());
+        };
+
+        var moveFocus = function (event) {
+            var items = links();
+            var index = items.indexOf(document.activeElement);
+            var next = {
+                ArrowDown: index + 1,
+                ArrowUp: index - 1,
+                Home: 0,
+                End: items.length - 1
+            }[event.key];
+
+            if (next === undefined || !items.length) {
+                return;
+            }
+
+            event.preventDefault();
+            items[(next + items.length) % items.length].focus();
+        };
+
+        button.addEventListener('click', function () {
+            setOpen(!isOpen());
+        });
+        backdrop.addEventListener('click', function () {
+            setOpen(false);
+        });
+        menu.addEventListener('click', function (event) {
+            if (event.target.closest('a')) {
+                setOpen(false);
+            }
+        });
+        menu.addEventListener('keydown', moveFocus);
+        document.addEventListener('keydown', function (event) {
+            if (!isOpen()) {
+                return;
+            }
+
+            if (event.key === 'Escape') {
+                setOpen(false);
+                button.focus();
+            } else if (event.key === 'Tab') {
+                modal.trapTab(event, stops());
+            }
+        });
+        document.addEventListener('focusin', function (event) {
+            if (isOpen() && stops().indexOf(event.target) === -1 && !menu.contains(event.target)) {
+                (links()[0] || button).focus();
+            }
+        });
+        window.addEventListener('resize', function () {
+            if (window.innerWidth > breakpoint) {
+                setOpen(false);
+            }
+        });
+
+        return {
+            element: menu,
+            backdrop: backdrop,
+            isOpen: isOpen,
+            setOpen: setOpen
+        };
+    }
+
+    /**
+     * Let touch users drag the menu of `control` (see `createMobileMenu`):
+     * a swipe from a strip `options.edge` pixels wide along the right edge
+     * pulls it open, and a swipe right on the menu or backdrop pushes it
+     * closed. The menu and backdrop follow the finger; on release the menu
+     * settles open or closed by the flick's speed, or else by how far it
+     * was dragged. Mostly vertical moves are left to scrolling.
+     *
+     * The strip is an element of its own because browsers only hand a
+     * horizontal drag to the page where `touch-action` allows it; over
+     * ordinary content they pan and cancel the pointer instead.
+     */
+    function addSwipeGestures(control, options) {
+        var config = options || {};
+        var edge = config.edge || SWIPE_EDGE;
+        var breakpoint = config.breakpoint || BREAKPOINT;
+        var menu = control.element;
+        var backdrop = control.backdrop;
+        var strip = document.createElement('div');
+        var gesture = null;
+        var draggedAt = 0;
+
+        strip.className = 'mobile-menu-edge';
+        strip.setAttribute('aria-hidden', 'true');
+        strip.style.width = edge + 'px';
+        document.body.appendChild(strip);
+
+        // How far the menu sits from its open position, in pixels.
+        var place = function (offset) {
+            menu.style.transform = 'translateX(' + offset + 'px)';
+            backdrop.style.opacity = String(1 - offset / gesture.width);
+        };
+
+        var finish = function (open) {
+            menu.classList.remove('is-dragging');
+            backdrop.classList.remove('is-dragging');
+            menu.style.transform = '';
+            backdrop.style.opacity = '';
+            gesture = null;
+
+            if (open !== undefined) {
+                control.setOpen(open);
+            }
+        };
+
+        document.addEventListener('pointerdown', function (event) {
+            var open = control.isOpen();
+
+            if (gesture || event.pointerType === 'mouse' || window.innerWidth > breakpoint ||
+                (open && !menu.contains(event.target) && event.target !== backdrop) ||
+                (!open && event.target !== strip)) {
+                return;
+            }
+
+            var width = menu.getBoundingClientRect().width || menu.offsetWidth || 1;
+
+            gesture = {
+                id: event.pointerId,
+                open: open,
+                startX: event.clientX,
+                startY: event.clientY,
+                width: width,
+                offset: open ? 0 : width,
+                lastX: event.clientX,
+                lastTime: Date.now(),
+                velocity: 0,
+                tracking: false
+            };
+        });
+
+        document.addEventListener('pointermove', function (event) {
+            if (!gesture || event.pointerId !== gesture.id) {
+                return;
+            }
+
+            var dx = event.clientX - gesture.startX;
+            var dy = event.clientY - gesture.startY;
+            var now = Date.now();
+
+            if (!gesture.tracking) {
+                if (Math.abs(dx) < SWIPE_SLOP && Math.abs(dy) < SWIPE_SLOP) {
+                    return;
+                }
+
+                if (Math.abs(dy) > Math.abs(dx)) {
+                    finish();
+                    return;
+                }
+
+                gesture.tracking = true;
+                menu.classList.add('is-dragging');
+                backdrop.classList.add('is-dragging');
+            }
+
+            gesture.velocity = (event.clientX - gesture.lastX) / Math.max(1, now - gesture.lastTime);
+            gesture.lastX = event.clientX;
+            gesture.lastTime = now;
+            gesture.offset = Math.min(gesture.width, Math.max(0, (gesture.open ? 0 : gesture.width) + dx));
+            place(gesture.offset);
+        });
+
+        document.addEventListener('pointerup', function (event) {
+            if (!gesture || event.pointerId !== gesture.id) {
+                return;
+            }
+
+            if (!gesture.tracking) {
+                finish();
+                return;
+            }
+
+            var velocity = gesture.velocity;
+            var open = Math.abs(velocity) > FLICK_VELOCITY
+                ? velocity < 0
+                : gesture.offset < gesture.width / 2;
+
+            // The drag ends over the menu or backdrop, which would take
+            // the release as a click on a link or a request to close.
+            draggedAt = Date.now();
+            finish(open);
+        });
+        document.addEventListener('pointercancel', function (event) {
+            if (gesture && event.pointerId === gesture.id) {
+                finish();
+            }
+        });
+        document.addEventListener('click', function (event) {
+            if (Date.now() - draggedAt < CLICK_AFTER_DRAG) {
+                draggedAt = 0;
+                event.preventDefault();
+                event.stopPropagation();
+            }
+        }, true);
+    }
+
+    return {
+        createMobileMenu: createMobileMenu,
+        addSwipeGestures: addSwipeGestures
+    };
+}));
@@ -0,0 +1,296 @@
+const mobileMenu = require('./mobile-menu.js');
+
+function press(target, key, options = {}) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+
+    target.dispatchEvent(event);
+
+    return event;
+}
+
+describe('mobileMenu', () => {
+    let button;
+    let menu;
+    let main;
+    let links;
+    let menuControl;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <nav class="navbar"><a class="logo" href="index.html">Home</a><button class="hamburger-button"></button></nav>
+            <div class="mobile-menu"><ul>
+                <li><a href="index.html">about</a></li>
+                <li><a href="research.html">research</a></li>
+                <li><a href="cv.html">cv</a></li>
+            </ul></div>
+            <main><a href="#top">content</a></main>`;
+        button = document.querySelector('.hamburger-button');
+        menu = document.querySelector('.mobile-menu');
+        main = document.querySelector('main');
+        links = Array.from(menu.querySelectorAll('a'));
+        menuControl = mobileMenu.createMobileMenu({ button, menu });
+        button.focus();
+    });
+
+    afterEach(() => {
+        menuControl.setOpen(false);
+    });
+
+    test('should label the button and start closed', () => {
+        expect(button.getAttribute('aria-expanded')).toBe('false');
+        expect(button.getAttribute('aria-controls')).toBe('mobile-menu');
+        expect(menu.getAttribute('aria-hidden')).toBe('true');
+        expect(menuControl.backdrop.tabIndex).toBe(-1);
+    });
+
+    test('should focus the first link and make the rest of the page inert when opened', () => {
+        button.click();
+
+        expect(menuControl.isOpen()).toBe(true);
+        expect(button.getAttribute('aria-expanded')).toBe('true');
+        expect(menu.getAttribute('aria-hidden')).toBe('false');
+        expect(document.activeElement).toBe(links[0]);
+        expect(main.hasAttribute('inert')).toBe(true);
+        expect(menu.hasAttribute('inert')).toBe(false);
+        expect(button.closest('[inert]')).toBeNull();
+    });
+
+    test('should return focus to the button and restore the page when closed', () => {
+        main.setAttribute('inert', '');
+        const other = document.createElement('aside');
+
+        document.body.appendChild(other);
+        button.click();
+        button.click();
+
+        expect(menuControl.isOpen()).toBe(false);
+        expect(document.activeElement).toBe(button);
+        expect(other.hasAttribute('inert')).toBe(false);
+        // Inert before the menu opened, so it stays that way.
+        expect(main.hasAttribute('inert')).toBe(true);
+    });
+
+    test('should close on Escape with focus back on the button', () => {
+        button.click();
+        links[1].focus();
+        press(links[1], 'Escape');
+
+        expect(menuControl.isOpen()).toBe(false);
+        expect(document.activeElement).toBe(button);
+    });
+
+    test('should close from the backdrop and when a link is followed', () => {
+        button.click();
+        menuControl.backdrop.click();
+
+        expect(menuControl.isOpen()).toBe(false);
+
+        button.click();
+        links[2].addEventListener('click', (event) => event.preventDefault());
+        links[2].click();
+
+        expect(menuControl.isOpen()).toBe(false);
+        expect(document.activeElement).toBe(button);
+    });
+
+    test('should keep Tab between the links and the button', () => {
+        button.click();
+        links[2].focus();
+
+        expect(press(links[2], 'Tab').defaultPrevented).toBe(true);
+        expect(document.activeElement).toBe(button);
+
+        press(button, 'Tab');
+
+        expect(document.activeElement).toBe(links[0]);
+
+        press(links[0], 'Tab', { shiftKey: true });
+
+        expect(document.activeElement).toBe(button);
+
+        press(button, 'Tab', { shiftKey: true });
+
+        expect(document.activeElement).toBe(links[2]);
+    });
+
+    test('should pull focus that escapes back into the menu', () => {
+        button.click();
+        document.querySelector('.logo').focus();
+
+        expect(document.activeElement).toBe(links[0]);
+    });
+
+    test('should move between links with the arrow keys, Home and End', () => {
+        button.click();
+
+        press(links[0], 'ArrowDown');
+        expect(document.activeElement).toBe(links[1]);
+
+        press(links[1], 'End');
+        expect(document.activeElement).toBe(links[2]);
+
+        press(links[2], 'ArrowDown');
+        expect(document.activeElement).toBe(links[0]);
+
+        press(links[0], 'ArrowUp');
+        expect(document.activeElement).toBe(links[2]);
+
+        press(links[2], 'Home');
+        expect(document.activeElement).toBe(links[0]);
+    });
+
+    test('should leave the keyboard alone while closed', () => {
+        expect(press(button, 'Tab').defaultPrevented).toBe(false);
+        expect(document.activeElement).toBe(button);
+    });
+
+    test('should close when the window grows past the breakpoint', () => {
+        button.click();
+        window.innerWidth = 1024;
+        window.dispatchEvent(new Event('resize'));
+
+        expect(menuControl.isOpen()).toBe(false);
+        expect(main.hasAttribute('inert')).toBe(false);
+    });
+});
+
+describe('addSwipeGestures', () => {
+    let button;
+    let menu;
+    let menuControl;
+    let now;
+
+    function pointer(target, type, clientX, clientY = 300, pointerType = 'touch') {
+        const event = new MouseEvent(type, { bubbles: true, cancelable: true, clientX, clientY });
+
+        Object.defineProperty(event, 'pointerId', { value: 1 });
+        Object.defineProperty(event, 'pointerType', { value: pointerType });
+        target.dispatchEvent(event);
+
+        return event;
+    }
+
+    // Drag from `fromX` to `toX` in `steps` moves, `interval` ms apart.
+    function swipe(target, fromX, toX, steps = 4, interval = 50) {
+        pointer(target, 'pointerdown', fromX);
+
+        for (let step = 1; step <= steps; step += 1) {
+            now += interval;
+            pointer(target, 'pointermove', fromX + (toX - fromX) * step / steps);
+        }
+
+        pointer(target, 'pointerup', toX);
+    }
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <nav class="navbar"><button class="hamburger-button"></button></nav>
+            <div class="mobile-menu"><ul><li><a href="cv.html">cv</a></li></ul></div>
+            <main></main>`;
+        button = document.querySelector('.hamburger-button');
+        menu = document.querySelector('.mobile-menu');
+        menu.getBoundingClientRect = () => ({ width: 300 });
+        window.innerWidth = 400;
+        now = 1000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        menuControl = mobileMenu.createMobileMenu({ button, menu });
+        mobileMenu.addSwipeGestures(menuControl);
+    });
+
+    afterEach(() => {
+        menuControl.setOpen(false);
+        Date.now.mockRestore();
+    });
+
+    const strip = () => document.querySelector('.mobile-menu-edge');
+
+    test('should add a strip along the right edge for the opening swipe', () => {
+        expect(strip().style.width).toBe('16px');
+        expect(strip().getAttribute('aria-hidden')).toBe('true');
+    });
+
+    test('should open from a swipe that starts on the edge strip', () => {
+        swipe(strip(), 390, 200);
+
+        expect(menuControl.isOpen()).toBe(true);
+        expect(menu.style.transform).toBe('');
+        expect(menu.classList.contains('is-dragging')).toBe(false);
+    });
+
+    test('should ignore swipes off the strip, by mouse or on wide screens', () => {
+        // Page content next to the edge pans instead, see the strip.
+        swipe(document.querySelector('main'), 395, 100);
+        expect(menuControl.isOpen()).toBe(false);
+
+        pointer(strip(), 'pointerdown', 390, 300, 'mouse');
+        pointer(strip(), 'pointermove', 200, 300, 'mouse');
+        expect(menu.classList.contains('is-dragging')).toBe(false);
+
+        window.innerWidth = 1024;
+        swipe(strip(), 1020, 800);
+        expect(menuControl.isOpen()).toBe(false);
+    });
+
+    test('should drag the menu and backdrop with the finger', () => {
+        menuControl.setOpen(true);
+        pointer(menu, 'pointerdown', 150);
+        now += 100;
+        pointer(menu, 'pointermove', 225);
+
+        expect(menu.classList.contains('is-dragging')).toBe(true);
+        expect(menu.style.transform).toBe('translateX(75px)');
+        expect(menuControl.backdrop.style.opacity).toBe('0.75');
+
+        pointer(menu, 'pointerup', 225);
+    });
+
+    test('should settle by distance after a slow drag', () => {
+        menuControl.setOpen(true);
+        swipe(menu, 100, 200, 10, 100);
+
+        expect(menuControl.isOpen()).toBe(true);
+
+        swipe(menuControl.backdrop, 50, 240, 10, 100);
+
+        expect(menuControl.isOpen()).toBe(false);
+        expect(document.activeElement).toBe(button);
+    });
+
+    test('should close on a short, fast flick', () => {
+        menuControl.setOpen(true);
+        swipe(menu, 100, 180, 2, 20);
+
+        expect(menuControl.isOpen()).toBe(false);
+    });
+
+    test('should leave mostly vertical moves to scrolling', () => {
+        menuControl.setOpen(true);
+        pointer(menu, 'pointerdown', 100, 300);
+        pointer(menu, 'pointermove', 115, 400);
+        pointer(menu, 'pointermove', 300, 400);
+
+        expect(menu.style.transform).toBe('');
+
+        pointer(menu, 'pointerup', 300, 400);
+
+        expect(menuControl.isOpen()).toBe(true);
+    });
+
+    test('should swallow the click that ends a drag', () => {
+        const follow = jest.fn();
+
+        menuControl.setOpen(true);
+        menu.querySelector('a').addEventListener('click', follow);
+        swipe(menu, 100, 150, 10, 100);
+        menu.querySelector('a').click();
+
+        expect(follow).not.toHaveBeenCalled();
+        expect(menuControl.isOpen()).toBe(true);
+
+        now += 1000;
+        menu.querySelector('a').addEventListener('click', (event) => event.preventDefault());
+        menu.querySelector('a').click();
+
+        expect(follow).toHaveBeenCalled();
+    });
+});
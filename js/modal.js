@@ -0,0 +1,95 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.modal = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    /*
+     * What the mobile menu and the README drawer share as modal panels: a
+     * backdrop button that closes them, the rest of the page made `inert`
+     * while they are open, and Tab kept among their own controls.
+     */
+
+    var FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])';
+
+    function focusableElements(container) {
+        return Array.prototype.filter.call(container.querySelectorAll(FOCUSABLE), function (element) {
+            return !element.closest('[hidden]');
+        });
+    }
+
+    /**
+     * A full-page button behind a panel, labelled `label`, appended to the
+     * body. It is left out of the Tab order; Escape and the panel's own
+     * close control are the keyboard way out.
+     */
+    function createBackdrop(className, label) {
+        var backdrop = document.createElement('button');
+
+        backdrop.type = 'button';
+        backdrop.className = className;
+        backdrop.tabIndex = -1;
+        backdrop.setAttribute('aria-label', label);
+        document.body.appendChild(backdrop);
+
+        return backdrop;
+    }
+
+    /**
+     * Make every child of the body `inert` except those holding one of
+     * `kept`, so screen readers and Tab stay within the panel. Elements
+     * that were inert already are left as they are. Returns the function
+     * that undoes it.
+     */
+    function makePageInert(kept) {
+        var inerted = Array.prototype.filter.call(document.body.children, function (element) {
+            return element.tagName !== 'SCRIPT' && !element.hasAttribute('inert') && !kept.some(function (keep) {
+                return element.contains(keep);
+            });
+        });
+
+        inerted.forEach(function (element) {
+            element.setAttribute('inert', '');
+        });
+
+        return function () {
+            inerted.forEach(function (element) {
+                element.removeAttribute('inert');
+            });
+            inerted = [];
+        };
+    }
+
+    /**
+     * Handle a Tab `event` by moving focus to the next (or, with Shift, the
+     * previous) of `stops`, wrapping around at the ends.
+     */
+    function trapTab(event, stops) {
+        var index = stops.indexOf(document.activeElement);
+
+        if (!stops.length) {
+            return;
+        }
+
+        event.preventDefault();
+
+        if (index === -1) {
+            stops[event.shiftKey ? stops.length - 1 : 0].focus();
+        } else {
+            stops[(index + (event.shiftKey ? -1 : 1) + stops.length) % stops.length].focus();
+        }
+    }
+
+    return {
+        focusableElements: focusableElements,
+        createBackdrop: createBackdrop,
+        makePageInert: makePageInert,
+        trapTab: trapTab
+    };
+}));
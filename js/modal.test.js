@@ -0,0 +1,67 @@
+const modal = require('./modal.js');
+
+describe('modal', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <header><button class="open">Open</button></header>
+            <main inert><a href="#a">a</a></main>
+            <aside class="panel"><button class="first">First</button><a href="#b" hidden>hidden</a><a href="#c">Last</a></aside>
+            <script></script>`;
+    });
+
+    test('should list the focusable elements that are shown', () => {
+        const panel = document.querySelector('.panel');
+
+        expect(modal.focusableElements(panel).map((element) => element.textContent)).toEqual(['First', 'Last']);
+    });
+
+    test('should add a backdrop button outside the Tab order', () => {
+        const backdrop = modal.createBackdrop('drawer-backdrop', 'Close preview');
+
+        expect(document.body.lastChild).toBe(backdrop);
+        expect(backdrop.type).toBe('button');
+        expect(backdrop.tabIndex).toBe(-1);
+        expect(backdrop.getAttribute('aria-label')).toBe('Close preview');
+    });
+
+    test('should make the rest of the page inert until restored', () => {
+        const panel = document.querySelector('.panel');
+        const restore = modal.makePageInert([panel, document.querySelector('.open')]);
+
+        expect(panel.hasAttribute('inert')).toBe(false);
+        expect(document.querySelector('header').hasAttribute('inert')).toBe(false);
+        expect(document.querySelector('script').hasAttribute('inert')).toBe(false);
+
+        document.body.appendChild(document.createElement('footer'));
+        restore();
+
+        // Inert before, so it stays that way.
+        expect(document.querySelector('main').hasAttribute('inert')).toBe(true);
+        expect(document.querySelectorAll('[inert]')).toHaveLength(1);
+    });
+
+    test('should wrap Tab around the stops', () => {
+        const stops = Array.from(document.querySelectorAll('.panel button, .panel a:not([hidden])'));
+        const tab = (shiftKey) => {
+            const event = new KeyboardEvent('keydown', { key: 'Tab', shiftKey, cancelable: true });
+
+            modal.trapTab(event, stops);
+
+            return event;
+        };
+
+        stops[1].focus();
+
+        expect(tab(false).defaultPrevented).toBe(true);
+        expect(document.activeElement).toBe(stops[0]);
+
+        tab(true);
+
+        expect(document.activeElement).toBe(stops[1]);
+
+        document.querySelector('.open').focus();
+        tab(false);
+
+        expect(document.activeElement).toBe(stops[0]);
+    });
+});
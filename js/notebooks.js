@@ -0,0 +1,216 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./card-loader.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.notebooks = factory(root.Site.cardLoader);
+    }
+}(this, function (cardLoader) {
+    'use strict';
+
+    var MAX_NOTEBOOKS = 50;
+    var NOTEBOOK_TOPICS = ['jupyter', 'jupyter-notebook', 'jupyter-notebooks', 'notebooks', 'ipynb'];
+    // Languages with Jupyter kernels: worth a look at the tree for notebooks.
+    var KERNEL_LANGUAGES = ['jupyter notebook', 'python', 'julia', 'r'];
+
+    function encodePath(path) {
+        return path.split('/').map(encodeURIComponent).join('/');
+    }
+
+    /**
+     * The notebooks among `paths`, sorted, without Jupyter's checkpoint
+     * copies and capped so that huge trees keep a usable picker.
+     */
+    function findNotebooks(paths) {
+        return (paths || []).filter(function (path) {
+            return /\.ipynb$/i.test(path) && !/(^|\/)\.ipynb_checkpoints\//.test(path);
+        }).sort().slice(0, MAX_NOTEBOOKS);
+    }
+
+    function rawUrl(repo, path) {
+        var base = repo.url.replace(/\/+$/, '');
+
+        if (repo.provider === 'gitlab') {
+            return base + '/-/raw/' + encodePath(repo.branch) + '/' + encodePath(path);
+        }
+
+        return base + '/raw/branch/' + encodePath(repo.branch) + '/' + encodePath(path);
+    }
+
+    /**
+     * A rendered, read-only view of the notebook on nbviewer. GitHub
+     * repositories have their own route; others go through the raw file.
+     */
+    function nbviewerUrl(repo, path) {
+        if (repo.provider === 'github') {
+            return 'https://nbviewer.org/github/' + repo.fullName + '/blob/' + encodePath(repo.branch) + '/' + encodePath(path);
+        }
+
+        var raw = rawUrl(repo, path);
+
+        return 'https://nbviewer.org/' + (/^https:/.test(raw) ? 'urls/' : 'url/') + raw.replace(/^https?:\/\//, '');
+    }
+
+    /**
+     * Launch the repository on mybinder.org with `path` opened in
+     * JupyterLab. GitLab.com has its own repository provider; other hosts
+     * are cloned as plain git repositories.
+     */
+    function binderUrl(repo, path) {
+        var spec;
+
+        if (repo.provider === 'github') {
+            spec = 'gh/' + repo.fullName;
+        } else if (repo.provider === 'gitlab' && /^https:\/\/gitlab\.com\//.test(repo.url)) {
+            spec = 'gl/' + encodeURIComponent(repo.fullName);
+        } else {
+            spec = 'git/' + encodeURIComponent(repo.url);
+        }
+
+        return 'https://mybinder.org/v2/' + spec + '/' + encodeURIComponent(repo.branch) + '?labpath=' + encodeURIComponent(path);
+    }
+
+    /**
+     * Open the notebook in Google Colab, which only imports from GitHub;
+     * null for other providers.
+     */
+    function colabUrl(repo, path) {
+        if (repo.provider !== 'github') {
+            return null;
+        }
+
+        return 'https://colab.research.google.com/github/' + repo.fullName + '/blob/' + encodePath(repo.branch) + '/' + encodePath(path);
+    }
+
+    var ACTIONS = [
+        { className: 'repo-notebook-nbviewer', text: 'View in nbviewer', url: nbviewerUrl },
+        { className: 'repo-notebook-binder', text: 'Launch Binder', url: binderUrl },
+        { className: 'repo-notebook-colab', text: 'Open in Colab', url: colabUrl }
+    ];
+
+    function actionLinks(repo, path) {
+        return ACTIONS.map(function (action) {
+            return { action: action, href: action.url(repo, path) };
+        }).filter(function (item) {
+            return item.href;
+        });
+    }
+
+    /**
+     * The notebook actions of a card: one link per service for the chosen
+     * notebook, with a picker when the repository holds several.
+     */
+    function createNotebookActions(repo, notebooks) {
+        var wrapper = document.createElement('div');
+        var actions = document.createElement('p');
+        var links = [];
+
+        wrapper.className = 'repo-notebooks';
+        actions.className = 'repo-notebook-actions';
+
+        var update = function (path) {
+            actionLinks(repo, path).forEach(function (item, index) {
+                links[index].href = item.href;
+            });
+        };
+
+        if (notebooks.length > 1) {
+            var label = document.createElement('label');
+            var select = document.createElement('select');
+            var id = 'notebooks-' + String(repo.id).replace(/[^a-z0-9-]+/gi, '-');
+
+            label.className = 'repo-notebook-label';
+            label.htmlFor = id;
+            label.textContent = 'Notebook';
+            select.className = 'repo-notebook-select';
+            select.id = id;
+            notebooks.forEach(function (path) {
+                var option = document.createElement('option');
+
+                option.value = path;
+                option.textContent = path;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', function () {
+                update(select.value);
+            });
+            wrapper.appendChild(label);
+            wrapper.appendChild(select);
+        } else {
+            var name = document.createElement('span');
+            var file = document.createElement('code');
+
+            name.className = 'repo-notebook-label';
+            name.textContent = 'Notebook ';
+            file.textContent = notebooks[0];
+            name.appendChild(file);
+            wrapper.appendChild(name);
+        }
+
+        actionLinks(repo, notebooks[0]).forEach(function (item) {
+            var link = document.createElement('a');
+
+            link.className = 'repo-notebook-action ' + item.action.className;
+            link.href = item.href;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = item.action.text;
+            links.push(link);
+            actions.appendChild(link);
+        });
+
+        wrapper.appendChild(actions);
+
+        return wrapper;
+    }
+
+    function mayHoldNotebooks(repo) {
+        if (repo.notebooks === true) {
+            return true;
+        }
+
+        return repo.notebooks !== false && (KERNEL_LANGUAGES.indexOf(String(repo.language).toLowerCase()) !== -1 ||
+            (repo.topics || []).some(function (topic) {
+                return NOTEBOOK_TOPICS.indexOf(topic.toLowerCase()) !== -1;
+            }));
+    }
+
+    /**
+     * List the files of each card's repository once it scrolls into view and
+     * add the notebook actions above the footer when it holds notebooks.
+     * Only repositories whose language or topics suggest notebooks are
+     * looked at, unless the manifest sets `notebooks`. See
+     * `createCardLoader` for caching and `seed`.
+     */
+    function createNotebookLoader(options) {
+        return cardLoader.createCardLoader({
+            cache: options.cache,
+            cacheKey: options.cacheKey,
+            seed: options.seed,
+            field: 'notebooks',
+            label: 'Notebook list',
+            fetch: function (repo) {
+                return Promise.resolve(options.fetchFilePaths(repo)).then(findNotebooks);
+            },
+            accepts: function (repo) {
+                return Boolean(repo.branch) && mayHoldNotebooks(repo);
+            },
+            render: function (card, notebooks, repo) {
+                if (notebooks && notebooks.length) {
+                    cardLoader.placeInCard(card, createNotebookActions(repo, notebooks), 'before-footer');
+                }
+            }
+        });
+    }
+
+    return {
+        findNotebooks: findNotebooks,
+        nbviewerUrl: nbviewerUrl,
+        binderUrl: binderUrl,
+        colabUrl: colabUrl,
+        createNotebookActions: createNotebookActions,
+        createNotebookLoader: createNotebookLoader
+    };
+}));
@@ -0,0 +1,111 @@
+const notebooks = require('./notebooks.js');
+const { memoryCache, flushPromises } = require('./test-helpers.js');
+
+function card() {
+    const element = document.createElement('article');
+    element.innerHTML = '<div class="repo-header"><h3>SCforF</h3></div><ul class="repo-stats"></ul><p class="repo-footer"></p>';
+
+    return element;
+}
+
+describe('notebooks', () => {
+    const github = { id: 'github:1', provider: 'github', fullName: 'someone/SCforF', url: 'https://github.com/someone/SCforF', branch: 'main' };
+    const gitlab = { id: 'gitlab:2', provider: 'gitlab', fullName: 'lab/sub/walks', url: 'https://gitlab.com/lab/sub/walks', branch: 'main' };
+    const gitea = { id: 'gitea:3', provider: 'gitea', fullName: 'lab/solver', url: 'https://codeberg.org/lab/solver', branch: 'dev/2' };
+
+    describe('findNotebooks', () => {
+        test('should keep sorted notebooks without checkpoints', () => {
+            expect(notebooks.findNotebooks([
+                'README.md',
+                'b/second.ipynb',
+                'a/.ipynb_checkpoints/first-checkpoint.ipynb',
+                'a/first.IPYNB'
+            ])).toEqual(['a/first.IPYNB', 'b/second.ipynb']);
+        });
+    });
+
+    describe('binderUrl', () => {
+        test('should use the GitHub repository provider', () => {
+            expect(notebooks.binderUrl(github, 'intro BM/SDE.ipynb'))
+                .toBe('https://mybinder.org/v2/gh/someone/SCforF/main?labpath=intro%20BM%2FSDE.ipynb');
+        });
+
+        test('should use the GitLab provider on gitlab.com and plain git elsewhere', () => {
+            expect(notebooks.binderUrl(gitlab, 'walk.ipynb'))
+                .toBe('https://mybinder.org/v2/gl/lab%2Fsub%2Fwalks/main?labpath=walk.ipynb');
+            expect(notebooks.binderUrl({ ...gitlab, url: 'https://git.example.org/lab/walks' }, 'walk.ipynb'))
+                .toBe('https://mybinder.org/v2/git/https%3A%2F%2Fgit.example.org%2Flab%2Fwalks/main?labpath=walk.ipynb');
+            expect(notebooks.binderUrl(gitea, 'demo.ipynb'))
+                .toBe('https://mybinder.org/v2/git/https%3A%2F%2Fcodeberg.org%2Flab%2Fsolver/dev%2F2?labpath=demo.ipynb');
+        });
+    });
+
+    describe('colabUrl', () => {
+        test('should open GitHub notebooks and nothing else', () => {
+            expect(notebooks.colabUrl(github, 'intro BM/SDE.ipynb'))
+                .toBe('https://colab.research.google.com/github/someone/SCforF/blob/main/intro%20BM/SDE.ipynb');
+            expect(notebooks.colabUrl(gitlab, 'walk.ipynb')).toBeNull();
+        });
+    });
+
+    describe('nbviewerUrl', () => {
+        test('should use the GitHub route or the raw file', () => {
+            expect(notebooks.nbviewerUrl(github, 'intro.ipynb')).toBe('https://nbviewer.org/github/someone/SCforF/blob/main/intro.ipynb');
+            expect(notebooks.nbviewerUrl(gitlab, 'walk.ipynb')).toBe('https://nbviewer.org/urls/gitlab.com/lab/sub/walks/-/raw/main/walk.ipynb');
+            expect(notebooks.nbviewerUrl(gitea, 'demo.ipynb')).toBe('https://nbviewer.org/urls/codeberg.org/lab/solver/raw/branch/dev/2/demo.ipynb');
+        });
+    });
+
+    describe('createNotebookActions', () => {
+        test('should point every action at the chosen notebook', () => {
+            const actions = notebooks.createNotebookActions(github, ['a.ipynb', 'b.ipynb']);
+            const select = actions.querySelector('select');
+
+            expect(Array.from(actions.querySelectorAll('a')).map((link) => link.textContent))
+                .toEqual(['View in nbviewer', 'Launch Binder', 'Open in Colab']);
+            expect(actions.querySelector('label').htmlFor).toBe(select.id);
+
+            select.value = 'b.ipynb';
+            select.dispatchEvent(new Event('change'));
+
+            expect(actions.querySelector('.repo-notebook-colab').href).toBe('https://colab.research.google.com/github/someone/SCforF/blob/main/b.ipynb');
+        });
+
+        test('should name a single notebook and leave out Colab off GitHub', () => {
+            const actions = notebooks.createNotebookActions(gitlab, ['walk.ipynb']);
+
+            expect(actions.querySelector('select')).toBeNull();
+            expect(actions.querySelector('code').textContent).toBe('walk.ipynb');
+            expect(actions.querySelectorAll('a')).toHaveLength(2);
+        });
+    });
+
+    describe('createNotebookLoader', () => {
+        const repo = { ...github, language: 'Jupyter Notebook', updatedAt: '2026-01-01T00:00:00Z' };
+
+        test('should add the actions above the footer', async () => {
+            const element = card();
+            const fetchFilePaths = jest.fn().mockResolvedValue(['README.md', 'intro.ipynb']);
+
+            notebooks.createNotebookLoader({ cache: memoryCache(), cacheKey: 'notebooks', fetchFilePaths }).observe(element, repo);
+            await flushPromises();
+
+            expect(fetchFilePaths).toHaveBeenCalledWith(repo);
+            expect(element.querySelector('.repo-notebooks').nextElementSibling.className).toBe('repo-footer');
+        });
+
+        test('should only list repositories that may hold notebooks', async () => {
+            const fetchFilePaths = jest.fn().mockResolvedValue([]);
+            const loader = notebooks.createNotebookLoader({ cache: memoryCache(), cacheKey: 'notebooks', fetchFilePaths });
+
+            loader.observe(card(), { ...repo, id: 'github:2', language: 'JavaScript' });
+            loader.observe(card(), { ...repo, id: 'github:3', notebooks: false });
+            loader.observe(card(), { ...repo, id: 'github:4', branch: null });
+            loader.observe(card(), { ...repo, id: 'github:5', language: 'TeX', topics: ['Jupyter'] });
+            loader.observe(card(), { ...repo, id: 'github:6', language: null, notebooks: true });
+            await flushPromises();
+
+            expect(fetchFilePaths.mock.calls.map((call) => call[0].id)).toEqual(['github:5', 'github:6']);
+        });
+    });
+});
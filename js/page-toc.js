@@ -0,0 +1,180 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.pageToc = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    var MIN_HEADINGS = 2;
+
+    /**
+     * A URL fragment for `text`: lowercase ASCII words joined by hyphens,
+     * accents dropped, so `Mean-field limits & SPDEs` becomes
+     * `mean-field-limits-spdes`.
+     */
+    function slugify(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'section';
+    }
+
+    /**
+     * Give every heading without an `id` one made from its text, numbered
+     * (`-2`, `-3`, ...) when already taken, so the ids only change with
+     * the headings. Returns the ids in order.
+     */
+    function assignIds(headings) {
+        return headings.map(function (heading) {
+            if (!heading.id) {
+                var base = slugify(heading.textContent);
+                var id = base;
+
+                for (var count = 2; document.getElementById(id); count += 1) {
+                    id = base + '-' + count;
+                }
+
+                heading.id = id;
+            }
+
+            return heading.id;
+        });
+    }
+
+    /**
+     * Put a sticky "On this page" list at the start of `section`, linking
+     * its `h2` headings. The link of the section being read is marked
+     * `aria-current` as the page scrolls. Following a link scrolls to the
+     * heading, smoothly unless `options.reducedMotion` (a media query list)
+     * matches, moves focus there and records the heading in the URL hash.
+     * Returns null below `options.minHeadings` headings, otherwise
+     * `{ element, dispose }`.
+     */
+    function createTableOfContents(section, options) {
+        var config = options || {};
+        var headings = Array.prototype.slice.call(section.querySelectorAll('h2'));
+        var observer = null;
+        var visible = {};
+        var current = -1;
+
+        if (headings.length < (config.minHeadings || MIN_HEADINGS)) {
+            return null;
+        }
+
+        var ids = assignIds(headings);
+        var nav = document.createElement('nav');
+        var list = document.createElement('ol');
+
+        nav.className = 'page-toc';
+        nav.setAttribute('aria-label', 'On this page');
+        list.className = 'page-toc-list container';
+
+        var links = headings.map(function (heading, index) {
+            var item = document.createElement('li');
+            var link = document.createElement('a');
+
+            link.href = '#' + ids[index];
+            link.textContent = heading.textContent.trim();
+            item.appendChild(link);
+            list.appendChild(item);
+
+            return link;
+        });
+
+        nav.appendChild(list);
+        section.insertBefore(nav, section.firstChild);
+
+        var setCurrent = function (index) {
+            current = index;
+            links.forEach(function (link, position) {
+                if (position === index) {
+                    link.setAttribute('aria-current', 'location');
+                } else {
+                    link.removeAttribute('aria-current');
+                }
+            });
+        };
+
+        nav.addEventListener('click', function (event) {
+            var link = event.target.closest('a');
+            var index = links.indexOf(link);
+
+            if (index === -1 || event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey ||
+                event.shiftKey || event.altKey) {
+                return;
+            }
+
+            var heading = headings[index];
+            var reduced = config.reducedMotion && config.reducedMotion.matches;
+
+            event.preventDefault();
+            // `auto` defers to the stylesheet, which also drops smooth
+            // scrolling under reduced motion.
+            heading.scrollIntoView({ behavior: reduced ? 'auto' : 'smooth', block: 'start' });
+            heading.setAttribute('tabindex', '-1');
+            heading.focus({ preventScroll: true });
+            setCurrent(index);
+
+            if (window.location.hash !== link.hash) {
+                window.history.pushState(null, '', link.hash);
+            }
+        });
+
+        if ('IntersectionObserver' in window) {
+            // The current section is the topmost heading in the top third of
+            // the viewport. With none there it stays the same, unless the
+            // current heading dropped below while scrolling back up.
+            observer = new IntersectionObserver(function (entries) {
+                var index = current;
+
+                entries.forEach(function (entry) {
+                    visible[entry.target.id] = entry.isIntersecting;
+
+                    if (!entry.isIntersecting && entry.boundingClientRect.top > 0 && headings.indexOf(entry.target) === current) {
+                        index = current - 1;
+                    }
+                });
+
+                headings.some(function (heading, position) {
+                    if (visible[heading.id]) {
+                        index = position;
+                    }
+
+                    return visible[heading.id];
+                });
+
+                setCurrent(index);
+            }, {
+                rootMargin: '0px 0px -66% 0px'
+            });
+
+            headings.forEach(function (heading) {
+                observer.observe(heading);
+            });
+        }
+
+        return {
+            element: nav,
+            dispose: function () {
+                if (observer) {
+                    observer.disconnect();
+                }
+
+                nav.remove();
+            }
+        };
+    }
+
+    return {
+        slugify: slugify,
+        assignIds: assignIds,
+        createTableOfContents: createTableOfContents
+    };
+}));
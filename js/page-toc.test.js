@@ -0,0 +1,138 @@
+const pageToc = require('./page-toc.js');
+
+describe('pageToc', () => {
+    describe('slugify', () => {
+        test('should make readable URL fragments', () => {
+            expect(pageToc.slugify('Mean-field limits & SPDEs')).toBe('mean-field-limits-spdes');
+            expect(pageToc.slugify('  Théorie des équations ')).toBe('theorie-des-equations');
+            expect(pageToc.slugify('∑')).toBe('section');
+        });
+    });
+
+    describe('assignIds', () => {
+        beforeEach(() => {
+            document.body.innerHTML = '<h2 id="education">Old</h2><h2>Education</h2><h2>Education</h2><h2 id="kept">Talks</h2>';
+        });
+
+        test('should keep existing ids and number repeated ones', () => {
+            const headings = Array.from(document.querySelectorAll('h2'));
+
+            expect(pageToc.assignIds(headings)).toEqual(['education', 'education-2', 'education-3', 'kept']);
+            expect(headings[1].id).toBe('education-2');
+        });
+    });
+
+    describe('createTableOfContents', () => {
+        let section;
+        let callback;
+        let observer;
+
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <main class="content-section">
+                    <div class="container">
+                        <section><h2>Education</h2></section>
+                        <section><h2>Experience</h2></section>
+                        <section><h2>Talks &amp; posters</h2></section>
+                    </div>
+                </main>`;
+            section = document.querySelector('main');
+            Element.prototype.scrollIntoView = jest.fn();
+            window.history.replaceState(null, '', '/cv.html');
+            observer = { observe: jest.fn(), disconnect: jest.fn() };
+            global.IntersectionObserver = jest.fn((fn) => {
+                callback = fn;
+                return observer;
+            });
+        });
+
+        afterEach(() => {
+            delete global.IntersectionObserver;
+            delete Element.prototype.scrollIntoView;
+        });
+
+        const headings = () => Array.from(section.querySelectorAll('h2'));
+        const current = (toc) => Array.from(toc.element.querySelectorAll('[aria-current]')).map((link) => link.textContent);
+        const entry = (index, isIntersecting, top) => ({ target: headings()[index], isIntersecting, boundingClientRect: { top } });
+
+        test('should list the headings at the start of the section', () => {
+            const toc = pageToc.createTableOfContents(section);
+            const links = Array.from(toc.element.querySelectorAll('a'));
+
+            expect(section.firstChild).toBe(toc.element);
+            expect(toc.element.getAttribute('aria-label')).toBe('On this page');
+            expect(links.map((link) => [link.textContent, link.getAttribute('href')])).toEqual([
+                ['Education', '#education'],
+                ['Experience', '#experience'],
+                ['Talks & posters', '#talks-posters']
+            ]);
+            expect(headings().map((heading) => heading.id)).toEqual(['education', 'experience', 'talks-posters']);
+        });
+
+        test('should not be built for fewer headings than asked for', () => {
+            expect(pageToc.createTableOfContents(section, { minHeadings: 4 })).toBeNull();
+            expect(section.querySelector('nav')).toBeNull();
+        });
+
+        test('should mark the section being read', () => {
+            const toc = pageToc.createTableOfContents(section);
+
+            expect(observer.observe).toHaveBeenCalledTimes(3);
+
+            callback([entry(0, true, 10), entry(1, false, 900), entry(2, false, 1800)]);
+            expect(current(toc)).toEqual(['Education']);
+
+            callback([entry(0, false, -200), entry(1, true, 40)]);
+            expect(current(toc)).toEqual(['Experience']);
+
+            // Reading on past the heading keeps its section current.
+            callback([entry(1, false, -300)]);
+            expect(current(toc)).toEqual(['Experience']);
+
+            // Scrolling back up above it makes the previous one current.
+            callback([entry(1, false, 700)]);
+            expect(current(toc)).toEqual(['Education']);
+        });
+
+        test('should jump to a heading, focus it and record it in the hash', () => {
+            const toc = pageToc.createTableOfContents(section, { reducedMotion: { matches: false } });
+            const link = toc.element.querySelectorAll('a')[1];
+
+            const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+
+            link.dispatchEvent(click);
+
+            expect(click.defaultPrevented).toBe(true);
+            expect(headings()[1].scrollIntoView).toHaveBeenCalledWith({ behavior: 'smooth', block: 'start' });
+            expect(document.activeElement).toBe(headings()[1]);
+            expect(window.location.hash).toBe('#experience');
+            expect(current(toc)).toEqual(['Experience']);
+        });
+
+        test('should jump without animation under reduced motion', () => {
+            const toc = pageToc.createTableOfContents(section, { reducedMotion: { matches: true } });
+
+            toc.element.querySelector('a').click();
+
+            expect(headings()[0].scrollIntoView).toHaveBeenCalledWith({ behavior: 'auto', block: 'start' });
+        });
+
+        test('should leave modified clicks to the browser', () => {
+            const toc = pageToc.createTableOfContents(section);
+            const click = new MouseEvent('click', { bubbles: true, cancelable: true, ctrlKey: true });
+
+            toc.element.querySelector('a').dispatchEvent(click);
+
+            expect(click.defaultPrevented).toBe(false);
+        });
+
+        test('should remove itself when disposed', () => {
+            const toc = pageToc.createTableOfContents(section);
+
+            toc.dispose();
+
+            expect(section.querySelector('nav')).toBeNull();
+            expect(observer.disconnect).toHaveBeenCalled();
+        });
+    });
+});
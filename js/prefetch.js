@@ -0,0 +1,142 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.prefetch = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    /*
+     * Pages fetched ahead of a likely click. The HTML is kept in memory for
+     * a few minutes so the router can swap it in without waiting, and the
+     * fetch itself warms the browser cache for a normal page load. PDFs the
+     * page links to get a HEAD request, which opens the connection and
+     * checks the file is still there without downloading it.
+     */
+
+    var LIMIT = 6;
+    var TTL = 5 * 60 * 1000;
+
+    /**
+     * Whether prefetching suits `connection` (see `navigator.connection`):
+     * not when the visitor asked to save data or the network is 2G-slow.
+     */
+    function allowed(connection) {
+        return !connection || (!connection.saveData && !/(^|-)2g$/.test(connection.effectiveType || ''));
+    }
+
+    // Same-origin PDF links on the page in `html` at `url`.
+    function pdfLinks(html, url) {
+        var page = new DOMParser().parseFromString(html, 'text/html');
+        var origin = new URL(url).origin;
+
+        return Array.prototype.map.call(page.querySelectorAll('a[href]'), function (link) {
+            var target = new URL(link.getAttribute('href'), url);
+
+            target.hash = '';
+
+            return target;
+        }).filter(function (target) {
+            return target.origin === origin && /\.pdf$/i.test(target.pathname);
+        }).map(function (target) {
+            return target.href;
+        });
+    }
+
+    /**
+     * A small in-memory page cache. `page(url)` resolves with `{ url, html }`
+     * for an HTML page, reusing a fetch made in the last `options.ttl` ms,
+     * and rejects on any other response. `warm(url)` starts the same fetch
+     * when the connection allows, without reporting failures. At most
+     * `options.limit` pages are kept, the oldest dropped first.
+     */
+    function createPrefetcher(options) {
+        var config = options || {};
+        var limit = config.limit || LIMIT;
+        var ttl = config.ttl || TTL;
+        var request = config.fetch || function (url, init) {
+            return window.fetch(url, init);
+        };
+        var connection = config.connection === undefined ? navigator.connection : config.connection;
+        var entries = [];
+        var checked = {};
+
+        var find = function (url) {
+            entries = entries.filter(function (entry) {
+                return Date.now() - entry.savedAt < ttl;
+            });
+
+            return entries.filter(function (entry) {
+                return entry.url === url;
+            })[0] || null;
+        };
+
+        var forget = function (url) {
+            entries = entries.filter(function (entry) {
+                return entry.url !== url;
+            });
+        };
+
+        var checkPdfs = function (page) {
+            pdfLinks(page.html, page.url).forEach(function (pdf) {
+                if (!checked[pdf]) {
+                    checked[pdf] = true;
+                    request(pdf, { method: 'HEAD' }).catch(function () {});
+                }
+            });
+        };
+
+        var page = function (target) {
+            var url = String(target).split('#')[0];
+            var entry = find(url);
+
+            if (entry) {
+                return entry.promise;
+            }
+
+            entry = { url: url, savedAt: Date.now() };
+            entry.promise = request(url, { headers: { Accept: 'text/html' } }).then(function (response) {
+                var type = response.headers.get('Content-Type') || '';
+
+                if (!response.ok || type.indexOf('text/html') === -1) {
+                    throw new Error('Unexpected response for ' + url + ': ' + response.status + ' ' + type);
+                }
+
+                return response.text().then(function (html) {
+                    return { url: response.url || url, html: html };
+                });
+            });
+            entry.promise.catch(function () {
+                forget(url);
+            });
+
+            entries.push(entry);
+
+            if (entries.length > limit) {
+                entries.shift();
+            }
+
+            return entry.promise;
+        };
+
+        return {
+            page: page,
+            warm: function (url) {
+                if (!allowed(connection)) {
+                    return;
+                }
+
+                page(url).then(checkPdfs, function () {});
+            }
+        };
+    }
+
+    return {
+        allowed: allowed,
+        createPrefetcher: createPrefetcher
+    };
+}));
@@ -0,0 +1,95 @@
+const prefetch = require('./prefetch.js');
+
+function htmlResponse(html, status = 200, type = 'text/html; charset=utf-8') {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        url: '',
+        headers: { get: (name) => (name === 'Content-Type' ? type : null) },
+        text: () => Promise.resolve(html)
+    };
+}
+
+describe('prefetch', () => {
+    describe('allowed', () => {
+        test('should skip prefetching to save data or on slow networks', () => {
+            expect(prefetch.allowed(undefined)).toBe(true);
+            expect(prefetch.allowed({ effectiveType: '4g' })).toBe(true);
+            expect(prefetch.allowed({ effectiveType: '4g', saveData: true })).toBe(false);
+            expect(prefetch.allowed({ effectiveType: '2g' })).toBe(false);
+            expect(prefetch.allowed({ effectiveType: 'slow-2g' })).toBe(false);
+        });
+    });
+
+    describe('createPrefetcher', () => {
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should fetch each page once while it is fresh', async () => {
+            jest.useFakeTimers();
+
+            const fetch = jest.fn(() => Promise.resolve(htmlResponse('<h1>CV</h1>')));
+            const prefetcher = prefetch.createPrefetcher({ fetch, ttl: 1000, connection: null });
+
+            await expect(prefetcher.page('http://localhost/cv.html')).resolves.toEqual({ url: 'http://localhost/cv.html', html: '<h1>CV</h1>' });
+            await prefetcher.page('http://localhost/cv.html#publications');
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(1000);
+            await prefetcher.page('http://localhost/cv.html');
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should keep only the most recent pages', async () => {
+            const fetch = jest.fn(() => Promise.resolve(htmlResponse('')));
+            const prefetcher = prefetch.createPrefetcher({ fetch, limit: 2, connection: null });
+
+            await prefetcher.page('http://localhost/a.html');
+            await prefetcher.page('http://localhost/b.html');
+            await prefetcher.page('http://localhost/c.html');
+            await prefetcher.page('http://localhost/a.html');
+
+            expect(fetch).toHaveBeenCalledTimes(4);
+        });
+
+        test('should reject and forget pages that are not HTML', async () => {
+            const fetch = jest.fn()
+                .mockResolvedValueOnce(htmlResponse('', 404))
+                .mockResolvedValueOnce(htmlResponse('{}', 200, 'application/json'))
+                .mockResolvedValueOnce(htmlResponse('<p>ok</p>'));
+            const prefetcher = prefetch.createPrefetcher({ fetch, connection: null });
+
+            await expect(prefetcher.page('http://localhost/x.html')).rejects.toThrow(/404/);
+            await expect(prefetcher.page('http://localhost/x.html')).rejects.toThrow(/application\/json/);
+            await expect(prefetcher.page('http://localhost/x.html')).resolves.toMatchObject({ html: '<p>ok</p>' });
+        });
+
+        test('should check the PDFs a warmed page links to once', async () => {
+            const fetch = jest.fn(() => Promise.resolve(htmlResponse(
+                '<a href="files/cv.pdf">CV</a><a href="files/cv.pdf#page=2">again</a><a href="https://example.org/x.pdf">elsewhere</a>'
+            )));
+            const prefetcher = prefetch.createPrefetcher({ fetch, connection: null });
+
+            prefetcher.warm('http://localhost/cv.html');
+            prefetcher.warm('http://localhost/cv.html');
+            await new Promise((resolve) => setTimeout(resolve, 0));
+
+            expect(fetch.mock.calls.map((call) => [call[0], call[1].method])).toEqual([
+                ['http://localhost/cv.html', undefined],
+                ['http://localhost/files/cv.pdf', 'HEAD']
+            ]);
+        });
+
+        test('should not warm pages when the connection asks to save data', () => {
+            const fetch = jest.fn();
+            const prefetcher = prefetch.createPrefetcher({ fetch, connection: { saveData: true } });
+
+            prefetcher.warm('http://localhost/cv.html');
+
+            expect(fetch).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,341 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./remote.js'), require('./github.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.providers = factory(root.Site.remote, root.Site.github);
+    }
+}(this, function (remote, github) {
+    'use strict';
+
+    /*
+     * The repository listing is configured on its container:
+     *
+     *   <div id="repo-container" data-provider="gitlab" data-user="someone"
+     *        data-host="https://gitlab.example.org" data-include-forks
+     *        data-limit="12"></div>
+     *
+     * `data-provider` is github (the default), gitlab, gitea or codeberg;
+     * `data-host` points GitLab and Gitea at a self-hosted instance. Every
+     * adapter normalises its listing into the same card model:
+     *
+     *   { id, provider, name, fullName, url, branch, description, language,
+     *     fork, private, archived, stars, forks, topics, license, homepage,
+     *     updatedAt, readme }
+     *
+     * `id` is prefixed with the provider, `license` is a short label such as
+     * "MIT" and `readme` says whether the README can be previewed. The
+     * project manifest may add `releases: false` to hide the version badge
+     * of repositories that never cut releases.
+     */
+
+    var DEFAULT_HOSTS = {
+        github: 'https://github.com',
+        gitlab: 'https://gitlab.com',
+        gitea: 'https://codeberg.org'
+    };
+    var JSON_HEADERS = { Accept: 'application/json' };
+
+    function readProviderConfig(dataset) {
+        var provider = String(dataset.provider || 'github').trim().toLowerCase();
+        var limit = parseInt(dataset.limit, 10);
+
+        if (provider === 'codeberg') {
+            provider = 'gitea';
+        }
+
+        return {
+            provider: provider,
+            user: String(dataset.user || '').trim(),
+            host: String(dataset.host || DEFAULT_HOSTS[provider] || '').replace(/\/+$/, ''),
+            includeForks: dataset.includeForks !== undefined && dataset.includeForks !== 'false',
+            limit: limit > 0 ? limit : null
+        };
+    }
+
+    function hostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    function encodePath(path) {
+        return path.split('/').map(encodeURIComponent).join('/');
+    }
+
+    function normalizeGitLabProject(project) {
+        return {
+            id: 'gitlab:' + project.id,
+            provider: 'gitlab',
+            name: project.name,
+            fullName: project.path_with_namespace,
+            url: project.web_url,
+            branch: project.default_branch || null,
+            description: project.description || null,
+            // The listing carries no primary language; the breakdown loads lazily.
+            language: null,
+            fork: Boolean(project.forked_from_project),
+            private: Boolean(project.visibility) && project.visibility !== 'public',
+            archived: Boolean(project.archived),
+            stars: project.star_count || 0,
+            forks: project.forks_count || 0,
+            topics: project.topics || project.tag_list || [],
+            license: project.license ? project.license.nickname || project.license.name || null : null,
+            homepage: null,
+            updatedAt: project.last_activity_at || null,
+            readme: false
+        };
+    }
+
+    function normalizeGiteaRepository(repo) {
+        return {
+            id: 'gitea:' + repo.id,
+            provider: 'gitea',
+            name: repo.name,
+            fullName: repo.full_name,
+            url: repo.html_url,
+            branch: repo.default_branch || null,
+            description: repo.description || null,
+            language: repo.language || null,
+            fork: Boolean(repo.fork),
+            private: Boolean(repo.private),
+            archived: Boolean(repo.archived),
+            stars: repo.stars_count || 0,
+            forks: repo.forks_count || 0,
+            topics: repo.topics || [],
+            license: repo.licenses && repo.licenses.length ? repo.licenses[0] : null,
+            homepage: repo.website || null,
+            updatedAt: repo.updated_at || null,
+            readme: false
+        };
+    }
+
+    // GitLab and Gitea are asked directly: GitHub's token and quota
+    // bookkeeping stay with `Site.github`.
+    function request(url, options) {
+        return remote.request(url, { headers: options.headers, errorFor: github.responseError });
+    }
+
+    async function getJson(url) {
+        var response = await request(url, { headers: JSON_HEADERS });
+
+        return response.json();
+    }
+
+    async function getText(url) {
+        var response = await request(url, { headers: { Accept: 'text/plain' } });
+
+        return response.text();
+    }
+
+    // GitLab groups and Gitea organisations are listed under another path
+    // than users, so a 404 for the user listing is retried as a group.
+    async function fetchUserOrGroup(urls, normalize, options) {
+        var settings = Object.assign({}, options, { normalize: normalize, headers: JSON_HEADERS, request: request });
+
+        try {
+            return await github.fetchPages(urls[0], settings);
+        } catch (error) {
+            if (error.kind !== 'not-found') {
+                throw error;
+            }
+
+            return github.fetchPages(urls[1], settings);
+        }
+    }
+
+    function releaseInfo(release, url) {
+        return {
+            kind: 'release',
+            tag: release.tag_name,
+            name: release.name || release.tag_name,
+            url: url,
+            publishedAt: release.published_at || release.released_at || null
+        };
+    }
+
+    function blobPaths(entries) {
+        return entries.filter(function (entry) {
+            return entry.type === 'blob';
+        }).map(function (entry) {
+            return entry.path;
+        });
+    }
+
+    function tagInfo(name, url) {
+        return { kind: 'tag', tag: name, name: name, url: url, publishedAt: null };
+    }
+
+    var ADAPTERS = {
+        github: function (config) {
+            return {
+                label: 'GitHub',
+                fetchRepositories: function (options) {
+                    return github.fetchRepositories(config.user, options);
+                },
+                fetchLanguages: function (repo) {
+                    return github.fetchLanguages(repo.fullName);
+                },
+                fetchActivity: function (repo) {
+                    return github.fetchCommitActivity(repo.fullName);
+                },
+                fetchRelease: function (repo) {
+                    return github.fetchLatestRelease(repo.fullName);
+                },
+                fetchFilePaths: function (repo) {
+                    return github.fetchFilePaths(repo.fullName, repo.branch);
+                },
+                fetchFile: function (repo, path) {
+                    return github.fetchRawFile(repo.fullName, repo.branch, path);
+                },
+                fetchReadme: function (repo) {
+                    return github.fetchReadme(repo.fullName);
+                }
+            };
+        },
+        gitlab: function (config) {
+            var api = config.host + '/api/v4';
+            var account = encodeURIComponent(config.user);
+            var query = '/projects?per_page=100&order_by=last_activity_at&license=true';
+
+            return {
+                label: 'GitLab',
+                fetchRepositories: function (options) {
+                    return fetchUserOrGroup([
+                        api + '/users/' + account + query,
+                        api + '/groups/' + account + query + '&include_subgroups=true'
+                    ], normalizeGitLabProject, options);
+                },
+                // Percentages rather than bytes; the bars only use proportions.
+                fetchLanguages: function (repo) {
+                    return getJson(api + '/projects/' + encodeURIComponent(repo.fullName) + '/languages');
+                },
+                fetchRelease: async function (repo) {
+                    var project = api + '/projects/' + encodeURIComponent(repo.fullName);
+                    var releases = await getJson(project + '/releases?per_page=1');
+
+                    if (releases.length) {
+                        return releaseInfo(releases[0], repo.url + '/-/releases/' + encodeURIComponent(releases[0].tag_name));
+                    }
+
+                    var tags = await getJson(project + '/repository/tags?per_page=1');
+
+                    return tags.length ? tagInfo(tags[0].name, repo.url + '/-/tags/' + encodeURIComponent(tags[0].name)) : null;
+                },
+                // Only the first page of the tree: enough to spot the files we look for.
+                fetchFilePaths: async function (repo) {
+                    var tree = await getJson(api + '/projects/' + encodeURIComponent(repo.fullName) +
+                        '/repository/tree?recursive=true&per_page=100&ref=' + encodeURIComponent(repo.branch));
+
+                    return blobPaths(tree);
+                },
+                fetchFile: function (repo, path) {
+                    return getText(api + '/projects/' + encodeURIComponent(repo.fullName) + '/repository/files/' +
+                        encodeURIComponent(path) + '/raw?ref=' + encodeURIComponent(repo.branch));
+                }
+            };
+        },
+        gitea: function (config) {
+            var api = config.host + '/api/v1';
+            var account = encodeURIComponent(config.user);
+
+            return {
+                label: hostname(config.host) === 'codeberg.org' ? 'Codeberg' : 'Gitea',
+                fetchRepositories: function (options) {
+                    return fetchUserOrGroup([
+                        api + '/users/' + account + '/repos?limit=50',
+                        api + '/orgs/' + account + '/repos?limit=50'
+                    ], normalizeGiteaRepository, options);
+                },
+                fetchLanguages: function (repo) {
+                    return getJson(api + '/repos/' + encodePath(repo.fullName) + '/languages');
+                },
+                fetchRelease: async function (repo) {
+                    var path = api + '/repos/' + encodePath(repo.fullName);
+                    var releases = await getJson(path + '/releases?draft=false&pre-release=false&limit=1');
+
+                    if (releases.length) {
+                        return releaseInfo(releases[0], releases[0].html_url);
+                    }
+
+                    var tags = await getJson(path + '/tags?limit=1');
+
+                    return tags.length ? tagInfo(tags[0].name, repo.url + '/releases/tag/' + encodeURIComponent(tags[0].name)) : null;
+                },
+                fetchFilePaths: async function (repo) {
+                    var tree = await getJson(api + '/repos/' + encodePath(repo.fullName) + '/git/trees/' +
+                        encodeURIComponent(repo.branch) + '?recursive=true&per_page=1000');
+
+                    return blobPaths(tree.tree || []);
+                },
+                fetchFile: function (repo, path) {
+                    return getText(api + '/repos/' + encodePath(repo.fullName) + '/raw/' + encodePath(path) + '?ref=' +
+                        encodeURIComponent(repo.branch));
+                }
+            };
+        }
+    };
+
+    /**
+     * The adapter for `config` (see `readProviderConfig`): `{ name, label,
+     * key, profileUrl, fetchRepositories(options), fetchLanguages(repo),
+     * fetchRelease(repo), fetchFilePaths(repo), fetchFile(repo, path),
+     * fetchActivity(repo), fetchReadme(repo) }`. `fetchRelease` resolves to
+     * `{ kind, tag, name, url, publishedAt }` or null, `fetchFilePaths` to
+     * the file paths on the default branch and `fetchFile` to the text of
+     * one of them; the last two are null for providers without commit
+     * statistics or README previews.
+     * `key` identifies the account in caches.
+     */
+    function createProvider(config) {
+        var adapter = ADAPTERS[config.provider];
+
+        if (!adapter) {
+            throw new Error('Unsupported repository provider "' + config.provider + '"');
+        }
+
+        if (!config.user) {
+            throw new Error('No account configured for the repository listing');
+        }
+
+        var provider = adapter(config);
+
+        return {
+            name: config.provider,
+            label: provider.label,
+            key: config.provider + ':' + hostname(config.host) + ':' + config.user.toLowerCase(),
+            profileUrl: config.host + '/' + encodePath(config.user),
+            fetchRepositories: provider.fetchRepositories,
+            fetchLanguages: provider.fetchLanguages,
+            fetchRelease: provider.fetchRelease,
+            fetchFilePaths: provider.fetchFilePaths,
+            fetchFile: provider.fetchFile,
+            fetchActivity: provider.fetchActivity || null,
+            fetchReadme: provider.fetchReadme || null
+        };
+    }
+
+    /**
+     * The repositories the listing shows: public ones, forks only when
+     * configured, and at most `config.limit` of them.
+     */
+    function selectRepositories(repos, config) {
+        var shown = repos.filter(function (repo) {
+            return !repo.private && (config.includeForks || !repo.fork);
+        });
+
+        return config.limit ? shown.slice(0, config.limit) : shown;
+    }
+
+    return {
+        readProviderConfig: readProviderConfig,
+        createProvider: createProvider,
+        selectRepositories: selectRepositories,
+        normalizeGitLabProject: normalizeGitLabProject,
+        normalizeGiteaRepository: normalizeGiteaRepository
+    };
+}));
@@ -0,0 +1,204 @@
+const providers = require('./providers.js');
+
+function jsonResponse(body, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: () => null },
+        json: () => Promise.resolve(body)
+    };
+}
+
+describe('providers', () => {
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    describe('readProviderConfig', () => {
+        test('should default to GitHub without forks or a limit', () => {
+            expect(providers.readProviderConfig({ user: ' someone ' })).toEqual({
+                provider: 'github',
+                user: 'someone',
+                host: 'https://github.com',
+                includeForks: false,
+                limit: null
+            });
+        });
+
+        test('should read Codeberg as a Gitea host with forks and a limit', () => {
+            expect(providers.readProviderConfig({ provider: 'Codeberg', user: 'someone', includeForks: '', limit: '6' })).toMatchObject({
+                provider: 'gitea',
+                host: 'https://codeberg.org',
+                includeForks: true,
+                limit: 6
+            });
+        });
+
+        test('should keep a self-hosted instance without its trailing slash', () => {
+            expect(providers.readProviderConfig({ provider: 'gitlab', user: 'lab', host: 'https://git.example.org/', includeForks: 'false' }))
+                .toMatchObject({ host: 'https://git.example.org', includeForks: false });
+        });
+    });
+
+    describe('createProvider', () => {
+        test('should reject unknown providers and missing accounts', () => {
+            expect(() => providers.createProvider(providers.readProviderConfig({ provider: 'svn', user: 'x' }))).toThrow('Unsupported');
+            expect(() => providers.createProvider(providers.readProviderConfig({}))).toThrow('No account');
+        });
+
+        test('should describe the account for links and caches', () => {
+            const provider = providers.createProvider(providers.readProviderConfig({ provider: 'codeberg', user: 'Some/One' }));
+
+            expect(provider.label).toBe('Codeberg');
+            expect(provider.key).toBe('gitea:codeberg.org:some/one');
+            expect(provider.profileUrl).toBe('https://codeberg.org/Some/One');
+            expect(provider.fetchReadme).toBeNull();
+        });
+
+        test('should list a GitLab group when no user of that name exists', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(jsonResponse({ message: '404 User Not Found' }, 404))
+                .mockResolvedValueOnce(jsonResponse([{
+                    id: 12,
+                    name: 'Mirror',
+                    path_with_namespace: 'lab/mirror',
+                    web_url: 'https://gitlab.com/lab/mirror',
+                    visibility: 'public',
+                    star_count: 2,
+                    topics: ['spde'],
+                    license: { nickname: 'GNU GPLv3', name: 'GNU General Public License v3.0' },
+                    last_activity_at: '2026-03-01T00:00:00Z'
+                }]));
+            const provider = providers.createProvider(providers.readProviderConfig({ provider: 'gitlab', user: 'lab' }));
+
+            const result = await provider.fetchRepositories();
+
+            expect(global.fetch.mock.calls[0][0]).toMatch(/^https:\/\/gitlab\.com\/api\/v4\/users\/lab\/projects\?/);
+            expect(global.fetch.mock.calls[1][0]).toMatch(/^https:\/\/gitlab\.com\/api\/v4\/groups\/lab\/projects\?.*include_subgroups=true/);
+            expect(global.fetch.mock.calls[1][1].headers.Accept).toBe('application/json');
+            expect(result.repos).toEqual([expect.objectContaining({
+                id: 'gitlab:12',
+                fullName: 'lab/mirror',
+                url: 'https://gitlab.com/lab/mirror',
+                private: false,
+                stars: 2,
+                license: 'GNU GPLv3',
+                updatedAt: '2026-03-01T00:00:00Z',
+                readme: false
+            })]);
+        });
+
+        test('should request languages by project path', async () => {
+            global.fetch = jest.fn().mockResolvedValue(jsonResponse({ Julia: 75.5, Shell: 24.5 }));
+            const gitlab = providers.createProvider(providers.readProviderConfig({ provider: 'gitlab', user: 'lab' }));
+            const gitea = providers.createProvider(providers.readProviderConfig({ provider: 'gitea', user: 'lab', host: 'https://git.example.org' }));
+
+            await expect(gitlab.fetchLanguages({ fullName: 'lab/sub/mirror' })).resolves.toEqual({ Julia: 75.5, Shell: 24.5 });
+            await gitea.fetchLanguages({ fullName: 'lab/mirror' });
+
+            expect(global.fetch.mock.calls[0][0]).toBe('https://gitlab.com/api/v4/projects/lab%2Fsub%2Fmirror/languages');
+            expect(global.fetch.mock.calls[1][0]).toBe('https://git.example.org/api/v1/repos/lab/mirror/languages');
+        });
+    });
+
+    describe('fetchRelease', () => {
+        test('should link GitLab releases and fall back to Gitea tags', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(jsonResponse([{ tag_name: 'v1.0', name: 'First', released_at: '2026-02-01T00:00:00Z' }]))
+                .mockResolvedValueOnce(jsonResponse([]))
+                .mockResolvedValueOnce(jsonResponse([{ name: 'v0.2' }]));
+            const gitlab = providers.createProvider(providers.readProviderConfig({ provider: 'gitlab', user: 'lab' }));
+            const gitea = providers.createProvider(providers.readProviderConfig({ provider: 'codeberg', user: 'lab' }));
+
+            await expect(gitlab.fetchRelease({ fullName: 'lab/mirror', url: 'https://gitlab.com/lab/mirror' })).resolves.toEqual({
+                kind: 'release',
+                tag: 'v1.0',
+                name: 'First',
+                url: 'https://gitlab.com/lab/mirror/-/releases/v1.0',
+                publishedAt: '2026-02-01T00:00:00Z'
+            });
+            await expect(gitea.fetchRelease({ fullName: 'lab/solver', url: 'https://codeberg.org/lab/solver' })).resolves.toEqual({
+                kind: 'tag',
+                tag: 'v0.2',
+                name: 'v0.2',
+                url: 'https://codeberg.org/lab/solver/releases/tag/v0.2',
+                publishedAt: null
+            });
+            expect(global.fetch.mock.calls[2][0]).toBe('https://codeberg.org/api/v1/repos/lab/solver/tags?limit=1');
+        });
+    });
+
+    describe('fetchFilePaths', () => {
+        test('should list the default branch of GitLab and Gitea repositories', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(jsonResponse([{ path: 'docs', type: 'tree' }, { path: 'docs/walk.ipynb', type: 'blob' }]))
+                .mockResolvedValueOnce(jsonResponse({ tree: [{ path: 'demo.ipynb', type: 'blob' }] }));
+            const gitlab = providers.createProvider(providers.readProviderConfig({ provider: 'gitlab', user: 'lab' }));
+            const gitea = providers.createProvider(providers.readProviderConfig({ provider: 'codeberg', user: 'lab' }));
+
+            await expect(gitlab.fetchFilePaths({ fullName: 'lab/mirror', branch: 'main' })).resolves.toEqual(['docs/walk.ipynb']);
+            await expect(gitea.fetchFilePaths({ fullName: 'lab/solver', branch: 'dev/2' })).resolves.toEqual(['demo.ipynb']);
+            expect(global.fetch.mock.calls[0][0]).toBe('https://gitlab.com/api/v4/projects/lab%2Fmirror/repository/tree?recursive=true&per_page=100&ref=main');
+            expect(global.fetch.mock.calls[1][0]).toMatch(/^https:\/\/codeberg\.org\/api\/v1\/repos\/lab\/solver\/git\/trees\/dev%2F2\?recursive=true/);
+        });
+    });
+
+    describe('fetchFile', () => {
+        test('should read raw files of GitHub, GitLab and Gitea repositories', async () => {
+            global.fetch = jest.fn().mockResolvedValue({ ...jsonResponse(null), text: () => Promise.resolve('[deps]\n') });
+            const create = (dataset) => providers.createProvider(providers.readProviderConfig({ user: 'lab', ...dataset }));
+            const repo = { fullName: 'lab/walks', branch: 'main' };
+
+            await expect(create({ provider: 'gitlab' }).fetchFile(repo, 'Project.toml')).resolves.toBe('[deps]\n');
+            await create({ provider: 'codeberg' }).fetchFile(repo, 'Project.toml');
+            await create({}).fetchFile(repo, 'Project.toml');
+
+            expect(global.fetch.mock.calls.map((call) => call[0])).toEqual([
+                'https://gitlab.com/api/v4/projects/lab%2Fwalks/repository/files/Project.toml/raw?ref=main',
+                'https://codeberg.org/api/v1/repos/lab/walks/raw/Project.toml?ref=main',
+                'https://raw.githubusercontent.com/lab/walks/main/Project.toml'
+            ]);
+        });
+    });
+
+    describe('normalizeGiteaRepository', () => {
+        test('should map the Gitea payload onto the card model', () => {
+            expect(providers.normalizeGiteaRepository({
+                id: 3,
+                name: 'solver',
+                full_name: 'someone/solver',
+                html_url: 'https://codeberg.org/someone/solver',
+                stars_count: 5,
+                licenses: ['MIT'],
+                website: 'https://solver.example.org',
+                updated_at: '2026-04-01T00:00:00Z'
+            })).toMatchObject({
+                id: 'gitea:3',
+                provider: 'gitea',
+                stars: 5,
+                license: 'MIT',
+                homepage: 'https://solver.example.org',
+                updatedAt: '2026-04-01T00:00:00Z'
+            });
+        });
+    });
+
+    describe('selectRepositories', () => {
+        const repos = [
+            { id: 'a', fork: true },
+            { id: 'b', private: true },
+            { id: 'c' },
+            { id: 'd' }
+        ];
+        const ids = (list) => list.map((repo) => repo.id);
+
+        test('should hide private repositories and, unless configured, forks', () => {
+            expect(ids(providers.selectRepositories(repos, { includeForks: false }))).toEqual(['c', 'd']);
+            expect(ids(providers.selectRepositories(repos, { includeForks: true }))).toEqual(['a', 'c', 'd']);
+        });
+
+        test('should cap the list at the configured limit', () => {
+            expect(ids(providers.selectRepositories(repos, { includeForks: true, limit: 2 }))).toEqual(['a', 'c']);
+        });
+    });
+});
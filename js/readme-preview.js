@@ -0,0 +1,203 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./modal.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.readmePreview = factory(root.Site.modal);
+    }
+}(this, function (modal) {
+    'use strict';
+
+    /**
+     * Build the README drawer: a modal dialog sliding in from the right with a
+     * backdrop button behind it, as the mobile menu does (see `Site.modal`).
+     * While it is open the rest of the page is inert and focus is trapped;
+     * it returns to the trigger when the drawer closes.
+     */
+    function createPreviewDrawer() {
+        var backdrop = modal.createBackdrop('drawer-backdrop', 'Close preview');
+        var drawer = document.createElement('aside');
+        var header = document.createElement('div');
+        var title = document.createElement('h2');
+        var source = document.createElement('a');
+        var close = document.createElement('button');
+        var body = document.createElement('div');
+        var trigger = null;
+        var request = 0;
+        var restorePage = null;
+
+        drawer.className = 'readme-drawer';
+        drawer.id = 'readme-drawer';
+        drawer.setAttribute('role', 'dialog');
+        drawer.setAttribute('aria-modal', 'true');
+        drawer.setAttribute('aria-labelledby', 'readme-drawer-title');
+        drawer.setAttribute('aria-hidden', 'true');
+
+        header.className = 'readme-drawer-header';
+        title.id = 'readme-drawer-title';
+        title.className = 'card-heading';
+        source.className = 'text-link';
+        source.target = '_blank';
+        source.rel = 'noopener noreferrer';
+        close.type = 'button';
+        close.className = 'readme-drawer-close';
+        close.setAttribute('aria-label', 'Close preview');
+        close.textContent = '×';
+        body.className = 'readme-drawer-body markdown-body';
+        body.tabIndex = 0;
+
+        header.appendChild(title);
+        header.appendChild(close);
+        drawer.appendChild(header);
+        drawer.appendChild(source);
+        drawer.appendChild(body);
+        document.body.appendChild(drawer);
+
+        var isOpen = function () {
+            return drawer.classList.contains('is-open');
+        };
+
+        var setOpen = function (open) {
+            drawer.classList.toggle('is-open', open);
+            backdrop.classList.toggle('is-visible', open);
+            document.body.classList.toggle('drawer-open', open);
+            drawer.setAttribute('aria-hidden', String(!open));
+
+            if (open && !restorePage) {
+                restorePage = modal.makePageInert([drawer, backdrop]);
+            } else if (!open && restorePage) {
+                restorePage();
+                restorePage = null;
+            }
+        };
+
+        var showMessage = function (text, link) {
+            var message = document.createElement('p');
+
+            message.className = 'readme-drawer-status';
+            message.textContent = text;
+
+            if (link) {
+                message.appendChild(link);
+            }
+
+            body.textContent = '';
+            body.appendChild(message);
+        };
+
+        var hide = function () {
+            if (!isOpen()) {
+                return;
+            }
+
+            request += 1;
+            setOpen(false);
+
+            if (trigger && document.contains(trigger)) {
+                trigger.focus();
+            }
+
+            trigger = null;
+        };
+
+        backdrop.addEventListener('click', hide);
+        close.addEventListener('click', hide);
+
+        drawer.addEventListener('keydown', function (event) {
+            if (event.key === 'Tab') {
+                modal.trapTab(event, modal.focusableElements(drawer));
+            }
+        });
+
+        var closeOnEscape = function (event) {
+            if (event.key === 'Escape' && isOpen()) {
+                hide();
+            }
+        };
+
+        var keepFocus = function (event) {
+            if (isOpen() && !drawer.contains(event.target)) {
+                close.focus();
+            }
+        };
+
+        document.addEventListener('keydown', closeOnEscape);
+        document.addEventListener('focusin', keepFocus);
+
+        return {
+            element: drawer,
+            isOpen: isOpen,
+            close: hide,
+            /**
+             * Take the drawer out of the page for good, as when the router
+             * moves on to another page.
+             */
+            dispose: function () {
+                request += 1;
+                setOpen(false);
+                document.removeEventListener('keydown', closeOnEscape);
+                document.removeEventListener('focusin', keepFocus);
+                backdrop.remove();
+                drawer.remove();
+            },
+            /**
+             * Show the drawer for one repository. `options.sourceLabel` names
+             * the host of `sourceUrl` (GitHub by default) and `options.load`
+             * resolves to the sanitized README content; results for a drawer
+             * that was closed or reopened in the meantime are discarded.
+             */
+            open: function (options) {
+                var current = request += 1;
+
+                trigger = options.trigger || document.activeElement;
+                title.textContent = options.title;
+                source.href = options.sourceUrl;
+                source.textContent = 'Open on ' + (options.sourceLabel || 'GitHub');
+                body.setAttribute('aria-busy', 'true');
+                showMessage('Loading README...');
+                setOpen(true);
+                close.focus();
+
+                return Promise.resolve()
+                    .then(options.load)
+                    .then(function (content) {
+                        if (current !== request) {
+                            return;
+                        }
+
+                        body.textContent = '';
+                        body.appendChild(content);
+
+                        if (!body.childNodes.length) {
+                            showMessage('This README is empty.');
+                        }
+                    })
+                    .catch(function (error) {
+                        if (current !== request) {
+                            return;
+                        }
+
+                        var link = document.createElement('a');
+
+                        link.href = options.sourceUrl;
+                        link.target = '_blank';
+                        link.rel = 'noopener noreferrer';
+                        link.textContent = ' Open it on ' + (options.sourceLabel || 'GitHub') + '.';
+                        showMessage('The README could not be loaded right now.', link);
+                        console.warn('README could not be loaded.', error);
+                    })
+                    .then(function () {
+                        if (current === request) {
+                            body.removeAttribute('aria-busy');
+                        }
+                    });
+            }
+        };
+    }
+
+    return {
+        createPreviewDrawer: createPreviewDrawer
+    };
+}));
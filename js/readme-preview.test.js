@@ -0,0 +1,124 @@
+const readmePreview = require('./readme-preview.js');
+
+function content(text) {
+    const fragment = document.createDocumentFragment();
+    const paragraph = document.createElement('p');
+
+    paragraph.textContent = text;
+    fragment.appendChild(paragraph);
+
+    return fragment;
+}
+
+describe('readmePreview', () => {
+    let drawer;
+    let trigger;
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        trigger = document.createElement('button');
+        trigger.textContent = 'Preview';
+        document.body.appendChild(trigger);
+        trigger.focus();
+        drawer = readmePreview.createPreviewDrawer();
+    });
+
+    test('should open as a modal dialog and render the loaded content', async () => {
+        await drawer.open({ title: 'vortex', sourceUrl: 'https://github.com/someone/vortex', trigger, load: () => content('Hello README') });
+
+        const dialog = document.querySelector('[role="dialog"]');
+
+        expect(drawer.isOpen()).toBe(true);
+        expect(dialog.getAttribute('aria-modal')).toBe('true');
+        expect(dialog.getAttribute('aria-hidden')).toBe('false');
+        expect(document.getElementById('readme-drawer-title').textContent).toBe('vortex');
+        expect(dialog.querySelector('.readme-drawer-body').textContent).toBe('Hello README');
+        expect(dialog.contains(document.activeElement)).toBe(true);
+        expect(document.body.classList.contains('drawer-open')).toBe(true);
+    });
+
+    test('should make the page behind the drawer inert while open', async () => {
+        await drawer.open({ title: 'vortex', sourceUrl: 'https://github.com/someone/vortex', trigger, load: () => content('x') });
+
+        expect(trigger.hasAttribute('inert')).toBe(true);
+        expect(drawer.element.hasAttribute('inert')).toBe(false);
+        expect(document.querySelector('.drawer-backdrop').hasAttribute('inert')).toBe(false);
+
+        drawer.close();
+
+        expect(trigger.hasAttribute('inert')).toBe(false);
+        expect(document.activeElement).toBe(trigger);
+    });
+
+    test('should close on Escape and return focus to the trigger', async () => {
+        await drawer.open({ title: 'vortex', sourceUrl: 'https://github.com/someone/vortex', trigger, load: () => content('x') });
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+        expect(drawer.isOpen()).toBe(false);
+        expect(document.activeElement).toBe(trigger);
+        expect(document.querySelector('.drawer-backdrop').classList.contains('is-visible')).toBe(false);
+    });
+
+    test('should close from the backdrop', async () => {
+        await drawer.open({ title: 'vortex', sourceUrl: 'https://github.com/someone/vortex', trigger, load: () => content('x') });
+
+        document.querySelector('.drawer-backdrop').click();
+
+        expect(drawer.isOpen()).toBe(false);
+    });
+
+    test('should keep Tab focus inside the drawer', async () => {
+        await drawer.open({ title: 'vortex', sourceUrl: 'https://github.com/someone/vortex', trigger, load: () => content('x') });
+
+        const dialog = drawer.element;
+        const close = dialog.querySelector('.readme-drawer-close');
+        const body = dialog.querySelector('.readme-drawer-body');
+
+        body.focus();
+        dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', bubbles: true, cancelable: true }));
+        expect(document.activeElement).toBe(close);
+
+        close.focus();
+        dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', shiftKey: true, bubbles: true, cancelable: true }));
+        expect(document.activeElement).toBe(body);
+
+        trigger.focus();
+        expect(dialog.contains(document.activeElement)).toBe(true);
+    });
+
+    test('should show a fallback link when loading fails', async () => {
+        await drawer.open({ title: 'vortex', sourceUrl: 'https://github.com/someone/vortex', trigger, load: () => Promise.reject(new Error('404')) });
+
+        const body = drawer.element.querySelector('.readme-drawer-body');
+
+        expect(body.textContent).toContain('could not be loaded');
+        expect(body.querySelector('a').href).toBe('https://github.com/someone/vortex');
+        expect(body.hasAttribute('aria-busy')).toBe(false);
+    });
+
+    test('should ignore results of a superseded request', async () => {
+        let resolveFirst;
+        const first = drawer.open({ title: 'first', sourceUrl: 'https://github.com/a', trigger, load: () => new Promise((resolve) => { resolveFirst = resolve; }) });
+        await drawer.open({ title: 'second', sourceUrl: 'https://github.com/b', trigger, load: () => content('second') });
+
+        resolveFirst(content('first'));
+        await first;
+
+        expect(drawer.element.querySelector('.readme-drawer-body').textContent).toBe('second');
+    });
+
+    test('should leave the page when disposed', async () => {
+        await drawer.open({ title: 'vortex', sourceUrl: 'https://github.com/someone/vortex', trigger, load: () => content('x') });
+
+        drawer.dispose();
+
+        expect(document.querySelector('.readme-drawer')).toBeNull();
+        expect(document.querySelector('.drawer-backdrop')).toBeNull();
+        expect(document.body.classList.contains('drawer-open')).toBe(false);
+
+        trigger.focus();
+
+        expect(document.activeElement).toBe(trigger);
+    });
+});
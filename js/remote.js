@@ -0,0 +1,379 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./cache.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.remote = factory(root.Site.cache);
+    }
+}(this, function (cache) {
+    'use strict';
+
+    /*
+     * The one way remote content reaches the page. `request` is the
+     * transport: timeouts, retries and errors with a `kind` describing what
+     * went wrong. `load` builds on it for widgets: identical requests in
+     * flight share one fetch, responses are parsed as JSON, text or XML and
+     * can be kept in storage for a while. `revalidate` keeps a listing
+     * saved for good and checks it against its source on every visit.
+     * `createStatus` renders the loading, empty and error states the same
+     * way for every widget.
+     */
+
+    var TIMEOUT = 10000;
+    var RETRIES = 2;
+    var BACKOFF = 600;
+    var TRANSIENT = ['network', 'timeout', 'server'];
+    var inFlight = {};
+
+    /**
+     * A failed remote request. `kind` is one of `not-found`, `server`,
+     * `http`, `network`, `timeout` or `parse`; services may add their own,
+     * such as `rate-limit`, whose errors carry the `resetAt` date at which
+     * requests are accepted again.
+     */
+    class RemoteError extends Error {
+        constructor(kind, message, details) {
+            super(message);
+            this.name = 'RemoteError';
+            this.kind = kind;
+            this.status = details && details.status || 0;
+            this.resetAt = details && details.resetAt || null;
+        }
+    }
+
+    function wait(milliseconds) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, milliseconds);
+        });
+    }
+
+    function errorForResponse(response) {
+        var status = response.status;
+
+        if (status === 404) {
+            return new RemoteError('not-found', 'Resource not found', { status: status });
+        }
+
+        if (status >= 500 || status === 408 || status === 429) {
+            return new RemoteError('server', 'Server responded with status ' + status, { status: status });
+        }
+
+        return new RemoteError('http', 'Server responded with status ' + status, { status: status });
+    }
+
+    async function attempt(url, headers, timeout) {
+        var controller = typeof AbortController === 'function' ? new AbortController() : null;
+        var timer = controller ? setTimeout(function () {
+            controller.abort();
+        }, timeout) : null;
+
+        try {
+            return await fetch(url, {
+                headers: headers,
+                signal: controller ? controller.signal : undefined
+            });
+        } catch (error) {
+            if (controller && controller.signal.aborted) {
+                throw new RemoteError('timeout', 'No response within ' + timeout + 'ms');
+            }
+
+            throw new RemoteError('network', 'Server could not be reached: ' + error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * GET `url` with `options.headers`. Each attempt is aborted after
+     * `options.timeout` ms, and network errors, timeouts and 5xx responses
+     * are retried `options.retries` times with exponential backoff.
+     * `options.errorFor(response)` may classify failed responses itself.
+     * Resolves with OK and 304 responses; rejects with a RemoteError.
+     */
+    async function request(url, options) {
+        var config = options || {};
+        var retries = config.retries === undefined ? RETRIES : config.retries;
+
+        for (var tries = 0; ; tries += 1) {
+            var error;
+
+            try {
+                var response = await attempt(url, config.headers || {}, config.timeout || TIMEOUT);
+
+                if (response.ok || response.status === 304) {
+                    return response;
+                }
+
+                error = (config.errorFor || errorForResponse)(response);
+            } catch (caught) {
+                error = caught;
+            }
+
+            if (TRANSIENT.indexOf(error.kind) === -1 || tries >= retries) {
+                throw error;
+            }
+
+            await wait(BACKOFF * Math.pow(2, tries) * (1 + Math.random() * 0.25));
+        }
+    }
+
+    async function parse(response, type) {
+        try {
+            if (type === 'text') {
+                return await response.text();
+            }
+
+            if (type === 'xml') {
+                var documentNode = new DOMParser().parseFromString(await response.text(), 'application/xml');
+
+                if (documentNode.getElementsByTagName('parsererror').length) {
+                    throw new Error('Malformed XML');
+                }
+
+                return documentNode;
+            }
+
+            return await response.json();
+        } catch (error) {
+            throw new RemoteError('parse', 'Response could not be read as ' + type + ': ' + error.message);
+        }
+    }
+
+    function fresh(entry, ttl) {
+        return entry && ttl > 0 && Date.now() - entry.savedAt < ttl;
+    }
+
+    /**
+     * Fetch and parse `url`. `options.as` is `json` (the default), `text`
+     * or `xml`, and `options.transform(parsed)` turns the body into what the
+     * caller keeps. With `options.cacheKey` the result is stored and reused
+     * for `options.ttl` ms; once expired it still stands in when the
+     * refresh fails. Storage holds plain data only, so XML is cached in its
+     * transformed form. Other options go to `request`. Calls for the same
+     * URL and type while one is pending share its result.
+     */
+    function load(url, options) {
+        var config = options || {};
+        var type = config.as || 'json';
+        var key = type + ' ' + url;
+        var entry = config.cacheKey ? cache.read(config.cacheKey) : null;
+
+        if (fresh(entry, config.ttl)) {
+            return Promise.resolve(entry.value);
+        }
+
+        if (!inFlight[key]) {
+            inFlight[key] = request(url, config).then(function (response) {
+                return parse(response, type);
+            }).finally(function () {
+                delete inFlight[key];
+            });
+        }
+
+        return inFlight[key].then(function (parsed) {
+            var value = config.transform ? config.transform(parsed) : parsed;
+
+            if (config.cacheKey && (type !== 'xml' || config.transform)) {
+                cache.write(config.cacheKey, value);
+            }
+
+            return value;
+        }, function (error) {
+            if (entry) {
+                console.warn('Serving expired ' + url + ' after a failed refresh.', error);
+                return entry.value;
+            }
+
+            throw error;
+        });
+    }
+
+    /**
+     * Load a listing into `container` from the value saved under
+     * `options.cacheKey`, then bring it up to date. `options.valid(value)`
+     * rejects saved values of an older shape, and `options.seed` (`{ value,
+     * savedAt }`, such as a build-time snapshot) stands in for a missing or
+     * older saved value. `options.items(value)` lists the items of a value
+     * and `options.render(items)` draws them, returning how many there are.
+     *
+     * `options.fetch(previous, show)` gets the value on screen (null on a
+     * cold start, when it may pass the items loaded so far to `show`) and
+     * resolves to `{ value, items, changed }`, revalidating `previous`
+     * cheaply where the source allows, e.g. with ETags. Changed values are
+     * saved and drawn. When that fails, the value on screen stays and is
+     * announced as saved. The loading, empty and error states are those of
+     * `createStatus`, which gets the other options, with
+     * `options.placeholders` placeholders on a cold start.
+     */
+    async function revalidate(container, options) {
+        var entry = cache.read(options.cacheKey);
+        var previous = entry && (!options.valid || options.valid(entry.value)) ? entry.value : null;
+        var status = createStatus(container, options);
+        var count = 0;
+
+        var show = function (items) {
+            count = options.render(items);
+            status.progress(count);
+        };
+
+        if (options.seed && (!previous || options.seed.savedAt > entry.savedAt)) {
+            previous = options.seed.value;
+        }
+
+        status.loading(previous ? 0 : options.placeholders);
+
+        if (previous) {
+            show(options.items(previous));
+        }
+
+        try {
+            var latest = await options.fetch(previous, show);
+
+            if (latest.changed) {
+                cache.write(options.cacheKey, latest.value);
+                show(latest.items);
+            }
+
+            status.done(count);
+        } catch (error) {
+            if (!previous) {
+                status.failed(error, count);
+                return;
+            }
+
+            // The saved listing stays on screen; it is checked again on the next visit.
+            console.warn('Saved ' + options.noun[1] + ' could not be revalidated.', error);
+            status.done(count, true);
+        }
+    }
+
+    function formatDuration(milliseconds) {
+        var minutes = Math.max(1, Math.ceil(milliseconds / 60000));
+
+        if (minutes < 60) {
+            return minutes + (minutes === 1 ? ' minute' : ' minutes');
+        }
+
+        var hours = Math.round(minutes / 60);
+
+        return hours + (hours === 1 ? ' hour' : ' hours');
+    }
+
+    /**
+     * A sentence telling visitors what went wrong and when to come back,
+     * naming the service as `host`.
+     */
+    function describeError(error, now, host) {
+        var current = now === undefined ? Date.now() : now;
+        var name = host || 'The server';
+
+        if (error && error.kind === 'rate-limit' && error.resetAt) {
+            var time = error.resetAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+            return name + '\'s request limit for this network has been reached. ' +
+                'It will be available again at ' + time + ' (in ' + formatDuration(error.resetAt.getTime() - current) + ').';
+        }
+
+        if (error && error.kind === 'not-found') {
+            return name + ' has nothing at this address.';
+        }
+
+        if (error && (error.kind === 'network' || error.kind === 'timeout')) {
+            return name + ' could not be reached. Check your connection and reload the page to try again.';
+        }
+
+        return name + ' is not responding properly right now. Please try again in a few minutes.';
+    }
+
+    /**
+     * The loading, empty and error states of remote content listed in
+     * `container`. `options.noun` is the singular and plural of what is
+     * listed, `options.empty` the message when there is nothing,
+     * `options.label` and `options.url` the service named and linked to on
+     * failure, `options.describeError` an alternative to `describeError`
+     * and `options.placeholder()` builds one placeholder element.
+     *
+     * `loading(count)` marks the container busy behind `count`
+     * placeholders; `progress(shown)` takes one away for every item shown;
+     * `done(shown, saved)` and `failed(error, shown)` end the load with a
+     * single status line. That line is the container's only live region,
+     * so screen readers hear one summary, not every card coming and going.
+     */
+    function createStatus(container, options) {
+        var status = document.createElement('p');
+        var placeholders = [];
+        var total = 0;
+
+        status.setAttribute('role', 'status');
+
+        var finish = function () {
+            placeholders.forEach(function (placeholder) {
+                placeholder.remove();
+            });
+            placeholders = [];
+            container.removeAttribute('aria-busy');
+
+            if (container.lastChild !== status) {
+                container.appendChild(status);
+            }
+        };
+
+        return {
+            element: status,
+            loading: function (count) {
+                container.setAttribute('aria-busy', 'true');
+                total = count || 0;
+
+                for (var index = 0; index < total && options.placeholder; index += 1) {
+                    placeholders.push(container.appendChild(options.placeholder()));
+                }
+
+                // The live region is in place, and empty, before the summary
+                // is written into it; a region added with its text is often
+                // not announced.
+                status.className = 'sr-only';
+                status.textContent = '';
+                container.appendChild(status);
+            },
+            progress: function (shown) {
+                while (placeholders.length && placeholders.length + shown > total) {
+                    placeholders.pop().remove();
+                }
+            },
+            done: function (shown, saved) {
+                status.className = shown ? 'sr-only' : 'repo-status';
+                status.textContent = shown
+                    ? 'Loaded ' + shown + ' ' + (saved ? 'saved ' : '') + options.noun[shown === 1 ? 0 : 1] + '.'
+                    : options.empty;
+                finish();
+            },
+            failed: function (error, shown) {
+                var noun = options.noun[1];
+                var link = document.createElement('a');
+
+                status.className = 'repo-status';
+                status.textContent = (shown
+                    ? 'Some ' + noun + ' could not be loaded. '
+                    : noun.charAt(0).toUpperCase() + noun.slice(1) + ' could not be loaded. ') +
+                    (options.describeError || describeError)(error, undefined, options.label);
+                link.href = options.url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = ' Open ' + options.label + '.';
+                status.appendChild(link);
+                finish();
+            }
+        };
+    }
+
+    return {
+        RemoteError: RemoteError,
+        request: request,
+        load: load,
+        revalidate: revalidate,
+        describeError: describeError,
+        createStatus: createStatus
+    };
+}));
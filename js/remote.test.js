@@ -0,0 +1,319 @@
+const remote = require('./remote.js');
+const cache = require('./cache.js');
+
+function textResponse(text, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: () => null },
+        text: () => Promise.resolve(text),
+        json: () => Promise.resolve(JSON.parse(text))
+    };
+}
+
+describe('remote', () => {
+    beforeEach(() => {
+        window.localStorage.clear();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete global.fetch;
+    });
+
+    describe('request', () => {
+        test('should retry network errors and server failures with backoff', async () => {
+            jest.useFakeTimers();
+            global.fetch = jest.fn()
+                .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+                .mockResolvedValueOnce(textResponse('', 503))
+                .mockResolvedValueOnce(textResponse('{}'));
+
+            const result = remote.request('https://example.org/data');
+            await jest.runAllTimersAsync();
+
+            await expect(result).resolves.toMatchObject({ status: 200 });
+            expect(global.fetch).toHaveBeenCalledTimes(3);
+        });
+
+        test('should not retry client errors', async () => {
+            global.fetch = jest.fn().mockResolvedValue(textResponse('', 404));
+
+            await expect(remote.request('https://example.org/missing')).rejects.toMatchObject({
+                name: 'RemoteError',
+                kind: 'not-found',
+                status: 404
+            });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should let callers classify failed responses', async () => {
+            global.fetch = jest.fn().mockResolvedValue(textResponse('', 403));
+
+            await expect(remote.request('https://example.org/x', {
+                errorFor: (response) => new remote.RemoteError('rate-limit', 'slow down', { status: response.status })
+            })).rejects.toMatchObject({ kind: 'rate-limit', status: 403 });
+        });
+
+        test('should abort requests that exceed the timeout', async () => {
+            jest.useFakeTimers();
+            global.fetch = jest.fn((url, options) => new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+            }));
+
+            const result = expect(remote.request('https://example.org/slow', { timeout: 500, retries: 0 }))
+                .rejects.toMatchObject({ kind: 'timeout' });
+            await jest.advanceTimersByTimeAsync(500);
+
+            await result;
+        });
+    });
+
+    describe('load', () => {
+        test('should parse JSON, text and XML', async () => {
+            global.fetch = jest.fn((url) => Promise.resolve(textResponse(
+                url.endsWith('.xml') ? '<feed><title>Paper</title></feed>' : '{"a":1}'
+            )));
+
+            await expect(remote.load('https://example.org/a.json')).resolves.toEqual({ a: 1 });
+            await expect(remote.load('https://example.org/a.json', { as: 'text' })).resolves.toBe('{"a":1}');
+
+            const feed = await remote.load('https://example.org/a.xml', { as: 'xml' });
+
+            expect(feed.querySelector('title').textContent).toBe('Paper');
+        });
+
+        test('should reject malformed bodies as parse errors', async () => {
+            global.fetch = jest.fn().mockResolvedValue(textResponse('<feed><title>'));
+
+            await expect(remote.load('https://example.org/broken.xml', { as: 'xml' })).rejects.toMatchObject({ kind: 'parse' });
+        });
+
+        test('should share one request between identical pending loads', async () => {
+            global.fetch = jest.fn().mockResolvedValue(textResponse('{"a":1}'));
+
+            const results = await Promise.all([
+                remote.load('https://example.org/shared'),
+                remote.load('https://example.org/shared', { transform: (body) => body.a })
+            ]);
+
+            expect(results).toEqual([{ a: 1 }, 1]);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+
+            await remote.load('https://example.org/shared');
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should reuse stored results until they expire', async () => {
+            const options = { cacheKey: 'orcid', ttl: 60000, transform: (body) => body.works };
+
+            global.fetch = jest.fn().mockResolvedValue(textResponse('{"works":[1,2]}'));
+
+            await expect(remote.load('https://example.org/works', options)).resolves.toEqual([1, 2]);
+            await expect(remote.load('https://example.org/works', options)).resolves.toEqual([1, 2]);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(cache.read('orcid').value).toEqual([1, 2]);
+
+            window.localStorage.setItem('site:orcid', JSON.stringify({ savedAt: Date.now() - 61000, value: [1] }));
+
+            await expect(remote.load('https://example.org/works', options)).resolves.toEqual([1, 2]);
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should fall back to an expired result when the refresh fails', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            window.localStorage.setItem('site:arxiv', JSON.stringify({ savedAt: 0, value: { title: 'Old' } }));
+            global.fetch = jest.fn().mockResolvedValue(textResponse('', 404));
+
+            await expect(remote.load('https://example.org/abs', { cacheKey: 'arxiv', ttl: 1000 })).resolves.toEqual({ title: 'Old' });
+            expect(warn).toHaveBeenCalled();
+            warn.mockRestore();
+        });
+
+        test('should only store XML once transformed into plain data', async () => {
+            global.fetch = jest.fn().mockResolvedValue(textResponse('<feed><title>Paper</title></feed>'));
+
+            await remote.load('https://example.org/raw.xml', { as: 'xml', cacheKey: 'raw', ttl: 1000 });
+            await remote.load('https://example.org/raw.xml', {
+                as: 'xml',
+                cacheKey: 'title',
+                ttl: 1000,
+                transform: (feed) => feed.querySelector('title').textContent
+            });
+
+            expect(cache.read('raw')).toBeNull();
+            expect(cache.read('title').value).toBe('Paper');
+        });
+    });
+
+    describe('describeError', () => {
+        test('should name the service and when to come back', () => {
+            const now = Date.now();
+            const limited = new remote.RemoteError('rate-limit', 'limited', { status: 429, resetAt: new Date(now + 90 * 60000) });
+
+            expect(remote.describeError(limited, now, 'ORCID')).toMatch(/^ORCID's request limit .+ \(in 2 hours\)\.$/);
+            expect(remote.describeError(new remote.RemoteError('network', 'offline'), now, 'arXiv')).toMatch(/^arXiv could not be reached/);
+            expect(remote.describeError(new remote.RemoteError('parse', 'bad'))).toMatch(/^The server is not responding properly/);
+        });
+    });
+
+    describe('createStatus', () => {
+        let container;
+        let status;
+
+        beforeEach(() => {
+            container = document.createElement('div');
+            status = remote.createStatus(container, {
+                noun: ['paper', 'papers'],
+                empty: 'No papers yet.',
+                label: 'arXiv',
+                url: 'https://arxiv.org/a/someone',
+                placeholder: () => {
+                    const placeholder = document.createElement('article');
+
+                    placeholder.className = 'placeholder';
+
+                    return placeholder;
+                }
+            });
+        });
+
+        test('should show placeholders while loading and trade them for items', () => {
+            status.loading(3);
+
+            expect(container.getAttribute('aria-busy')).toBe('true');
+            expect(container.querySelectorAll('.placeholder')).toHaveLength(3);
+            expect(status.element.getAttribute('role')).toBe('status');
+            expect(container.lastChild).toBe(status.element);
+            expect(status.element.textContent).toBe('');
+
+            status.progress(2);
+
+            expect(container.querySelectorAll('.placeholder')).toHaveLength(1);
+
+            status.done(4);
+
+            expect(container.querySelectorAll('.placeholder')).toHaveLength(0);
+            expect(container.hasAttribute('aria-busy')).toBe(false);
+            expect(container.lastChild.className).toBe('sr-only');
+            expect(container.lastChild.textContent).toBe('Loaded 4 papers.');
+        });
+
+        test('should show the empty message and announce saved content', () => {
+            status.loading(1);
+            status.done(0);
+
+            expect(container.lastChild.className).toBe('repo-status');
+            expect(container.lastChild.textContent).toBe('No papers yet.');
+
+            status.loading(0);
+            status.done(1, true);
+
+            expect(container.querySelectorAll('p')).toHaveLength(1);
+            expect(container.lastChild.textContent).toBe('Loaded 1 saved paper.');
+        });
+
+        test('should explain failures and link to the service', () => {
+            status.loading(2);
+            status.failed(new remote.RemoteError('timeout', 'slow'), 1);
+
+            const link = container.lastChild.querySelector('a');
+
+            expect(container.lastChild.textContent).toMatch(/^Some papers could not be loaded\. arXiv could not be reached/);
+            expect(link.href).toBe('https://arxiv.org/a/someone');
+            expect(link.textContent).toBe(' Open arXiv.');
+            expect(container.querySelectorAll('.placeholder')).toHaveLength(0);
+        });
+    });
+
+    describe('revalidate', () => {
+        let container;
+        let options;
+
+        beforeEach(() => {
+            container = document.createElement('div');
+            options = {
+                cacheKey: 'talks',
+                noun: ['talk', 'talks'],
+                empty: 'No talks yet.',
+                label: 'GitHub',
+                placeholders: 2,
+                placeholder: () => {
+                    const placeholder = document.createElement('article');
+
+                    placeholder.className = 'placeholder';
+
+                    return placeholder;
+                },
+                valid: (value) => Array.isArray(value.talks),
+                items: (value) => value.talks,
+                render: jest.fn((items) => items.length)
+            };
+        });
+
+        test('should show the saved listing first and save what changed', async () => {
+            cache.write('talks', { talks: ['a'] });
+            options.fetch = jest.fn(async () => {
+                expect(options.render).toHaveBeenLastCalledWith(['a']);
+                expect(container.querySelectorAll('.placeholder')).toHaveLength(0);
+
+                return { value: { talks: ['a', 'b'] }, items: ['a', 'b'], changed: true };
+            });
+
+            await remote.revalidate(container, options);
+
+            expect(options.fetch).toHaveBeenCalledWith({ talks: ['a'] }, expect.any(Function));
+            expect(options.render).toHaveBeenLastCalledWith(['a', 'b']);
+            expect(cache.read('talks').value).toEqual({ talks: ['a', 'b'] });
+            expect(container.lastChild.textContent).toBe('Loaded 2 talks.');
+        });
+
+        test('should start from a newer seed and skip saved values of an older shape', async () => {
+            options.fetch = jest.fn(async (previous) => ({ value: previous, items: previous.talks, changed: false }));
+            options.seed = { value: { talks: ['seeded'] }, savedAt: Date.now() };
+            window.localStorage.setItem('site:talks', JSON.stringify({ savedAt: Date.now() - 1000, value: { talks: ['old'] } }));
+
+            await remote.revalidate(container, options);
+
+            expect(options.fetch.mock.calls[0][0]).toEqual({ talks: ['seeded'] });
+
+            cache.write('talks', { list: ['older shape'] });
+            options.seed = null;
+            await remote.revalidate(container, options);
+
+            expect(options.fetch.mock.calls[1][0]).toBeNull();
+            expect(options.render).toHaveBeenCalledTimes(1);
+            expect(cache.read('talks').value).toEqual({ list: ['older shape'] });
+        });
+
+        test('should keep the listing on screen as saved when revalidation fails', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            cache.write('talks', { talks: ['a'] });
+            options.fetch = () => Promise.reject(new remote.RemoteError('network', 'offline'));
+
+            await remote.revalidate(container, options);
+
+            expect(container.lastChild.textContent).toBe('Loaded 1 saved talk.');
+            expect(warn).toHaveBeenCalledWith('Saved talks could not be revalidated.', expect.any(remote.RemoteError));
+            warn.mockRestore();
+        });
+
+        test('should explain a failed cold start after the items it did load', async () => {
+            options.fetch = async (previous, show) => {
+                expect(container.querySelectorAll('.placeholder')).toHaveLength(2);
+                show(['a']);
+
+                throw new remote.RemoteError('timeout', 'slow');
+            };
+
+            await remote.revalidate(container, options);
+
+            expect(options.render).toHaveBeenCalledWith(['a']);
+            expect(container.lastChild.textContent).toMatch(/^Some talks could not be loaded\. GitHub could not be reached/);
+            expect(cache.read('talks')).toBeNull();
+        });
+    });
+});
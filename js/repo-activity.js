@@ -0,0 +1,116 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./card-loader.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.repoActivity = factory(root.Site.cardLoader);
+    }
+}(this, function (cardLoader) {
+    'use strict';
+
+    var SVG_NS = 'http://www.w3.org/2000/svg';
+    var WEEK = 7 * 24 * 3600 * 1000;
+    var WEEKS = 52;
+    var HEIGHT = 20;
+
+    /**
+     * The 52 weekly commit totals up to the week containing `now`. Weeks
+     * after the last reported one count as zero, so a cached series keeps
+     * sliding forward while nothing is pushed. Empty without any data.
+     */
+    function weeklySeries(activity, now) {
+        if (!activity || activity.start === null || !activity.totals.length) {
+            return [];
+        }
+
+        var start = activity.start * 1000;
+        var current = start + Math.max(0, Math.floor((now - start) / WEEK)) * WEEK;
+        var series = [];
+
+        for (var offset = WEEKS - 1; offset >= 0; offset -= 1) {
+            var index = Math.round((current - offset * WEEK - start) / WEEK);
+
+            series.push(index >= 0 && index < activity.totals.length ? activity.totals[index] : 0);
+        }
+
+        return series;
+    }
+
+    function sum(values) {
+        return values.reduce(function (total, value) {
+            return total + value;
+        }, 0);
+    }
+
+    function plural(count, noun) {
+        return count + ' ' + noun + (count === 1 ? '' : 's');
+    }
+
+    function createSparkline(series) {
+        var wrapper = document.createElement('div');
+        var svg = document.createElementNS(SVG_NS, 'svg');
+        var area = document.createElementNS(SVG_NS, 'polygon');
+        var line = document.createElementNS(SVG_NS, 'polyline');
+        var caption = document.createElement('span');
+        var max = Math.max.apply(null, series.concat(1));
+        var year = sum(series);
+        var month = sum(series.slice(-4));
+        var points = series.map(function (value, index) {
+            return index + ',' + (HEIGHT - 1 - value / max * (HEIGHT - 2)).toFixed(2);
+        }).join(' ');
+
+        wrapper.className = 'repo-activity' + (year ? '' : ' is-quiet');
+        svg.setAttribute('class', 'repo-activity-chart');
+        svg.setAttribute('viewBox', '0 0 ' + (series.length - 1) + ' ' + HEIGHT);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', 'Commit activity: ' + plural(year, 'commit') + ' in the past year, ' +
+            month + ' in the past four weeks');
+        area.setAttribute('class', 'repo-activity-area');
+        area.setAttribute('points', '0,' + HEIGHT + ' ' + points + ' ' + (series.length - 1) + ',' + HEIGHT);
+        line.setAttribute('class', 'repo-activity-line');
+        line.setAttribute('points', points);
+        svg.appendChild(area);
+        svg.appendChild(line);
+
+        caption.className = 'repo-activity-caption';
+        caption.setAttribute('aria-hidden', 'true');
+        caption.textContent = year ? plural(year, 'commit') + ' in the past year' : 'No commits in the past year';
+
+        wrapper.appendChild(svg);
+        wrapper.appendChild(caption);
+
+        return wrapper;
+    }
+
+    /**
+     * Fetch commit activity once cards scroll into view and draw it as a
+     * sparkline above the card footer; see `createCardLoader` for caching
+     * and `seed`.
+     */
+    function createActivityLoader(options) {
+        return cardLoader.createCardLoader({
+            cache: options.cache,
+            cacheKey: options.cacheKey,
+            seed: options.seed,
+            field: 'activity',
+            label: 'Commit activity',
+            fetch: options.fetchActivity,
+            render: function (card, activity) {
+                var series = weeklySeries(activity, Date.now());
+
+                if (series.length) {
+                    cardLoader.placeInCard(card, createSparkline(series), 'before-footer');
+                }
+            }
+        });
+    }
+
+    return {
+        weeklySeries: weeklySeries,
+        createSparkline: createSparkline,
+        createActivityLoader: createActivityLoader
+    };
+}));
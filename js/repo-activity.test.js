@@ -0,0 +1,72 @@
+const repoActivity = require('./repo-activity.js');
+const { memoryCache, flushPromises } = require('./test-helpers.js');
+
+const WEEK = 7 * 24 * 3600;
+
+describe('repoActivity', () => {
+    const start = 1700000000;
+    const totals = Array.from({ length: 52 }, (value, index) => index);
+
+    describe('weeklySeries', () => {
+        test('should return the reported year up to the current week', () => {
+            const series = repoActivity.weeklySeries({ start, totals }, (start + 51 * WEEK + 3600) * 1000);
+
+            expect(series).toHaveLength(52);
+            expect(series).toEqual(totals);
+        });
+
+        test('should slide forward with zeros while nothing is pushed', () => {
+            const series = repoActivity.weeklySeries({ start, totals }, (start + 53 * WEEK) * 1000);
+
+            expect(series.slice(0, 3)).toEqual([2, 3, 4]);
+            expect(series.slice(-2)).toEqual([0, 0]);
+        });
+
+        test('should be empty for repositories without commits', () => {
+            expect(repoActivity.weeklySeries({ start: null, totals: [] }, Date.now())).toEqual([]);
+        });
+    });
+
+    describe('createSparkline', () => {
+        test('should describe the year and the last four weeks', () => {
+            const series = new Array(52).fill(0);
+            series[10] = 5;
+            series[50] = 1;
+
+            const sparkline = repoActivity.createSparkline(series);
+            const chart = sparkline.querySelector('svg');
+
+            expect(chart.getAttribute('role')).toBe('img');
+            expect(chart.getAttribute('aria-label')).toBe('Commit activity: 6 commits in the past year, 1 in the past four weeks');
+            expect(chart.querySelector('polyline').getAttribute('points').split(' ')).toHaveLength(52);
+            expect(sparkline.textContent).toBe('6 commits in the past year');
+            expect(sparkline.classList.contains('is-quiet')).toBe(false);
+        });
+
+        test('should mark a silent year as quiet', () => {
+            const sparkline = repoActivity.createSparkline(new Array(52).fill(0));
+
+            expect(sparkline.classList.contains('is-quiet')).toBe(true);
+            expect(sparkline.textContent).toBe('No commits in the past year');
+        });
+    });
+
+    describe('createActivityLoader', () => {
+        test('should draw the sparkline above the card footer', async () => {
+            const card = document.createElement('article');
+            const footer = document.createElement('p');
+            const fetchActivity = jest.fn().mockResolvedValue({ start: Math.floor(Date.now() / 1000) - 51 * WEEK, totals });
+
+            footer.className = 'repo-footer';
+            card.appendChild(document.createElement('ul')).className = 'repo-stats';
+            card.appendChild(footer);
+            repoActivity.createActivityLoader({ cache: memoryCache(), cacheKey: 'activity', fetchActivity })
+                .observe(card, { id: 'github:1', fullName: 'someone/vortex', updatedAt: '2026-01-01T00:00:00Z' });
+            await flushPromises();
+
+            expect(fetchActivity).toHaveBeenCalledTimes(1);
+            expect(card.lastElementChild).toBe(footer);
+            expect(footer.previousElementSibling.className).toBe('repo-activity');
+        });
+    });
+});
@@ -0,0 +1,267 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.repoCards = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    var UNITS = [
+        ['year', 365 * 24 * 3600],
+        ['month', 30 * 24 * 3600],
+        ['week', 7 * 24 * 3600],
+        ['day', 24 * 3600],
+        ['hour', 3600],
+        ['minute', 60],
+        ['second', 1]
+    ];
+
+    /**
+     * Describe `date` relative to `now`, e.g. "3 weeks ago" or "yesterday".
+     */
+    function formatRelativeTime(date, now) {
+        var then = new Date(date).getTime();
+        var seconds = Math.round((then - (now === undefined ? Date.now() : new Date(now).getTime())) / 1000);
+
+        if (isNaN(seconds)) {
+            return '';
+        }
+
+        for (var index = 0; index < UNITS.length; index += 1) {
+            var unit = UNITS[index];
+
+            if (Math.abs(seconds) >= unit[1] || unit[0] === 'second') {
+                var amount = Math.round(seconds / unit[1]);
+
+                if (typeof Intl !== 'undefined' && Intl.RelativeTimeFormat) {
+                    return new Intl.RelativeTimeFormat('en', { numeric: 'auto' }).format(amount, unit[0]);
+                }
+
+                var count = Math.abs(amount);
+                var label = count + ' ' + unit[0] + (count === 1 ? '' : 's');
+
+                return amount < 0 ? label + ' ago' : 'in ' + label;
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Accept only http(s) links; bare hosts such as "example.org" get https.
+     */
+    function safeUrl(value) {
+        if (!value || typeof value !== 'string') {
+            return null;
+        }
+
+        var candidate = /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : 'https://' + value;
+
+        try {
+            var url = new URL(candidate);
+
+            return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * A link opening `href` in a new tab, without giving the page access
+     * to this one.
+     */
+    function externalLink(href, text, className) {
+        var link = document.createElement('a');
+
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = text;
+
+        if (className) {
+            link.className = className;
+        }
+
+        return link;
+    }
+
+    function badge(text, className) {
+        var element = document.createElement('span');
+
+        element.className = 'repo-badge ' + className;
+        element.textContent = text;
+
+        return element;
+    }
+
+    function stat(icon, value, label) {
+        var item = document.createElement('li');
+        var symbol = document.createElement('span');
+        var hidden = document.createElement('span');
+
+        item.className = 'repo-stat';
+        symbol.className = 'repo-stat-icon';
+        symbol.setAttribute('aria-hidden', 'true');
+        symbol.textContent = icon;
+        hidden.className = 'sr-only';
+        hidden.textContent = ' ' + label;
+        item.appendChild(symbol);
+        item.appendChild(document.createTextNode(String(value)));
+        item.appendChild(hidden);
+
+        return item;
+    }
+
+    function createRepositoryCard(repo) {
+        var card = document.createElement('article');
+        var header = document.createElement('div');
+        var heading = document.createElement('h3');
+        var description = document.createElement('p');
+        var stats = document.createElement('ul');
+        var footer = document.createElement('p');
+        var topics = repo.topics || [];
+        var homepage = safeUrl(repo.homepage);
+
+        card.className = 'repo' + (repo.archived ? ' is-archived' : '') + (repo.featured ? ' is-featured' : '');
+        header.className = 'repo-header';
+        heading.appendChild(externalLink(repo.url, repo.name));
+        header.appendChild(heading);
+
+        if (repo.featured) {
+            header.appendChild(badge('Featured', 'repo-badge-featured'));
+        }
+
+        if (repo.archived) {
+            header.appendChild(badge('Archived', 'repo-badge-archived'));
+        }
+
+        card.appendChild(header);
+        description.className = 'repo-description';
+        description.textContent = repo.description || 'No description available.';
+        card.appendChild(description);
+
+        if (topics.length) {
+            var chips = document.createElement('ul');
+
+            chips.className = 'repo-topics';
+            chips.setAttribute('aria-label', 'Topics');
+            topics.forEach(function (topic) {
+                var chip = document.createElement('li');
+
+                chip.className = 'repo-chip';
+                chip.textContent = topic;
+                chips.appendChild(chip);
+            });
+            card.appendChild(chips);
+        }
+
+        if (repo.paper && safeUrl(repo.paper.url)) {
+            var paper = document.createElement('p');
+
+            paper.className = 'repo-paper';
+            paper.textContent = 'Paper: ';
+            paper.appendChild(externalLink(safeUrl(repo.paper.url), repo.paper.title || repo.paper.url));
+            card.appendChild(paper);
+        }
+
+        stats.className = 'repo-stats';
+        stats.appendChild(stat('●', repo.language || 'Not specified', 'primary language'));
+
+        if (repo.external) {
+            stats.appendChild(stat('↗', repo.host || 'External', 'hosting'));
+        } else {
+            stats.appendChild(stat('★', repo.stars || 0, repo.stars === 1 ? 'star' : 'stars'));
+            stats.appendChild(stat('⑂', repo.forks || 0, repo.forks === 1 ? 'fork' : 'forks'));
+        }
+
+        if (repo.license) {
+            stats.appendChild(stat('§', repo.license, 'license'));
+        }
+
+        stats.firstChild.classList.add('repo-language');
+        card.appendChild(stats);
+
+        footer.className = 'repo-footer';
+
+        if (repo.updatedAt) {
+            var time = document.createElement('time');
+
+            time.dateTime = repo.updatedAt;
+            time.title = new Date(repo.updatedAt).toLocaleDateString('en-GB', { dateStyle: 'long' });
+            time.textContent = 'Updated ' + formatRelativeTime(repo.updatedAt);
+            footer.appendChild(time);
+        }
+
+        if (homepage) {
+            footer.appendChild(externalLink(homepage, 'Homepage', 'repo-homepage'));
+        }
+
+        if (repo.readme && !repo.external) {
+            var preview = document.createElement('button');
+            var previewLabel = document.createElement('span');
+
+            preview.type = 'button';
+            preview.className = 'repo-preview';
+            preview.setAttribute('aria-controls', 'readme-drawer');
+            preview.textContent = 'Preview';
+            previewLabel.className = 'sr-only';
+            previewLabel.textContent = ' README of ' + repo.name;
+            preview.appendChild(previewLabel);
+            footer.appendChild(preview);
+        }
+
+        if (footer.childNodes.length) {
+            card.appendChild(footer);
+        }
+
+        return card;
+    }
+
+    function placeholder(tagName, className) {
+        var element = document.createElement(tagName);
+
+        element.className = 'repo-skeleton-line ' + className;
+
+        return element;
+    }
+
+    /**
+     * A stand-in for a card while the list loads, laid out with the same
+     * parts as `createRepositoryCard` so that swapping it for the real card
+     * does not move the grid. Hidden from assistive technology.
+     */
+    function createSkeletonCard() {
+        var card = document.createElement('article');
+        var header = document.createElement('div');
+        var description = document.createElement('div');
+        var stats = document.createElement('div');
+
+        card.className = 'repo repo-skeleton';
+        card.setAttribute('aria-hidden', 'true');
+        header.className = 'repo-header';
+        header.appendChild(placeholder('span', 'repo-skeleton-title'));
+        description.className = 'repo-description';
+        description.appendChild(placeholder('span', 'repo-skeleton-text'));
+        description.appendChild(placeholder('span', 'repo-skeleton-text is-short'));
+        stats.className = 'repo-stats';
+        stats.appendChild(placeholder('span', 'repo-skeleton-stats'));
+        card.appendChild(header);
+        card.appendChild(description);
+        card.appendChild(stats);
+        card.appendChild(placeholder('span', 'repo-skeleton-footer'));
+
+        return card;
+    }
+
+    return {
+        createRepositoryCard: createRepositoryCard,
+        createSkeletonCard: createSkeletonCard,
+        externalLink: externalLink,
+        formatRelativeTime: formatRelativeTime,
+        safeUrl: safeUrl
+    };
+}));
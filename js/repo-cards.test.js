@@ -0,0 +1,122 @@
+const repoCards = require('./repo-cards.js');
+
+describe('repoCards', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    describe('formatRelativeTime', () => {
+        test('should pick the largest fitting unit', () => {
+            expect(repoCards.formatRelativeTime('2026-02-08T12:00:00Z', now)).toBe('3 weeks ago');
+            expect(repoCards.formatRelativeTime('2026-02-28T12:00:00Z', now)).toBe('yesterday');
+            expect(repoCards.formatRelativeTime('2024-03-01T12:00:00Z', now)).toBe('2 years ago');
+        });
+
+        test('should return an empty string for invalid dates', () => {
+            expect(repoCards.formatRelativeTime('not a date', now)).toBe('');
+        });
+    });
+
+    describe('safeUrl', () => {
+        test('should accept http(s) links and add a scheme to bare hosts', () => {
+            expect(repoCards.safeUrl('https://example.org/docs')).toBe('https://example.org/docs');
+            expect(repoCards.safeUrl('example.org')).toBe('https://example.org/');
+        });
+
+        test('should reject other schemes and empty values', () => {
+            expect(repoCards.safeUrl('javascript:alert(1)')).toBeNull();
+            expect(repoCards.safeUrl('')).toBeNull();
+            expect(repoCards.safeUrl(null)).toBeNull();
+        });
+    });
+
+    describe('externalLink', () => {
+        test('should open in a new tab without an opener', () => {
+            const link = repoCards.externalLink('https://example.org/', 'Docs', 'repo-homepage');
+
+            expect(link.href).toBe('https://example.org/');
+            expect(link.textContent).toBe('Docs');
+            expect(link.target).toBe('_blank');
+            expect(link.rel).toBe('noopener noreferrer');
+            expect(link.className).toBe('repo-homepage');
+        });
+    });
+
+    describe('createRepositoryCard', () => {
+        const repo = {
+            id: 'github:7',
+            name: 'particles',
+            fullName: 'someone/particles',
+            url: 'https://github.com/someone/particles',
+            description: 'Particle approximations',
+            language: 'Python',
+            stars: 12,
+            forks: 1,
+            topics: ['spde', 'particle-methods'],
+            license: 'MIT',
+            homepage: 'someone.github.io/particles',
+            archived: true,
+            updatedAt: '2026-02-08T12:00:00Z',
+            readme: true
+        };
+
+        test('should render badges, chips and stats from the card model', () => {
+            const card = repoCards.createRepositoryCard(repo);
+
+            expect(card.classList.contains('is-archived')).toBe(true);
+            expect(card.querySelector('h3 a').href).toBe(repo.url);
+            expect(card.querySelector('.repo-badge-archived').textContent).toBe('Archived');
+            expect(Array.from(card.querySelectorAll('.repo-chip')).map((chip) => chip.textContent)).toEqual(['spde', 'particle-methods']);
+            expect(card.querySelector('.repo-stats').textContent).toContain('12 stars');
+            expect(card.querySelector('.repo-stats').textContent).toContain('1 fork');
+            expect(card.querySelector('.repo-stats').textContent).toContain('MIT');
+            expect(card.querySelector('time').dateTime).toBe(repo.updatedAt);
+            expect(card.querySelector('.repo-preview')).not.toBeNull();
+            expect(card.querySelector('.repo-homepage').href).toBe('https://someone.github.io/particles');
+        });
+
+        test('should mark featured projects and link their paper', () => {
+            const card = repoCards.createRepositoryCard({
+                id: 2,
+                name: 'vortex',
+                url: 'https://github.com/someone/vortex',
+                featured: true,
+                paper: { title: 'Point vortices', url: 'https://arxiv.org/abs/2410.23163' }
+            });
+
+            expect(card.classList.contains('is-featured')).toBe(true);
+            expect(card.querySelector('.repo-badge-featured').textContent).toBe('Featured');
+            expect(card.querySelector('.repo-paper a').href).toBe('https://arxiv.org/abs/2410.23163');
+            expect(card.querySelector('.repo-paper a').textContent).toBe('Point vortices');
+        });
+
+        test('should show the host instead of stars for external projects', () => {
+            const card = repoCards.createRepositoryCard({ id: 'external:solver', name: 'Solver', url: 'https://zenodo.org/records/1', external: true, host: 'Zenodo' });
+            const stats = card.querySelector('.repo-stats').textContent;
+
+            expect(stats).toContain('Zenodo');
+            expect(stats).not.toContain('stars');
+        });
+
+        test('should fall back gracefully for sparse payloads', () => {
+            const card = repoCards.createRepositoryCard({ id: 'gitea:1', name: 'bare', url: 'https://codeberg.org/someone/bare' });
+
+            expect(card.classList.contains('is-archived')).toBe(false);
+            expect(card.querySelector('.repo-description').textContent).toBe('No description available.');
+            expect(card.querySelector('.repo-topics')).toBeNull();
+            expect(card.querySelector('.repo-homepage')).toBeNull();
+            expect(card.querySelector('.repo-language').textContent).toContain('Not specified');
+            expect(card.querySelector('.repo-preview')).toBeNull();
+        });
+    });
+
+    describe('createSkeletonCard', () => {
+        test('should mirror the card layout without exposing it', () => {
+            const skeleton = repoCards.createSkeletonCard();
+
+            expect(skeleton.className).toBe('repo repo-skeleton');
+            expect(skeleton.getAttribute('aria-hidden')).toBe('true');
+            expect(Array.from(skeleton.children).map((child) => child.classList[0]))
+                .toEqual(['repo-header', 'repo-description', 'repo-stats', 'repo-skeleton-line']);
+            expect(skeleton.textContent).toBe('');
+        });
+    });
+});
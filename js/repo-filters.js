@@ -0,0 +1,253 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.repoFilters = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    var SORTS = [
+        ['updated', 'Recently updated'],
+        ['stars', 'Most stars'],
+        ['name', 'Name']
+    ];
+    var DEFAULT_SORT = 'updated';
+    var toolbarCount = 0;
+
+    function isSort(value) {
+        return SORTS.some(function (sort) {
+            return sort[0] === value;
+        });
+    }
+
+    /**
+     * Read the filter state from a query string such as
+     * `?q=vortex&language=Python&topic=spde&sort=stars`.
+     */
+    function parseFilterState(search) {
+        var params = new URLSearchParams(search || '');
+        var sort = params.get('sort');
+
+        return {
+            q: params.get('q') || '',
+            language: params.get('language') || '',
+            topic: params.get('topic') || '',
+            sort: isSort(sort) ? sort : DEFAULT_SORT
+        };
+    }
+
+    /**
+     * Write the filter state into `search`, leaving unrelated parameters alone
+     * and omitting defaults so the plain page URL stays clean.
+     */
+    function serializeFilterState(state, search) {
+        var params = new URLSearchParams(search || '');
+
+        ['q', 'language', 'topic'].forEach(function (key) {
+            if (state[key]) {
+                params.set(key, state[key]);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        if (state.sort && state.sort !== DEFAULT_SORT) {
+            params.set('sort', state.sort);
+        } else {
+            params.delete('sort');
+        }
+
+        var query = params.toString();
+
+        return query ? '?' + query : '';
+    }
+
+    function matchesQuery(repo, query) {
+        var haystack = [repo.name, repo.description || ''].concat(repo.topics || []).join(' ').toLowerCase();
+
+        return query.toLowerCase().split(/\s+/).every(function (token) {
+            return !token || haystack.indexOf(token) !== -1;
+        });
+    }
+
+    var comparators = {
+        updated: function (a, b) {
+            return (Date.parse(b.updatedAt) || 0) - (Date.parse(a.updatedAt) || 0);
+        },
+        stars: function (a, b) {
+            return (b.stars || 0) - (a.stars || 0);
+        },
+        name: function (a, b) {
+            return a.name.localeCompare(b.name, 'en', { sensitivity: 'base' });
+        }
+    };
+
+    /**
+     * Return the repositories matching `state`, in its sort order. Featured
+     * projects stay pinned on top in the order they came in, and the sort is
+     * stable, so ties keep the order they came in too.
+     */
+    function filterRepositories(repos, state) {
+        var compare = comparators[state.sort] || comparators[DEFAULT_SORT];
+
+        return repos
+            .filter(function (repo) {
+                return (!state.language || repo.language === state.language) &&
+                    (!state.topic || (repo.topics || []).indexOf(state.topic) !== -1) &&
+                    (!state.q || matchesQuery(repo, state.q));
+            })
+            .map(function (repo, index) {
+                return { repo: repo, index: index };
+            })
+            .sort(function (a, b) {
+                if (a.repo.featured || b.repo.featured) {
+                    return a.repo.featured && b.repo.featured ? a.index - b.index : (a.repo.featured ? -1 : 1);
+                }
+
+                return compare(a.repo, b.repo) || a.index - b.index;
+            })
+            .map(function (entry) {
+                return entry.repo;
+            });
+    }
+
+    /**
+     * Count how often each language and topic occurs, most common first.
+     */
+    function collectFacets(repos) {
+        var languages = {};
+        var topics = {};
+
+        repos.forEach(function (repo) {
+            if (repo.language) {
+                languages[repo.language] = (languages[repo.language] || 0) + 1;
+            }
+
+            (repo.topics || []).forEach(function (topic) {
+                topics[topic] = (topics[topic] || 0) + 1;
+            });
+        });
+
+        var ranked = function (counts) {
+            return Object.keys(counts).sort(function (a, b) {
+                return counts[b] - counts[a] || a.localeCompare(b);
+            });
+        };
+
+        return {
+            languages: ranked(languages),
+            topics: ranked(topics)
+        };
+    }
+
+    function field(labelText, control, className) {
+        var label = document.createElement('label');
+        var text = document.createElement('span');
+
+        label.className = className ? 'repo-field ' + className : 'repo-field';
+        text.className = 'repo-field-label';
+        text.textContent = labelText;
+        label.appendChild(text);
+        label.appendChild(control);
+
+        return label;
+    }
+
+    function fillSelect(select, values, selected, allLabel) {
+        var options = values.indexOf(selected) === -1 && selected ? values.concat(selected) : values;
+
+        select.textContent = '';
+        select.appendChild(new Option(allLabel, ''));
+        options.forEach(function (value) {
+            select.appendChild(new Option(value, value));
+        });
+        select.value = selected;
+    }
+
+    /**
+     * Build the search/filter/sort form shown above the repository grid.
+     * `onChange` receives the new state whenever a control changes.
+     */
+    function createRepositoryToolbar(initialState, onChange) {
+        var state = Object.assign({}, initialState);
+        var form = document.createElement('form');
+        var search = document.createElement('input');
+        var language = document.createElement('select');
+        var topic = document.createElement('select');
+        var sort = document.createElement('select');
+        var count = document.createElement('p');
+        var id = 'repo-toolbar-' + (toolbarCount += 1);
+
+        form.className = 'repo-toolbar';
+        form.setAttribute('role', 'search');
+        form.setAttribute('aria-label', 'Filter projects');
+        search.type = 'search';
+        search.name = 'q';
+        search.placeholder = 'Search name, description or topic';
+        search.value = state.q;
+        language.name = 'language';
+        topic.name = 'topic';
+        sort.name = 'sort';
+        count.className = 'repo-count';
+        count.id = id + '-count';
+        search.setAttribute('aria-describedby', count.id);
+
+        SORTS.forEach(function (option) {
+            sort.appendChild(new Option(option[1], option[0]));
+        });
+        sort.value = state.sort;
+        fillSelect(language, [], state.language, 'All languages');
+        fillSelect(topic, [], state.topic, 'All topics');
+
+        form.appendChild(field('Search', search, 'repo-field-search'));
+        form.appendChild(field('Language', language));
+        form.appendChild(field('Topic', topic));
+        form.appendChild(field('Sort by', sort));
+        form.appendChild(count);
+
+        var update = function () {
+            state = {
+                q: search.value.trim(),
+                language: language.value,
+                topic: topic.value,
+                sort: sort.value
+            };
+            onChange(Object.assign({}, state));
+        };
+
+        form.addEventListener('submit', function (event) {
+            event.preventDefault();
+        });
+        search.addEventListener('input', update);
+        [language, topic, sort].forEach(function (select) {
+            select.addEventListener('change', update);
+        });
+
+        return {
+            element: form,
+            setFacets: function (repos) {
+                var facets = collectFacets(repos);
+
+                fillSelect(language, facets.languages, state.language, 'All languages');
+                fillSelect(topic, facets.topics, state.topic, 'All topics');
+            },
+            setCount: function (shown, total) {
+                count.textContent = shown === total
+                    ? total + (total === 1 ? ' project' : ' projects')
+                    : shown + ' of ' + total + ' projects';
+            }
+        };
+    }
+
+    return {
+        parseFilterState: parseFilterState,
+        serializeFilterState: serializeFilterState,
+        filterRepositories: filterRepositories,
+        collectFacets: collectFacets,
+        createRepositoryToolbar: createRepositoryToolbar
+    };
+}));
@@ -0,0 +1,97 @@
+const repoFilters = require('./repo-filters.js');
+
+describe('repoFilters', () => {
+    const repos = [
+        { id: 1, name: 'vortex', description: 'Point vortex methods', language: 'Python', topics: ['spde', 'particle-methods'], stars: 4, updatedAt: '2025-01-01T00:00:00Z' },
+        { id: 2, name: 'alpha', description: 'Navier-Stokes-alpha solver', language: 'Julia', topics: ['spde'], stars: 9, updatedAt: '2026-01-01T00:00:00Z' },
+        { id: 3, name: 'Teaching', description: null, language: 'Python', topics: ['teaching'], stars: 1, updatedAt: '2024-01-01T00:00:00Z' }
+    ];
+
+    describe('filter state', () => {
+        test('should parse the query string and default unknown sorts', () => {
+            expect(repoFilters.parseFilterState('?q=vortex&language=Python&sort=bogus')).toEqual({
+                q: 'vortex',
+                language: 'Python',
+                topic: '',
+                sort: 'updated'
+            });
+        });
+
+        test('should serialize only non-default values and keep other parameters', () => {
+            const state = { q: 'point vortex', language: '', topic: 'spde', sort: 'stars' };
+
+            expect(repoFilters.serializeFilterState(state, '?utm=slides&language=Julia')).toBe('?utm=slides&q=point+vortex&topic=spde&sort=stars');
+            expect(repoFilters.serializeFilterState({ q: '', language: '', topic: '', sort: 'updated' }, '')).toBe('');
+        });
+
+        test('should round-trip through the URL', () => {
+            const state = { q: 'alpha', language: 'Julia', topic: 'spde', sort: 'name' };
+
+            expect(repoFilters.parseFilterState(repoFilters.serializeFilterState(state))).toEqual(state);
+        });
+    });
+
+    describe('filterRepositories', () => {
+        const ids = (list) => list.map((repo) => repo.id);
+
+        test('should search name, description and topics', () => {
+            expect(ids(repoFilters.filterRepositories(repos, { q: 'stokes', sort: 'updated' }))).toEqual([2]);
+            expect(ids(repoFilters.filterRepositories(repos, { q: 'particle VORTEX', sort: 'updated' }))).toEqual([1]);
+            expect(ids(repoFilters.filterRepositories(repos, { q: 'teaching', sort: 'updated' }))).toEqual([3]);
+        });
+
+        test('should combine language and topic facets', () => {
+            expect(ids(repoFilters.filterRepositories(repos, { language: 'Python', topic: 'spde', sort: 'updated' }))).toEqual([1]);
+        });
+
+        test('should sort by update time, stars or name', () => {
+            expect(ids(repoFilters.filterRepositories(repos, { sort: 'updated' }))).toEqual([2, 1, 3]);
+            expect(ids(repoFilters.filterRepositories(repos, { sort: 'stars' }))).toEqual([2, 1, 3]);
+            expect(ids(repoFilters.filterRepositories(repos, { sort: 'name' }))).toEqual([2, 3, 1]);
+        });
+    });
+
+    test('should keep featured projects pinned in their original order', () => {
+        const pinned = [{ id: 9, name: 'zeta', featured: true }, { id: 8, name: 'beta', featured: true }].concat(repos);
+
+        expect(repoFilters.filterRepositories(pinned, { sort: 'name' }).map((repo) => repo.id)).toEqual([9, 8, 2, 3, 1]);
+    });
+
+    test('collectFacets should rank values by frequency', () => {
+        expect(repoFilters.collectFacets(repos)).toEqual({
+            languages: ['Python', 'Julia'],
+            topics: ['spde', 'particle-methods', 'teaching']
+        });
+    });
+
+    describe('createRepositoryToolbar', () => {
+        test('should reflect the initial state and report changes', () => {
+            const onChange = jest.fn();
+            const toolbar = repoFilters.createRepositoryToolbar({ q: 'alpha', language: 'Julia', topic: '', sort: 'stars' }, onChange);
+            const form = toolbar.element;
+
+            toolbar.setFacets(repos);
+
+            expect(form.querySelector('input[name="q"]').value).toBe('alpha');
+            expect(form.querySelector('select[name="language"]').value).toBe('Julia');
+            expect(form.querySelector('select[name="sort"]').value).toBe('stars');
+            expect(form.querySelectorAll('select[name="topic"] option')).toHaveLength(4);
+
+            const topic = form.querySelector('select[name="topic"]');
+            topic.value = 'spde';
+            topic.dispatchEvent(new Event('change'));
+
+            expect(onChange).toHaveBeenCalledWith({ q: 'alpha', language: 'Julia', topic: 'spde', sort: 'stars' });
+        });
+
+        test('should describe how many projects are shown', () => {
+            const toolbar = repoFilters.createRepositoryToolbar(repoFilters.parseFilterState(''), jest.fn());
+
+            toolbar.setCount(2, 5);
+            expect(toolbar.element.querySelector('.repo-count').textContent).toBe('2 of 5 projects');
+
+            toolbar.setCount(1, 1);
+            expect(toolbar.element.querySelector('.repo-count').textContent).toBe('1 project');
+        });
+    });
+});
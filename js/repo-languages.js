@@ -0,0 +1,164 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./card-loader.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.repoLanguages = factory(root.Site.cardLoader);
+    }
+}(this, function (cardLoader) {
+    'use strict';
+
+    // Colours follow GitHub's linguist palette for the languages we use most.
+    var LANGUAGE_COLORS = {
+        'C': '#555555',
+        'C++': '#f34b7d',
+        'CMake': '#da3434',
+        'CSS': '#563d7c',
+        'Cython': '#fedf5b',
+        'Dockerfile': '#384d54',
+        'Fortran': '#4d41b1',
+        'Go': '#00add8',
+        'HTML': '#e34c26',
+        'Java': '#b07219',
+        'JavaScript': '#f1e05a',
+        'Julia': '#a270ba',
+        'Jupyter Notebook': '#da5b0b',
+        'Makefile': '#427819',
+        'MATLAB': '#e16737',
+        'Python': '#3572a5',
+        'R': '#198ce7',
+        'Rust': '#dea584',
+        'Shell': '#89e051',
+        'TeX': '#3d6117',
+        'TypeScript': '#3178c6'
+    };
+    var OTHER_COLOR = '#6f7673';
+    var MAX_SEGMENTS = 5;
+
+    function languageColor(name) {
+        if (LANGUAGE_COLORS[name]) {
+            return LANGUAGE_COLORS[name];
+        }
+
+        var hash = 0;
+
+        for (var index = 0; index < name.length; index += 1) {
+            hash = (hash * 31 + name.charCodeAt(index)) % 360;
+        }
+
+        return 'hsl(' + hash + ', 38%, 56%)';
+    }
+
+    /**
+     * Turn the `/languages` payload (bytes per language) into percentage
+     * shares, largest first. Everything past the top few becomes "Other".
+     */
+    function languageShares(bytes) {
+        var names = Object.keys(bytes || {});
+        var total = names.reduce(function (sum, name) {
+            return sum + bytes[name];
+        }, 0);
+
+        if (!total) {
+            return [];
+        }
+
+        var shares = names
+            .map(function (name) {
+                return { name: name, share: bytes[name] / total * 100, color: languageColor(name) };
+            })
+            .sort(function (a, b) {
+                return b.share - a.share;
+            });
+
+        if (shares.length > MAX_SEGMENTS) {
+            var rest = shares.splice(MAX_SEGMENTS - 1);
+
+            shares.push({
+                name: 'Other',
+                share: rest.reduce(function (sum, entry) {
+                    return sum + entry.share;
+                }, 0),
+                color: OTHER_COLOR
+            });
+        }
+
+        return shares;
+    }
+
+    function formatShare(share) {
+        return share < 0.1 ? '<0.1%' : share.toFixed(1) + '%';
+    }
+
+    function createLanguageBar(shares) {
+        var wrapper = document.createElement('div');
+        var bar = document.createElement('div');
+        var legend = document.createElement('ul');
+        var summary = shares.map(function (entry) {
+            return entry.name + ' ' + formatShare(entry.share);
+        }).join(', ');
+
+        wrapper.className = 'repo-languages';
+        bar.className = 'repo-language-bar';
+        bar.setAttribute('role', 'img');
+        bar.setAttribute('aria-label', 'Languages: ' + summary);
+        legend.className = 'repo-language-legend';
+        legend.setAttribute('aria-hidden', 'true');
+
+        shares.forEach(function (entry) {
+            var segment = document.createElement('span');
+            var item = document.createElement('li');
+            var swatch = document.createElement('span');
+
+            segment.style.width = entry.share + '%';
+            segment.style.backgroundColor = entry.color;
+            segment.title = entry.name + ' ' + formatShare(entry.share);
+            bar.appendChild(segment);
+
+            swatch.className = 'repo-language-swatch';
+            swatch.style.backgroundColor = entry.color;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(entry.name + ' ' + formatShare(entry.share)));
+            legend.appendChild(item);
+        });
+
+        wrapper.appendChild(bar);
+        wrapper.appendChild(legend);
+
+        return wrapper;
+    }
+
+    /**
+     * Fetch language breakdowns only once cards scroll into view; see
+     * `createCardLoader` for caching and `seed`.
+     */
+    function createLanguageLoader(options) {
+        return cardLoader.createCardLoader({
+            cache: options.cache,
+            cacheKey: options.cacheKey,
+            seed: options.seed,
+            field: 'languages',
+            label: 'Languages',
+            fetch: options.fetchLanguages,
+            render: function (card, bytes) {
+                var shares = languageShares(bytes);
+                var existing = card.querySelector('.repo-languages');
+
+                if (shares.length) {
+                    cardLoader.placeInCard(card, createLanguageBar(shares));
+                } else if (existing) {
+                    existing.remove();
+                }
+            }
+        });
+    }
+
+    return {
+        languageColor: languageColor,
+        languageShares: languageShares,
+        createLanguageBar: createLanguageBar,
+        createLanguageLoader: createLanguageLoader
+    };
+}));
@@ -0,0 +1,66 @@
+const repoLanguages = require('./repo-languages.js');
+const { memoryCache, flushPromises } = require('./test-helpers.js');
+
+describe('repoLanguages', () => {
+    describe('languageShares', () => {
+        test('should convert bytes into sorted percentages', () => {
+            const shares = repoLanguages.languageShares({ 'C++': 250, Python: 750 });
+
+            expect(shares.map((entry) => entry.name)).toEqual(['Python', 'C++']);
+            expect(shares[0].share).toBeCloseTo(75);
+            expect(shares[0].color).toBe('#3572a5');
+        });
+
+        test('should group the long tail into Other', () => {
+            const shares = repoLanguages.languageShares({ A: 50, B: 20, C: 10, D: 10, E: 6, F: 4 });
+
+            expect(shares.map((entry) => entry.name)).toEqual(['A', 'B', 'C', 'D', 'Other']);
+            expect(shares[4].share).toBeCloseTo(10);
+        });
+
+        test('should return nothing for an empty payload', () => {
+            expect(repoLanguages.languageShares({})).toEqual([]);
+        });
+    });
+
+    test('languageColor should give unknown languages a stable colour', () => {
+        expect(repoLanguages.languageColor('Jupyter Notebook')).toBe('#da5b0b');
+        expect(repoLanguages.languageColor('Zig')).toBe(repoLanguages.languageColor('Zig'));
+    });
+
+    test('createLanguageBar should render proportional segments and a legend', () => {
+        const bar = repoLanguages.createLanguageBar(repoLanguages.languageShares({ Python: 3, Julia: 1 }));
+        const segments = bar.querySelectorAll('.repo-language-bar span');
+
+        expect(segments).toHaveLength(2);
+        expect(segments[0].style.width).toBe('75%');
+        expect(bar.querySelector('.repo-language-bar').getAttribute('aria-label')).toBe('Languages: Python 75.0%, Julia 25.0%');
+        expect(bar.querySelector('.repo-language-legend').textContent).toContain('Julia 25.0%');
+    });
+
+    describe('createLanguageLoader', () => {
+        const repo = { id: 1, fullName: 'someone/vortex', updatedAt: '2026-01-01T00:00:00Z' };
+
+        function card() {
+            const element = document.createElement('article');
+            const stats = document.createElement('ul');
+
+            stats.className = 'repo-stats';
+            element.appendChild(stats);
+
+            return element;
+        }
+
+        test('should put the breakdown below the stats', async () => {
+            const fetchLanguages = jest.fn().mockResolvedValue({ Python: 30, Julia: 10 });
+            const element = card();
+
+            repoLanguages.createLanguageLoader({ cache: memoryCache(), cacheKey: 'languages', fetchLanguages }).observe(element, repo);
+            await flushPromises();
+
+            expect(fetchLanguages).toHaveBeenCalledWith(repo);
+            expect(element.querySelector('.repo-stats').nextElementSibling.className).toBe('repo-languages');
+            expect(element.querySelector('.repo-language-legend').textContent).toContain('Julia 25.0%');
+        });
+    });
+});
@@ -0,0 +1,144 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./remote.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.repoManifest = factory(root.Site.remote);
+    }
+}(this, function (remote) {
+    'use strict';
+
+    /*
+     * The manifest (data/projects.json) curates the live repository list:
+     *
+     *   { "projects": [
+     *       { "repo": "SCforF", "featured": true, "blurb": "...",
+     *         "paper": { "title": "...", "url": "https://arxiv.org/abs/..." } },
+     *       { "repo": "scratch", "hidden": true },
+     *       { "repo": "notes", "releases": false, "notebooks": true },
+     *       { "name": "Solver", "url": "https://...", "host": "Zenodo",
+     *         "description": "...", "language": "Python", "topics": ["spde"],
+     *         "updated": "2025-06-01" }
+     *   ] }
+     *
+     * Entries with `repo` annotate the repository of that name (case
+     * insensitive), where `releases: false` hides the version badge and
+     * `notebooks` forces the notebook actions on or off; entries without it
+     * describe projects hosted elsewhere.
+     *
+     * A top-level `sections` map groups the cards by topic; see
+     * `Site.repoSections`.
+     */
+
+    var EMPTY = { projects: [] };
+
+    async function loadManifest(url) {
+        try {
+            var manifest = await remote.load(url, { retries: 0 });
+
+            return manifest && Array.isArray(manifest.projects) ? manifest : EMPTY;
+        } catch (error) {
+            if (error.kind !== 'not-found') {
+                console.warn('Project manifest could not be loaded.', error);
+            }
+
+            return EMPTY;
+        }
+    }
+
+    function slug(value) {
+        return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    function externalProject(entry) {
+        return {
+            id: 'external:' + slug(entry.name),
+            name: entry.name,
+            url: entry.url,
+            description: entry.blurb || entry.description || null,
+            language: entry.language || null,
+            topics: entry.topics || [],
+            homepage: entry.homepage || null,
+            updatedAt: entry.updated || null,
+            paper: entry.paper || null,
+            host: entry.host || null,
+            featured: Boolean(entry.featured),
+            external: true
+        };
+    }
+
+    /**
+     * Merge the manifest into `repos`: drop hidden repositories, apply blurbs
+     * and papers, flag featured ones and append the external projects.
+     * Featured entries come first, in manifest order.
+     */
+    function applyManifest(repos, manifest) {
+        var entries = {};
+        var featured = [];
+        var rest = [];
+
+        (manifest && manifest.projects || []).forEach(function (entry) {
+            if (entry.repo) {
+                entries[entry.repo.toLowerCase()] = entry;
+            }
+        });
+
+        repos.forEach(function (repo) {
+            var entry = entries[repo.name.toLowerCase()];
+
+            if (!entry) {
+                rest.push(repo);
+                return;
+            }
+
+            if (entry.hidden) {
+                return;
+            }
+
+            var merged = Object.assign({}, repo, {
+                description: entry.blurb || repo.description,
+                paper: entry.paper || null,
+                featured: Boolean(entry.featured),
+                releases: entry.releases !== false,
+                notebooks: typeof entry.notebooks === 'boolean' ? entry.notebooks : null
+            });
+
+            (merged.featured ? featured : rest).push(merged);
+        });
+
+        (manifest && manifest.projects || []).forEach(function (entry) {
+            if (!entry.repo && entry.name && entry.url && !entry.hidden) {
+                var project = externalProject(entry);
+
+                (project.featured ? featured : rest).push(project);
+            }
+        });
+
+        featured.sort(function (a, b) {
+            return manifestIndex(manifest, a) - manifestIndex(manifest, b);
+        });
+
+        return featured.concat(rest);
+    }
+
+    function manifestIndex(manifest, project) {
+        var name = project.name.toLowerCase();
+
+        for (var index = 0; index < manifest.projects.length; index += 1) {
+            var entry = manifest.projects[index];
+
+            if ((entry.repo || entry.name || '').toLowerCase() === name) {
+                return index;
+            }
+        }
+
+        return manifest.projects.length;
+    }
+
+    return {
+        loadManifest: loadManifest,
+        applyManifest: applyManifest
+    };
+}));
@@ -0,0 +1,67 @@
+const repoManifest = require('./repo-manifest.js');
+
+describe('repoManifest', () => {
+    const repos = [
+        { id: 1, name: 'scratch', description: 'Old experiment' },
+        { id: 2, name: 'vortex', description: 'Short' },
+        { id: 3, name: 'SCforF', description: 'Teaching' }
+    ];
+    const manifest = {
+        projects: [
+            { repo: 'scforf', featured: true, blurb: 'Longer teaching blurb' },
+            { repo: 'Scratch', hidden: true },
+            { repo: 'vortex', releases: false, notebooks: true, paper: { title: 'Point vortices', url: 'https://arxiv.org/abs/2410.23163' } },
+            { name: 'Zenodo solver', url: 'https://zenodo.org/records/1', host: 'Zenodo', language: 'Julia', featured: true },
+            { name: 'Lab page', url: 'https://example.org/lab' }
+        ]
+    };
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    describe('applyManifest', () => {
+        test('should hide, annotate, pin and append projects', () => {
+            const merged = repoManifest.applyManifest(repos, manifest);
+
+            expect(merged.map((project) => project.name)).toEqual(['SCforF', 'Zenodo solver', 'vortex', 'Lab page']);
+            expect(merged[0]).toMatchObject({ id: 3, featured: true, description: 'Longer teaching blurb' });
+            expect(merged[1]).toMatchObject({ id: 'external:zenodo-solver', url: 'https://zenodo.org/records/1', host: 'Zenodo', external: true });
+            expect(merged[2].paper).toEqual({ title: 'Point vortices', url: 'https://arxiv.org/abs/2410.23163' });
+            expect(merged[2].description).toBe('Short');
+            expect(merged[2].releases).toBe(false);
+            expect(merged[0].releases).toBe(true);
+            expect(merged[2].notebooks).toBe(true);
+            expect(merged[0].notebooks).toBeNull();
+        });
+
+        test('should not modify the input repositories', () => {
+            repoManifest.applyManifest(repos, manifest);
+
+            expect(repos[2]).toEqual({ id: 3, name: 'SCforF', description: 'Teaching' });
+        });
+
+        test('should pass repositories through an empty manifest', () => {
+            expect(repoManifest.applyManifest(repos, { projects: [] })).toEqual(repos);
+        });
+    });
+
+    describe('loadManifest', () => {
+        test('should return the parsed manifest', async () => {
+            global.fetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve(manifest) });
+
+            await expect(repoManifest.loadManifest('data/projects.json')).resolves.toBe(manifest);
+        });
+
+        test('should fall back to an empty manifest when missing or invalid', async () => {
+            global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+            await expect(repoManifest.loadManifest('data/projects.json')).resolves.toEqual({ projects: [] });
+
+            global.fetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve({ nope: true }) });
+            await expect(repoManifest.loadManifest('data/projects.json')).resolves.toEqual({ projects: [] });
+
+            global.fetch = jest.fn().mockRejectedValue(new Error('offline'));
+            await expect(repoManifest.loadManifest('data/projects.json')).resolves.toEqual({ projects: [] });
+        });
+    });
+});
@@ -0,0 +1,80 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./card-loader.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.repoReleases = factory(root.Site.cardLoader);
+    }
+}(this, function (cardLoader) {
+    'use strict';
+
+    function formatReleaseDate(date) {
+        var parsed = new Date(date || NaN);
+
+        return isNaN(parsed.getTime()) ? '' : parsed.toLocaleDateString('en-GB', { month: 'short', year: 'numeric' });
+    }
+
+    /**
+     * A badge in the card header linking to the release notes, e.g.
+     * "v1.2.0 · Mar 2026". Tags have no date of their own.
+     */
+    function createReleaseBadge(release) {
+        var link = document.createElement('a');
+        var label = document.createElement('span');
+        var date = formatReleaseDate(release.publishedAt);
+
+        link.className = 'repo-release repo-badge';
+        link.href = release.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        label.className = 'sr-only';
+        label.textContent = release.kind === 'tag' ? 'Latest tag ' : 'Latest release ';
+        link.appendChild(label);
+        link.appendChild(document.createTextNode(release.tag));
+
+        if (date) {
+            var time = document.createElement('time');
+
+            time.dateTime = release.publishedAt;
+            time.textContent = ' · ' + date;
+            link.appendChild(time);
+        }
+
+        if (release.name && release.name !== release.tag) {
+            link.title = release.name;
+        }
+
+        return link;
+    }
+
+    /**
+     * Fetch the latest release of each card once it scrolls into view and
+     * badge the header with it; repositories marked `releases: false` are
+     * skipped. See `createCardLoader` for caching and `seed`.
+     */
+    function createReleaseLoader(options) {
+        return cardLoader.createCardLoader({
+            cache: options.cache,
+            cacheKey: options.cacheKey,
+            seed: options.seed,
+            field: 'release',
+            label: 'Release',
+            fetch: options.fetchRelease,
+            accepts: function (repo) {
+                return repo.releases !== false;
+            },
+            render: function (card, release) {
+                if (release && release.tag && release.url) {
+                    cardLoader.placeInCard(card, createReleaseBadge(release), 'header');
+                }
+            }
+        });
+    }
+
+    return {
+        createReleaseBadge: createReleaseBadge,
+        createReleaseLoader: createReleaseLoader
+    };
+}));
@@ -0,0 +1,63 @@
+const repoReleases = require('./repo-releases.js');
+const { memoryCache, flushPromises } = require('./test-helpers.js');
+
+function card() {
+    const element = document.createElement('article');
+    element.innerHTML = '<div class="repo-header"><h3>vortex</h3><span class="repo-badge repo-badge-featured">Featured</span></div>';
+
+    return element;
+}
+
+describe('repoReleases', () => {
+    describe('createReleaseBadge', () => {
+        test('should link the release notes with the version and date', () => {
+            const badge = repoReleases.createReleaseBadge({
+                kind: 'release',
+                tag: 'v1.2.0',
+                name: 'Spring release',
+                url: 'https://github.com/someone/vortex/releases/tag/v1.2.0',
+                publishedAt: '2026-03-04T10:00:00Z'
+            });
+
+            expect(badge.href).toBe('https://github.com/someone/vortex/releases/tag/v1.2.0');
+            expect(badge.textContent).toBe('Latest release v1.2.0 · Mar 2026');
+            expect(badge.querySelector('time').dateTime).toBe('2026-03-04T10:00:00Z');
+            expect(badge.title).toBe('Spring release');
+        });
+
+        test('should label tags without a date', () => {
+            const badge = repoReleases.createReleaseBadge({ kind: 'tag', tag: '0.3', name: '0.3', url: 'https://example.org/t', publishedAt: null });
+
+            expect(badge.textContent).toBe('Latest tag 0.3');
+            expect(badge.querySelector('time')).toBeNull();
+        });
+    });
+
+    describe('createReleaseLoader', () => {
+        const repo = { id: 'github:1', fullName: 'someone/vortex', updatedAt: '2026-01-01T00:00:00Z' };
+
+        test('should add the badge next to the existing ones', async () => {
+            const element = card();
+            const fetchRelease = jest.fn().mockResolvedValue({ kind: 'tag', tag: 'v0.1', name: 'v0.1', url: 'https://example.org/t', publishedAt: null });
+
+            repoReleases.createReleaseLoader({ cache: memoryCache(), cacheKey: 'releases', fetchRelease }).observe(element, repo);
+            await flushPromises();
+
+            expect(Array.from(element.querySelector('.repo-header').children).map((child) => child.className))
+                .toEqual(['', 'repo-badge repo-badge-featured', 'repo-release repo-badge']);
+        });
+
+        test('should leave repositories without releases alone', async () => {
+            const element = card();
+            const fetchRelease = jest.fn().mockResolvedValue(null);
+            const loader = repoReleases.createReleaseLoader({ cache: memoryCache(), cacheKey: 'releases', fetchRelease });
+
+            loader.observe(element, repo);
+            loader.observe(card(), { ...repo, id: 'github:2', releases: false });
+            await flushPromises();
+
+            expect(fetchRelease).toHaveBeenCalledTimes(1);
+            expect(element.querySelector('.repo-release')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,115 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.repoSections = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    /*
+     * The manifest may group the listing into sections by topic:
+     *
+     *   { "sections": { "spde": "Stochastic PDEs",
+     *                   "particle-methods": "Particle methods",
+     *                   "teaching": "Teaching" },
+     *     "projects": [...] }
+     *
+     * Sections follow the manifest order. A project joins the first section
+     * whose topic it carries and the rest end up under "Other"; without
+     * sections the grid stays flat.
+     */
+
+    var OTHER = { id: 'other', title: 'Other' };
+
+    function slug(value) {
+        return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    /**
+     * The configured sections as `[{ topic, title }]`, dropping entries
+     * without a title.
+     */
+    function readSections(manifest) {
+        var map = manifest && manifest.sections;
+
+        if (!map || typeof map !== 'object' || Array.isArray(map)) {
+            return [];
+        }
+
+        return Object.keys(map).filter(function (topic) {
+            return typeof map[topic] === 'string' && map[topic].trim() && slug(topic);
+        }).map(function (topic) {
+            return { topic: topic.toLowerCase(), title: map[topic].trim() };
+        });
+    }
+
+    /**
+     * Split `repos` into `[{ id, title, repos }]` following `sections`,
+     * keeping the order of `repos` within each group and leaving out empty
+     * groups.
+     */
+    function groupRepositories(repos, sections) {
+        var groups = sections.map(function (section) {
+            return { id: 'topic-' + slug(section.topic), title: section.title, repos: [] };
+        });
+        var other = { id: OTHER.id, title: OTHER.title, repos: [] };
+
+        repos.forEach(function (repo) {
+            var topics = (repo.topics || []).map(function (topic) {
+                return String(topic).toLowerCase();
+            });
+            var index = sections.findIndex(function (section) {
+                return topics.indexOf(section.topic) !== -1;
+            });
+
+            (index === -1 ? other : groups[index]).repos.push(repo);
+        });
+
+        return groups.concat(other).filter(function (group) {
+            return group.repos.length;
+        });
+    }
+
+    /**
+     * The element of one group: a heading with the number of projects and a
+     * grid for the cards. `setCount` updates the number as filters change.
+     */
+    function createSection(group) {
+        var section = document.createElement('section');
+        var header = document.createElement('div');
+        var heading = document.createElement('h2');
+        var count = document.createElement('p');
+        var grid = document.createElement('div');
+
+        section.className = 'repo-section';
+        section.setAttribute('aria-labelledby', 'repo-section-' + group.id);
+        header.className = 'repo-section-header';
+        heading.className = 'repo-section-title';
+        heading.id = 'repo-section-' + group.id;
+        heading.textContent = group.title;
+        count.className = 'repo-section-count';
+        grid.className = 'repo-grid';
+        header.appendChild(heading);
+        header.appendChild(count);
+        section.appendChild(header);
+        section.appendChild(grid);
+
+        return {
+            element: section,
+            grid: grid,
+            setCount: function (total) {
+                count.textContent = total + (total === 1 ? ' project' : ' projects');
+            }
+        };
+    }
+
+    return {
+        readSections: readSections,
+        groupRepositories: groupRepositories,
+        createSection: createSection
+    };
+}));
@@ -0,0 +1,60 @@
+const repoSections = require('./repo-sections.js');
+
+describe('repoSections', () => {
+    const sections = [
+        { topic: 'spde', title: 'Stochastic PDEs' },
+        { topic: 'teaching', title: 'Teaching' }
+    ];
+
+    describe('readSections', () => {
+        test('should keep the manifest order and skip untitled topics', () => {
+            expect(repoSections.readSections({
+                sections: { SPDE: 'Stochastic PDEs', 'particle-methods': ' Particle methods ', teaching: '', '--': 'Nothing' },
+                projects: []
+            })).toEqual([
+                { topic: 'spde', title: 'Stochastic PDEs' },
+                { topic: 'particle-methods', title: 'Particle methods' }
+            ]);
+        });
+
+        test('should read nothing from manifests without sections', () => {
+            expect(repoSections.readSections({ projects: [] })).toEqual([]);
+            expect(repoSections.readSections({ sections: ['spde'] })).toEqual([]);
+        });
+    });
+
+    describe('groupRepositories', () => {
+        test('should put each project in its first matching section or under Other', () => {
+            const groups = repoSections.groupRepositories([
+                { id: 1, topics: ['teaching', 'spde'] },
+                { id: 2, topics: ['Teaching'] },
+                { id: 3, topics: ['vortex'] },
+                { id: 4 }
+            ], sections);
+
+            expect(groups.map((group) => [group.id, group.title, group.repos.map((repo) => repo.id)])).toEqual([
+                ['topic-spde', 'Stochastic PDEs', [1]],
+                ['topic-teaching', 'Teaching', [2]],
+                ['other', 'Other', [3, 4]]
+            ]);
+        });
+
+        test('should leave out empty sections', () => {
+            expect(repoSections.groupRepositories([{ id: 1, topics: ['teaching'] }], sections).map((group) => group.id))
+                .toEqual(['topic-teaching']);
+        });
+    });
+
+    describe('createSection', () => {
+        test('should label the section with its heading and count', () => {
+            const section = repoSections.createSection({ id: 'topic-spde', title: 'Stochastic PDEs' });
+
+            section.setCount(1);
+
+            expect(section.element.getAttribute('aria-labelledby')).toBe(section.element.querySelector('h2').id);
+            expect(section.element.querySelector('h2').textContent).toBe('Stochastic PDEs');
+            expect(section.element.querySelector('.repo-section-count').textContent).toBe('1 project');
+            expect(section.grid.parentNode).toBe(section.element);
+        });
+    });
+});
@@ -0,0 +1,299 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Site = root.Site || {};
+        root.Site.router = factory();
+    }
+}(this, function () {
+    'use strict';
+
+    /*
+     * Links between the site's pages followed without a full reload, so the
+     * background animation carries on: the target page is fetched, its hero
+     * and main content, title and meta tags replace the current ones, any
+     * scripts it needs are added, and the page widgets start again. Back and
+     * forward restore the scroll position. Anything unexpected falls back
+     * to a normal page load.
+     */
+
+    var SCRIPT_TIMEOUT = 10000;
+    var SAVE_DELAY = 120;
+
+    // The URL of the site page `link` opens in this tab, or null.
+    function pageUrl(link) {
+        if ((link.target && link.target !== '_self') || link.hasAttribute('download')) {
+            return null;
+        }
+
+        var url = new URL(link.href, window.location.href);
+
+        return url.origin === window.location.origin && /(\/|\.html)$/.test(url.pathname) ? url : null;
+    }
+
+    function isCurrentPage(url) {
+        return url.pathname === window.location.pathname && url.search === window.location.search;
+    }
+
+    // The page a plain left click on a link to another page of the site
+    // would load, or null when the browser should handle the click, as it
+    // does for links within the page on screen.
+    function routableUrl(event) {
+        var link = event.target.closest ? event.target.closest('a[href]') : null;
+
+        if (!link || event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey ||
+            event.altKey) {
+            return null;
+        }
+
+        var url = pageUrl(link);
+
+        return url && !isCurrentPage(url) ? url.href : null;
+    }
+
+    // The parts of a page that differ between pages: hero and main content.
+    function pageRegions(page) {
+        return Array.prototype.slice.call(page.querySelectorAll('body > header, body > main, body > section'));
+    }
+
+    /**
+     * Add the scripts of `page` (`{ url, document }`) this document has not
+     * run yet, in order. Rejects when one fails to load or takes longer than
+     * `timeout` ms (10 s by default); the scripts after it are not added.
+     */
+    function loadPageScripts(page, timeout) {
+        var known = Array.prototype.map.call(document.scripts, function (script) {
+            return script.src;
+        });
+
+        return Array.prototype.map.call(page.document.querySelectorAll('script[src]'), function (script) {
+            return new URL(script.getAttribute('src'), page.url).href;
+        }).filter(function (src) {
+            return known.indexOf(src) === -1;
+        }).reduce(function (previous, src) {
+            return previous.then(function () {
+                return new Promise(function (resolve, reject) {
+                    var script = document.createElement('script');
+                    var timer = null;
+
+                    // Dropped again so a later visit tries it afresh.
+                    var fail = function (message) {
+                        clearTimeout(timer);
+                        script.onload = script.onerror = null;
+                        script.remove();
+                        reject(new Error(message + src));
+                    };
+
+                    timer = setTimeout(function () {
+                        fail('Script took too long to load: ');
+                    }, timeout || SCRIPT_TIMEOUT);
+                    script.src = src;
+                    script.async = false;
+                    script.onload = function () {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                    script.onerror = function () {
+                        fail('Script could not be loaded: ');
+                    };
+                    document.body.appendChild(script);
+                });
+            });
+        }, Promise.resolve());
+    }
+
+    /**
+     * Put the hero and main content, title and meta tags of the parsed
+     * `page` in place of the current ones.
+     */
+    function swapPage(page) {
+        var current = pageRegions(document);
+        var anchor = current[0] || document.querySelector('.site-footer');
+
+        document.title = page.title;
+
+        document.head.querySelectorAll('meta[name]:not([name="viewport"]), meta[property]').forEach(function (meta) {
+            meta.remove();
+        });
+        page.head.querySelectorAll('meta[name]:not([name="viewport"]), meta[property]').forEach(function (meta) {
+            document.head.appendChild(document.importNode(meta, true));
+        });
+
+        pageRegions(page).forEach(function (region) {
+            anchor.parentNode.insertBefore(document.importNode(region, true), anchor);
+        });
+        current.forEach(function (region) {
+            region.remove();
+        });
+    }
+
+    // Move focus to the new page's heading, as a page load would reset it.
+    function focusPage() {
+        var heading = document.querySelector('h1');
+
+        if (heading) {
+            heading.setAttribute('tabindex', '-1');
+            heading.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Scroll to `scrollY` when it is a number, otherwise to the element the
+     * URL hash names, or else to the top.
+     */
+    function restoreScroll(scrollY) {
+        var target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+
+        if (typeof scrollY === 'number') {
+            window.scrollTo(0, scrollY);
+        } else if (target) {
+            target.scrollIntoView();
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+
+    /**
+     * Route clicks on links to the site's pages and back/forward through
+     * `options.fetchPage(url)`, which resolves to `{ url, html }` (see
+     * `Site.prefetch`). `options.leave()` runs before the current content
+     * goes and `options.enter()` once the new content is in; when it
+     * returns a promise, the scroll position is applied again once that
+     * settles, for content the page loads itself.
+     * `options.load(url)` loads a page normally, `location.assign` by
+     * default, and `options.scriptTimeout` bounds each script the new page
+     * adds. Returns null where the History API is missing, otherwise
+     * `{ navigate(url, { push, scrollY }) }`.
+     */
+    function createRouter(options) {
+        if (!window.history.pushState || typeof DOMParser === 'undefined') {
+            return null;
+        }
+
+        var load = options.load || function (url) {
+            window.location.assign(url);
+        };
+        var navigationCount = 0;
+        var saveTimer = null;
+        // Path and query of the page on screen, to tell hash changes apart.
+        var routedPage = window.location.pathname + window.location.search;
+
+        var saveScrollPosition = function () {
+            window.history.replaceState(Object.assign({}, window.history.state, { scrollY: window.scrollY }), '');
+        };
+
+        var fetchPage = async function (url) {
+            var fetched = await options.fetchPage(url);
+            var page = new DOMParser().parseFromString(fetched.html, 'text/html');
+
+            if (!pageRegions(page).length) {
+                throw new Error('No page content in ' + url);
+            }
+
+            // The prefetcher drops the fragment, so keep the one asked for.
+            return { url: fetched.url + new URL(url).hash, document: page };
+        };
+
+        // The page's own content may load after the scroll position was
+        // applied, which then fell short; apply it again once that settles,
+        // unless the visitor has scrolled or moved on meanwhile.
+        var restoreWhenEntered = function (entered, navigation, scrollY) {
+            var restoredY = window.scrollY;
+            var restore = function () {
+                if (navigation === navigationCount && window.scrollY === restoredY) {
+                    restoreScroll(scrollY);
+                }
+            };
+
+            entered.then(restore, restore);
+        };
+
+        var navigate = async function (url, settings) {
+            var navigation = navigationCount += 1;
+
+            try {
+                var page = await fetchPage(url);
+
+                await loadPageScripts(page, options.scriptTimeout);
+
+                if (navigation !== navigationCount) {
+                    return;
+                }
+
+                if (settings.push) {
+                    saveScrollPosition();
+
+                    if (page.url === window.location.href) {
+                        window.history.replaceState({ scrollY: 0 }, '', page.url);
+                    } else {
+                        window.history.pushState({ scrollY: 0 }, '', page.url);
+                    }
+                }
+
+                routedPage = window.location.pathname + window.location.search;
+                options.leave();
+                swapPage(page.document);
+
+                var entered = options.enter();
+
+                focusPage();
+                restoreScroll(settings.scrollY);
+
+                if (entered && typeof entered.then === 'function') {
+                    restoreWhenEntered(entered, navigation, settings.scrollY);
+                }
+            } catch (error) {
+                // A newer navigation has taken over; its outcome stands.
+                if (navigation !== navigationCount) {
+                    return;
+                }
+
+                console.warn('Page could not be swapped in; loading it normally.', error);
+                load(url);
+            }
+        };
+
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        saveScrollPosition();
+
+        document.addEventListener('click', function (event) {
+            var url = routableUrl(event);
+
+            if (url) {
+                event.preventDefault();
+                navigate(url, { push: true });
+            }
+        });
+        window.addEventListener('popstate', function (event) {
+            var scrollY = event.state && event.state.scrollY;
+
+            if (window.location.pathname + window.location.search === routedPage) {
+                restoreScroll(scrollY);
+            } else {
+                navigate(window.location.href, { scrollY: scrollY });
+            }
+        });
+        window.addEventListener('scroll', function () {
+            clearTimeout(saveTimer);
+            saveTimer = setTimeout(saveScrollPosition, SAVE_DELAY);
+        }, { passive: true });
+
+        return {
+            navigate: navigate
+        };
+    }
+
+    return {
+        pageUrl: pageUrl,
+        isCurrentPage: isCurrentPage,
+        loadPageScripts: loadPageScripts,
+        swapPage: swapPage,
+        restoreScroll: restoreScroll,
+        createRouter: createRouter
+    };
+}));
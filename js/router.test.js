@@ -0,0 +1,254 @@
+const router = require('./router.js');
+const { flushPromises } = require('./test-helpers.js');
+
+function pageHtml(name, extra = '') {
+    return `<!DOCTYPE html><html><head><title>${name}</title><meta name="description" content="About ${name}"></head>
+        <body><nav class="navbar"></nav><header class="page-hero"><h1>${name}</h1></header>
+        <main><p>${name} content</p>${extra}</main><footer class="site-footer"></footer></body></html>`;
+}
+
+describe('router', () => {
+    let routes;
+    let options;
+    let control;
+
+    beforeAll(() => {
+        options = {
+            fetchPage: (url) => options.fetch(url),
+            leave: () => options.calls.push('leave'),
+            load: (url) => options.loads.push(url)
+        };
+        control = router.createRouter(options);
+    });
+
+    beforeEach(() => {
+        document.head.innerHTML = '<title>Home</title><meta name="viewport" content="width=device-width"><meta name="description" content="About home">';
+        document.body.innerHTML = `
+            <nav class="navbar"><a href="b.html">b</a><a href="index.html">home</a><a href="#top">top</a></nav>
+            <header class="hero"><h1>Home</h1></header>
+            <main><p>home content</p></main>
+            <footer class="site-footer"></footer>`;
+        window.history.replaceState(null, '', '/index.html');
+        window.scrollTo = jest.fn();
+        Element.prototype.scrollIntoView = jest.fn();
+        routes = {};
+        options.fetch = jest.fn((url) => {
+            const page = url.split('#')[0];
+
+            return page in routes ? Promise.resolve({ url: page, html: routes[page] }) : Promise.reject(new Error('Unexpected response for ' + url));
+        });
+        options.calls = [];
+        options.loads = [];
+        options.enter = () => {
+            options.calls.push('enter');
+        };
+    });
+
+    afterEach(() => {
+        delete Element.prototype.scrollIntoView;
+    });
+
+    // Whether the router took the click; the browser's own navigation,
+    // which jsdom lacks, is cancelled after it.
+    const click = (target, init = {}) => {
+        const event = new MouseEvent('click', { bubbles: true, cancelable: true, ...init });
+        let routed;
+        const settle = (bubbled) => {
+            routed = bubbled.defaultPrevented;
+            bubbled.preventDefault();
+        };
+
+        window.addEventListener('click', settle, { once: true });
+        target.dispatchEvent(event);
+
+        return routed;
+    };
+
+    test('should swap in the content, title and meta tags of the page clicked', async () => {
+        routes['http://localhost/b.html'] = pageHtml('B');
+
+        expect(click(document.querySelector('a[href="b.html"]'))).toBe(true);
+        await flushPromises();
+
+        expect(window.location.pathname).toBe('/b.html');
+        expect(document.title).toBe('B');
+        expect(document.querySelector('header').className).toBe('page-hero');
+        expect(document.querySelector('main').textContent).toBe('B content');
+        expect(document.body.lastElementChild.className).toBe('site-footer');
+        expect(Array.from(document.head.querySelectorAll('meta')).map((meta) => meta.content))
+            .toEqual(['width=device-width', 'About B']);
+        expect(options.calls).toEqual(['leave', 'enter']);
+        expect(document.activeElement).toBe(document.querySelector('h1'));
+        expect(window.scrollTo).toHaveBeenLastCalledWith(0, 0);
+    });
+
+    test('should leave modified clicks, other sites and the page on screen to the browser', () => {
+        const external = document.createElement('a');
+
+        external.href = 'https://example.org/page.html';
+        document.body.appendChild(external);
+
+        expect(click(document.querySelector('a[href="b.html"]'), { ctrlKey: true })).toBe(false);
+        expect(click(external)).toBe(false);
+        expect(click(document.querySelector('a[href="index.html"]'))).toBe(false);
+        expect(click(document.querySelector('a[href="#top"]'))).toBe(false);
+        expect(options.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should load the page normally when it cannot be fetched or has no content', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        routes['http://localhost/empty.html'] = '<p>Not a page of the site</p>';
+
+        await control.navigate('http://localhost/missing.html', { push: true });
+        await control.navigate('http://localhost/empty.html', { push: true });
+
+        expect(options.loads).toEqual(['http://localhost/missing.html', 'http://localhost/empty.html']);
+        expect(options.calls).toEqual([]);
+        expect(window.location.pathname).toBe('/index.html');
+        expect(warn).toHaveBeenCalledWith('Page could not be swapped in; loading it normally.', expect.any(Error));
+        warn.mockRestore();
+    });
+
+    test('should restore the scroll position on back and forward', async () => {
+        routes['http://localhost/index.html'] = pageHtml('Home');
+        routes['http://localhost/b.html'] = pageHtml('B');
+        await control.navigate('http://localhost/b.html', { push: true });
+
+        // Back to the page before: fetched again, scrolled where it was.
+        window.history.replaceState({ scrollY: 0 }, '', '/index.html');
+        window.dispatchEvent(new PopStateEvent('popstate', { state: { scrollY: 320 } }));
+        await flushPromises();
+
+        expect(document.title).toBe('Home');
+        expect(window.scrollTo).toHaveBeenLastCalledWith(0, 320);
+
+        // A hash change within the page only scrolls.
+        window.history.replaceState(null, '', '/index.html#top');
+        window.dispatchEvent(new PopStateEvent('popstate', { state: { scrollY: 40 } }));
+
+        expect(window.scrollTo).toHaveBeenLastCalledWith(0, 40);
+        expect(options.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should restore the scroll position again once the page has loaded its content', async () => {
+        let settle;
+
+        routes['http://localhost/b.html'] = pageHtml('B');
+        options.enter = () => new Promise((resolve) => {
+            settle = resolve;
+        });
+
+        await control.navigate('http://localhost/b.html', { scrollY: 320 });
+        window.scrollTo.mockClear();
+        settle();
+        await flushPromises();
+
+        expect(window.scrollTo).toHaveBeenCalledWith(0, 320);
+
+        // Not once the visitor has scrolled themselves.
+        await control.navigate('http://localhost/b.html', { scrollY: 320 });
+        window.scrollTo.mockClear();
+        window.scrollY = 80;
+        settle();
+        await flushPromises();
+
+        expect(window.scrollTo).not.toHaveBeenCalled();
+        window.scrollY = 0;
+    });
+
+    test('should scroll to the element the hash names', async () => {
+        routes['http://localhost/b.html'] = pageHtml('B', '<h2 id="talks">Talks</h2>');
+
+        await control.navigate('http://localhost/b.html#talks', { push: true });
+
+        expect(window.location.hash).toBe('#talks');
+        expect(document.getElementById('talks').scrollIntoView).toHaveBeenCalled();
+        expect(window.scrollTo).not.toHaveBeenCalled();
+    });
+
+    test('should drop a navigation overtaken by a newer one', async () => {
+        let finishSlow;
+        let failSlow;
+
+        routes['http://localhost/c.html'] = pageHtml('C');
+        options.fetch.mockImplementationOnce(() => new Promise((resolve) => {
+            finishSlow = () => resolve({ url: 'http://localhost/b.html', html: pageHtml('B') });
+        }));
+        options.fetch.mockImplementationOnce(() => new Promise((resolve, reject) => {
+            failSlow = () => reject(new Error('offline'));
+        }));
+
+        const slow = control.navigate('http://localhost/b.html', { push: true });
+        const failing = control.navigate('http://localhost/d.html', { push: true });
+
+        await control.navigate('http://localhost/c.html', { push: true });
+        finishSlow();
+        failSlow();
+        await Promise.all([slow, failing]);
+
+        expect(document.title).toBe('C');
+        expect(window.location.pathname).toBe('/c.html');
+        expect(options.calls).toEqual(['leave', 'enter']);
+        expect(options.loads).toEqual([]);
+    });
+
+    describe('loadPageScripts', () => {
+        const page = () => ({
+            url: 'http://localhost/b.html',
+            document: new DOMParser().parseFromString(
+                '<script src="js/known.js"></script><script src="js/a.js"></script><script src="js/b.js"></script>', 'text/html')
+        });
+        const added = () => Array.from(document.querySelectorAll('body > script')).map((script) => script.getAttribute('src'));
+
+        beforeEach(() => {
+            const known = document.createElement('script');
+
+            known.src = 'js/known.js';
+            document.body.appendChild(known);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should add the missing scripts one after the other', async () => {
+            const loaded = jest.fn();
+
+            router.loadPageScripts(page()).then(loaded);
+            await flushPromises();
+
+            expect(added()).toEqual(['js/known.js', 'http://localhost/js/a.js']);
+
+            document.querySelector('script[src$="a.js"]').dispatchEvent(new Event('load'));
+            await flushPromises();
+            document.querySelector('script[src$="b.js"]').dispatchEvent(new Event('load'));
+            await flushPromises();
+
+            expect(added()).toHaveLength(3);
+            expect(loaded).toHaveBeenCalled();
+        });
+
+        test('should fail on a script that does not load', async () => {
+            const loading = router.loadPageScripts(page());
+
+            await flushPromises();
+            document.querySelector('script[src$="a.js"]').dispatchEvent(new Event('error'));
+
+            await expect(loading).rejects.toThrow('Script could not be loaded: http://localhost/js/a.js');
+            expect(added()).toEqual(['js/known.js']);
+        });
+
+        test('should give up on a script that takes too long', async () => {
+            jest.useFakeTimers();
+
+            const loading = router.loadPageScripts(page(), 500);
+
+            await Promise.resolve();
+            jest.advanceTimersByTime(500);
+
+            await expect(loading).rejects.toThrow('Script took too long to load: http://localhost/js/a.js');
+            expect(added()).toEqual(['js/known.js']);
+        });
+    });
+});
@@ -0,0 +1,290 @@
+(function (root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./card-loader.js'));
+    } else {
+        root.Site = root.Site || {};
+        root.Site.techStack = factory(root.Site.cardLoader);
+    }
+}(this, function (cardLoader) {
+    'use strict';
+
+    /*
+     * The dependency manifests looked for at the top of each repository,
+     * found in the file list the notebook actions also use and read from
+     * the raw file host, so that only the list costs an API request.
+     * Parsing is deliberately shallow: only the direct dependencies are
+     * read, and only well-known packages are named on the card, so test and
+     * tooling dependencies do not crowd out the stack.
+     */
+
+    var MANIFESTS = ['requirements.txt', 'pyproject.toml', 'environment.yml', 'Project.toml', 'package.json'];
+    var MAX_CHIPS = 6;
+    // Normalised package name to the label shown, most telling first.
+    var NOTABLE = [
+        ['firedrake', 'Firedrake'],
+        ['fenics', 'FEniCS'],
+        ['fenics-dolfinx', 'FEniCSx'],
+        ['dolfinx', 'FEniCSx'],
+        ['jax', 'JAX'],
+        ['torch', 'PyTorch'],
+        ['pytorch', 'PyTorch'],
+        ['tensorflow', 'TensorFlow'],
+        ['flux', 'Flux.jl'],
+        ['differentialequations', 'DifferentialEquations.jl'],
+        ['petsc4py', 'PETSc'],
+        ['mpi4py', 'MPI'],
+        ['numba', 'Numba'],
+        ['cupy', 'CuPy'],
+        ['numpy', 'NumPy'],
+        ['scipy', 'SciPy'],
+        ['sympy', 'SymPy'],
+        ['pandas', 'pandas'],
+        ['xarray', 'xarray'],
+        ['scikit-learn', 'scikit-learn'],
+        ['sklearn', 'scikit-learn'],
+        ['pymc', 'PyMC'],
+        ['matplotlib', 'Matplotlib'],
+        ['plots', 'Plots.jl'],
+        ['makie', 'Makie'],
+        ['cairomakie', 'Makie'],
+        ['jupyter', 'Jupyter'],
+        ['three', 'Three.js'],
+        ['d3', 'D3'],
+        ['react', 'React']
+    ];
+
+    function normalizeName(name) {
+        return String(name).trim().toLowerCase().replace(/\.jl$/, '').replace(/[_.]+/g, '-');
+    }
+
+    // The package name at the start of a PEP 508 requirement or conda spec.
+    function requirementName(spec) {
+        var match = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/.exec(spec.replace(/^[\w-]+::/, ''));
+
+        return match ? match[1] : null;
+    }
+
+    function parseRequirements(text) {
+        return text.split(/\r?\n/).map(function (line) {
+            return line.replace(/(^|\s)#.*$/, '').trim();
+        }).filter(function (line) {
+            return line && !/^-/.test(line) && !/^(git\+|https?:)/.test(line);
+        }).map(requirementName);
+    }
+
+    // Split TOML into `{ table: body }` by `[table]` headers.
+    function tomlTables(text) {
+        var tables = { '': '' };
+        var current = '';
+
+        text.split(/\r?\n/).forEach(function (line) {
+            var header = /^\s*\[([^\[\]]+)\]\s*(#.*)?$/.exec(line);
+
+            if (header) {
+                current = header[1].trim();
+                tables[current] = tables[current] || '';
+            } else {
+                tables[current] += line + '\n';
+            }
+        });
+
+        return tables;
+    }
+
+    function tomlKeys(body) {
+        var keys = [];
+        var pattern = /^\s*("[^"]+"|[A-Za-z0-9_.-]+)\s*=/gm;
+        var match;
+
+        while ((match = pattern.exec(body || ''))) {
+            keys.push(match[1].replace(/"/g, ''));
+        }
+
+        return keys;
+    }
+
+    function tomlStringArray(body, key) {
+        // Quoted items may hold brackets of their own, as in "jax[cpu]".
+        var match = new RegExp('^\\s*' + key + '\\s*=\\s*\\[((?:"[^"]*"|\'[^\']*\'|[^\\]"\'])*)\\]', 'm').exec(body || '');
+
+        return match ? (match[1].match(/"[^"]*"|'[^']*'/g) || []).map(function (item) {
+            return item.slice(1, -1);
+        }) : [];
+    }
+
+    function parsePyproject(text) {
+        var tables = tomlTables(text);
+
+        return tomlStringArray(tables.project, 'dependencies').map(requirementName)
+            .concat(tomlKeys(tables['tool.poetry.dependencies']).filter(function (name) {
+                return name !== 'python';
+            }));
+    }
+
+    function parseProjectToml(text) {
+        return tomlKeys(tomlTables(text).deps);
+    }
+
+    // The list items under `dependencies:`, including a nested `pip:` list.
+    function parseEnvironment(text) {
+        var names = [];
+        var inside = false;
+
+        text.split(/\r?\n/).forEach(function (line) {
+            if (/^\S/.test(line)) {
+                inside = /^dependencies\s*:/.test(line);
+                return;
+            }
+
+            var item = /^\s*-\s*([^#]+)/.exec(line);
+
+            if (inside && item && !/:\s*$/.test(item[1].trim())) {
+                names.push(requirementName(item[1]));
+            }
+        });
+
+        return names.filter(function (name) {
+            return name && name !== 'python' && name !== 'pip';
+        });
+    }
+
+    function parsePackageJson(text) {
+        var manifest = JSON.parse(text);
+
+        return Object.keys(manifest.dependencies || {});
+    }
+
+    var PARSERS = {
+        'requirements.txt': parseRequirements,
+        'pyproject.toml': parsePyproject,
+        'environment.yml': parseEnvironment,
+        'Project.toml': parseProjectToml,
+        'package.json': parsePackageJson
+    };
+
+    /**
+     * The direct dependencies declared in `files` (manifest name to text),
+     * normalised and without duplicates. Unparseable files are skipped.
+     */
+    function parseDependencies(files) {
+        var seen = {};
+        var names = [];
+
+        MANIFESTS.forEach(function (manifest) {
+            if (typeof files[manifest] !== 'string') {
+                return;
+            }
+
+            var found;
+
+            try {
+                found = PARSERS[manifest](files[manifest]);
+            } catch (error) {
+                return;
+            }
+
+            found.forEach(function (name) {
+                var normalized = name && normalizeName(name);
+
+                if (normalized && !seen[normalized]) {
+                    seen[normalized] = true;
+                    names.push(normalized);
+                }
+            });
+        });
+
+        return names;
+    }
+
+    /**
+     * The labels of the well-known packages among `dependencies`, most
+     * telling first and at most `MAX_CHIPS` of them.
+     */
+    function describeStack(dependencies) {
+        var labels = [];
+
+        NOTABLE.forEach(function (entry) {
+            if (dependencies.indexOf(entry[0]) !== -1 && labels.indexOf(entry[1]) === -1) {
+                labels.push(entry[1]);
+            }
+        });
+
+        return labels.slice(0, MAX_CHIPS);
+    }
+
+    function createStackList(labels) {
+        var list = document.createElement('ul');
+
+        list.className = 'repo-stack';
+        list.setAttribute('aria-label', 'Built with');
+        labels.forEach(function (label) {
+            var chip = document.createElement('li');
+
+            chip.className = 'repo-chip repo-stack-chip';
+            chip.textContent = label;
+            list.appendChild(chip);
+        });
+
+        return list;
+    }
+
+    /**
+     * The stack labels (see `describeStack`) of a repository holding the
+     * files `paths`, reading the manifests among them with `readFile(path)`.
+     */
+    function readStack(paths, readFile) {
+        var files = {};
+
+        return Promise.all(MANIFESTS.filter(function (manifest) {
+            return (paths || []).indexOf(manifest) !== -1;
+        }).map(function (manifest) {
+            return Promise.resolve(readFile(manifest)).then(function (text) {
+                files[manifest] = text;
+            });
+        })).then(function () {
+            return describeStack(parseDependencies(files));
+        });
+    }
+
+    /**
+     * List the main packages of each card's repository below its stats
+     * once it scrolls into view, from `options.fetchFilePaths(repo)` and
+     * `options.fetchFile(repo, path)` (see `Site.providers`). See
+     * `createCardLoader` for caching and `seed`.
+     */
+    function createTechStackLoader(options) {
+        return cardLoader.createCardLoader({
+            cache: options.cache,
+            cacheKey: options.cacheKey,
+            seed: options.seed,
+            field: 'stack',
+            label: 'Tech stack',
+            fetch: function (repo) {
+                return Promise.resolve(options.fetchFilePaths(repo)).then(function (paths) {
+                    return readStack(paths, function (path) {
+                        return options.fetchFile(repo, path);
+                    });
+                });
+            },
+            accepts: function (repo) {
+                return Boolean(repo.branch);
+            },
+            render: function (card, labels) {
+                if (labels && labels.length) {
+                    cardLoader.placeInCard(card, createStackList(labels));
+                }
+            }
+        });
+    }
+
+    return {
+        MANIFESTS: MANIFESTS,
+        parseDependencies: parseDependencies,
+        describeStack: describeStack,
+        readStack: readStack,
+        createStackList: createStackList,
+        createTechStackLoader: createTechStackLoader
+    };
+}));
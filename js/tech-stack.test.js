@@ -0,0 +1,89 @@
+const techStack = require('./tech-stack.js');
+const { memoryCache, flushPromises } = require('./test-helpers.js');
+
+describe('techStack', () => {
+    describe('parseDependencies', () => {
+        test('should read requirements.txt without options, comments or URLs', () => {
+            expect(techStack.parseDependencies({
+                'requirements.txt': '# core\nnumpy>=1.26\nSciPy ; python_version > "3.9"\n-r dev.txt\nscikit_learn[extra]==1.4  # models\ngit+https://github.com/x/y\n'
+            })).toEqual(['numpy', 'scipy', 'scikit-learn']);
+        });
+
+        test('should read PEP 621 and Poetry dependencies from pyproject.toml', () => {
+            const pyproject = [
+                '[project]',
+                'name = "vortex"',
+                'dependencies = [',
+                '    "jax[cpu]>=0.4",',
+                "    'matplotlib',",
+                ']',
+                '',
+                '[tool.poetry.dependencies]',
+                'python = "^3.11"',
+                'torch = { version = "^2.2" }'
+            ].join('\n');
+
+            expect(techStack.parseDependencies({ 'pyproject.toml': pyproject })).toEqual(['jax', 'matplotlib', 'torch']);
+        });
+
+        test('should read conda and pip entries from environment.yml', () => {
+            const environment = [
+                'name: spde',
+                'channels:',
+                '  - conda-forge',
+                'dependencies:',
+                '  - python=3.11',
+                '  - conda-forge::firedrake',
+                '  - numpy=1.26',
+                '  - pip',
+                '  - pip:',
+                '    - jax==0.4.30'
+            ].join('\n');
+
+            expect(techStack.parseDependencies({ 'environment.yml': environment })).toEqual(['firedrake', 'numpy', 'jax']);
+        });
+
+        test('should read Julia deps and npm dependencies, skipping broken files', () => {
+            expect(techStack.parseDependencies({
+                'Project.toml': 'name = "Walks"\n\n[deps]\nDifferentialEquations = "0c46a032-eb83-5123-abaf-570d42b7fbaa"\nPlots = "91a5bcdd-55d7-5caf-9e0b-520d859cae80"\n\n[compat]\njulia = "1.10"\n',
+                'package.json': '{ "dependencies": { "three": "^0.160.0" }, "devDependencies": { "jest": "^29" } }',
+                'requirements.txt': null
+            })).toEqual(['differentialequations', 'plots', 'three']);
+            expect(techStack.parseDependencies({ 'package.json': '{ broken' })).toEqual([]);
+        });
+    });
+
+    describe('describeStack', () => {
+        test('should name well-known packages, most telling first', () => {
+            expect(techStack.describeStack(['matplotlib', 'tqdm', 'numpy', 'firedrake', 'torch', 'pytorch']))
+                .toEqual(['Firedrake', 'PyTorch', 'NumPy', 'Matplotlib']);
+        });
+    });
+
+    describe('readStack', () => {
+        test('should read only the manifests at the top of the file list', async () => {
+            const readFile = jest.fn((path) => Promise.resolve(path === 'Project.toml' ? '[deps]\nFlux = "587f"\n' : 'numpy\n'));
+
+            await expect(techStack.readStack(['src/package.json', 'Project.toml', 'requirements.txt'], readFile))
+                .resolves.toEqual(['Flux.jl', 'NumPy']);
+            expect(readFile.mock.calls.map((call) => call[0])).toEqual(['requirements.txt', 'Project.toml']);
+        });
+    });
+
+    describe('createTechStackLoader', () => {
+        test('should list the stack below the stats', async () => {
+            const card = document.createElement('article');
+            const fetchFilePaths = jest.fn().mockResolvedValue(['README.md', 'requirements.txt']);
+            const fetchFile = jest.fn().mockResolvedValue('numpy\njax\n');
+            const repo = { id: 'github:1', fullName: 'someone/vortex', branch: 'main', updatedAt: '2026-01-01T00:00:00Z' };
+
+            card.innerHTML = '<ul class="repo-stats"></ul><p class="repo-footer"></p>';
+            techStack.createTechStackLoader({ cache: memoryCache(), cacheKey: 'stack', fetchFilePaths, fetchFile }).observe(card, repo);
+            await flushPromises();
+
+            expect(fetchFile).toHaveBeenCalledWith(repo, 'requirements.txt');
+            expect(card.querySelector('.repo-stats').nextElementSibling.getAttribute('aria-label')).toBe('Built with');
+            expect(Array.from(card.querySelectorAll('.repo-stack li')).map((chip) => chip.textContent)).toEqual(['JAX', 'NumPy']);
+        });
+    });
+});
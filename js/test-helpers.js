@@ -0,0 +1,26 @@
+// Fixtures shared by the tests of the card loaders; not loaded by the pages.
+
+/**
+ * An in-memory stand-in for `Site.cache`, starting from `initial` (key to
+ * value). Writes are copied through JSON like the real storage.
+ */
+function memoryCache(initial = {}) {
+    const entries = { ...initial };
+
+    return {
+        read: jest.fn((key) => (key in entries ? { value: entries[key], savedAt: 0 } : null)),
+        write: jest.fn((key, value) => {
+            entries[key] = JSON.parse(JSON.stringify(value));
+            return true;
+        })
+    };
+}
+
+function flushPromises() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+module.exports = {
+    memoryCache,
+    flushPromises
+};
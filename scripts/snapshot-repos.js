@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Write data/repos.json, the repository snapshot the software page renders
+ * before it revalidates the list against the live API. It also holds what
+ * the cards load for each repository (languages, release, commit activity,
+ * notebooks and tech stack), so visitors only spend their anonymous API
+ * quota on repositories pushed to since.
+ *
+ *   npm run snapshot [-- output.json]
+ *
+ * The account comes from the data attributes of #repo-container in
+ * software.html; SNAPSHOT_PROVIDER, SNAPSHOT_USER and SNAPSHOT_HOST override
+ * them. GITHUB_API_URL points the GitHub client at another API root (GitHub
+ * Actions sets it, the tests start a local fixture server), GITHUB_RAW_URL
+ * at another raw file host, and GITHUB_TOKEN authenticates its requests.
+ */
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const github = require('../js/github.js');
+const notebooks = require('../js/notebooks.js');
+const providers = require('../js/providers.js');
+const techStack = require('../js/tech-stack.js');
+
+const PAGE = path.join(__dirname, '..', 'software.html');
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'data', 'repos.json');
+
+/**
+ * The `data-*` attributes of #repo-container as a `dataset`-like object.
+ */
+function readContainerDataset(html) {
+    const tag = html.match(/<[a-z]+\s[^>]*\bid="repo-container"[^>]*>/i);
+    const dataset = {};
+
+    for (const match of (tag ? tag[0] : '').matchAll(/\bdata-([a-z-]+)(?:="([^"]*)")?/g)) {
+        dataset[match[1].replace(/-([a-z])/g, (all, letter) => letter.toUpperCase())] = match[2] || '';
+    }
+
+    return dataset;
+}
+
+/**
+ * Everything the card loaders would fetch for `repo`, under their field
+ * names (see js/card-loader.js).
+ */
+async function readDetails(provider, repo) {
+    const details = { updatedAt: repo.updatedAt };
+    const read = async (field, load) => {
+        try {
+            details[field] = await load();
+        } catch (error) {
+            // The page loads what is missing lazily, so one failure is not fatal.
+            console.warn(`The ${field} of ${repo.fullName} skipped: ${error.message}`);
+        }
+    };
+
+    await read('languages', () => provider.fetchLanguages(repo));
+    await read('release', () => provider.fetchRelease(repo));
+
+    if (provider.fetchActivity) {
+        await read('activity', () => provider.fetchActivity(repo));
+    }
+
+    if (repo.branch) {
+        let paths = null;
+
+        await read('notebooks', async () => {
+            paths = await provider.fetchFilePaths(repo);
+
+            return notebooks.findNotebooks(paths);
+        });
+
+        if (paths) {
+            await read('stack', () => techStack.readStack(paths, (file) => provider.fetchFile(repo, file)));
+        }
+    }
+
+    return details;
+}
+
+async function buildSnapshot(options = {}) {
+    const config = providers.readProviderConfig(options.dataset || {});
+    const provider = providers.createProvider(config);
+
+    github.configure({ apiRoot: options.apiRoot, rawRoot: options.rawRoot, token: options.token });
+
+    const { pages, repos } = await provider.fetchRepositories();
+    const details = {};
+
+    for (const repo of providers.selectRepositories(repos, config)) {
+        details[repo.id] = await readDetails(provider, repo);
+    }
+
+    return {
+        version: github.SNAPSHOT_VERSION,
+        source: provider.key,
+        generatedAt: new Date(options.now || Date.now()).toISOString(),
+        pages,
+        details
+    };
+}
+
+async function writeSnapshot(snapshot, file) {
+    const temporary = `${file}.tmp`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(temporary, `${JSON.stringify(snapshot, null, 2)}\n`);
+    await fs.rename(temporary, file);
+}
+
+async function main() {
+    const output = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_OUTPUT;
+    const dataset = readContainerDataset(await fs.readFile(PAGE, 'utf8'));
+    const overrides = { provider: 'SNAPSHOT_PROVIDER', user: 'SNAPSHOT_USER', host: 'SNAPSHOT_HOST' };
+
+    Object.keys(overrides).forEach((key) => {
+        if (process.env[overrides[key]]) {
+            dataset[key] = process.env[overrides[key]];
+        }
+    });
+
+    const snapshot = await buildSnapshot({
+        dataset,
+        apiRoot: process.env.GITHUB_API_URL,
+        rawRoot: process.env.GITHUB_RAW_URL,
+        token: process.env.GITHUB_TOKEN
+    });
+    const count = github.collectRepositories(snapshot.pages).length;
+
+    await writeSnapshot(snapshot, output);
+    console.log(`Wrote ${count} repositories of ${snapshot.source} to ${path.relative(process.cwd(), output)}.`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`Snapshot failed: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { readContainerDataset, buildSnapshot, writeSnapshot };
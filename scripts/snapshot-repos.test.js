@@ -0,0 +1,157 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const SCRIPT = path.join(__dirname, 'snapshot-repos.js');
+
+/**
+ * A local stand-in for api.github.com. `routes` maps request paths (with the
+ * query string) to `{ status, headers, body }`, or `{ text }` for a plain
+ * file; `{origin}` in bodies and headers is replaced with the server's own
+ * address.
+ */
+function startFixtureServer(routes) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        const route = routes[request.url] || { status: 404, body: { message: 'Not Found' } };
+        const origin = `http://127.0.0.1:${server.address().port}`;
+        const headers = {};
+
+        requests.push({ url: request.url, headers: request.headers });
+        Object.keys(route.headers || {}).forEach((name) => {
+            headers[name] = route.headers[name].replace('{origin}', origin);
+        });
+        if (typeof route.text === 'string') {
+            response.writeHead(route.status || 200, { 'Content-Type': 'text/plain', ...headers });
+            response.end(route.text);
+            return;
+        }
+
+        response.writeHead(route.status || 200, { 'Content-Type': 'application/json', ...headers });
+        response.end(JSON.stringify(route.body).split('{origin}').join(origin));
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, origin: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+function runScript(output, env) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [SCRIPT, output], { env: { ...process.env, GITHUB_TOKEN: '', ...env }, timeout: 10000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('snapshot-repos', () => {
+    let fixture;
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'));
+    });
+
+    afterEach(() => {
+        fixture.server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should write every page and what the cards show of shown repositories', async () => {
+        fixture = await startFixtureServer({
+            '/users/octo/repos?sort=updated&per_page=100': {
+                headers: { ETag: '"one"', Link: '<{origin}/users/octo/repos?page=2>; rel="next"' },
+                body: [{
+                    id: 1,
+                    name: 'vortex',
+                    full_name: 'octo/vortex',
+                    default_branch: 'main',
+                    pushed_at: '2025-01-02T00:00:00Z',
+                    owner: { login: 'octo' }
+                }]
+            },
+            '/users/octo/repos?page=2': {
+                body: [{ id: 2, name: 'fork', full_name: 'octo/fork', fork: true }]
+            },
+            '/repos/octo/vortex/languages': { body: { Python: 900, Shell: 100 } },
+            '/repos/octo/vortex/releases/latest': {
+                body: { tag_name: 'v1.0', name: 'First', html_url: 'https://github.com/octo/vortex/releases/v1.0', published_at: '2025-01-01T00:00:00Z' }
+            },
+            '/repos/octo/vortex/stats/commit_activity': { body: [{ week: 1700000000, total: 3 }] },
+            '/repos/octo/vortex/git/trees/main?recursive=1': {
+                body: { tree: [{ path: 'requirements.txt', type: 'blob' }, { path: 'demo/walk.ipynb', type: 'blob' }] }
+            },
+            '/raw/octo/vortex/main/requirements.txt': { text: 'numpy\njax\n' }
+        });
+        const output = path.join(directory, 'repos.json');
+
+        const result = await runScript(output, {
+            GITHUB_API_URL: fixture.origin,
+            GITHUB_RAW_URL: `${fixture.origin}/raw`,
+            GITHUB_TOKEN: 'secret',
+            SNAPSHOT_USER: 'octo'
+        });
+        const snapshot = JSON.parse(fs.readFileSync(output, 'utf8'));
+
+        expect(result.code).toBe(0);
+        expect(result.stdout).toMatch(/Wrote 2 repositories of github:github.com:octo/);
+        expect(snapshot.version).toBe(4);
+        expect(snapshot.source).toBe('github:github.com:octo');
+        expect(snapshot.pages.map((page) => page.etag)).toEqual(['"one"', null]);
+        expect(snapshot.pages[0].repos[0]).not.toHaveProperty('owner');
+        expect(snapshot.details).toEqual({
+            'github:1': {
+                updatedAt: '2025-01-02T00:00:00Z',
+                languages: { Python: 900, Shell: 100 },
+                release: { kind: 'release', tag: 'v1.0', name: 'First', url: 'https://github.com/octo/vortex/releases/v1.0', publishedAt: '2025-01-01T00:00:00Z' },
+                activity: { start: 1700000000, totals: [3] },
+                notebooks: ['demo/walk.ipynb'],
+                stack: ['JAX', 'NumPy']
+            }
+        });
+        expect(fixture.requests.map((request) => request.url)).not.toContain('/repos/octo/fork/languages');
+        expect(fixture.requests[0].headers.authorization).toBe('Bearer secret');
+    });
+
+    test('should snapshot a GitLab account on the configured host without the GitHub token', async () => {
+        fixture = await startFixtureServer({
+            '/api/v4/users/lab/projects?per_page=100&order_by=last_activity_at&license=true': {
+                body: [{ id: 4, name: 'Mirror', path_with_namespace: 'lab/mirror', web_url: '{origin}/lab/mirror', visibility: 'public' }]
+            },
+            '/api/v4/projects/lab%2Fmirror/languages': { body: { Julia: 100 } }
+        });
+        const output = path.join(directory, 'repos.json');
+
+        const result = await runScript(output, { SNAPSHOT_PROVIDER: 'gitlab', SNAPSHOT_USER: 'lab', SNAPSHOT_HOST: fixture.origin, GITHUB_TOKEN: 'ghs_SECRET' });
+        const snapshot = JSON.parse(fs.readFileSync(output, 'utf8'));
+
+        expect(result.code).toBe(0);
+        expect(snapshot.source).toBe('gitlab:127.0.0.1:lab');
+        expect(snapshot.pages[0].repos[0]).toMatchObject({ id: 'gitlab:4', url: `${fixture.origin}/lab/mirror` });
+        expect(snapshot.details['gitlab:4'].languages).toEqual({ Julia: 100 });
+        expect(result.stderr).toMatch(/The release of lab\/mirror skipped/);
+        expect(fixture.requests.filter((request) => request.headers.authorization)).toEqual([]);
+    });
+
+    test('should fail without touching the existing snapshot when GitHub refuses', async () => {
+        fixture = await startFixtureServer({
+            '/users/octo/repos?sort=updated&per_page=100': {
+                status: 403,
+                headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 600) },
+                body: { message: 'API rate limit exceeded' }
+            }
+        });
+        const output = path.join(directory, 'repos.json');
+        fs.writeFileSync(output, '{"version":1}\n');
+
+        const result = await runScript(output, { GITHUB_API_URL: fixture.origin, SNAPSHOT_USER: 'octo' });
+
+        expect(result.code).toBe(1);
+        expect(result.stderr).toMatch(/Snapshot failed: API rate limit exceeded/);
+        expect(fs.readFileSync(output, 'utf8')).toBe('{"version":1}\n');
+    });
+});